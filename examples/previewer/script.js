@@ -72,7 +72,8 @@ let render_options = {
 			t.attr("class", "ls_grid_table");
 		}
 	},
-	parent: markdown_preview
+	parent: markdown_preview,
+	patch: true
 };
 
 const textarea = document.getElementById("markdown_editor");
@@ -83,22 +84,49 @@ if (localStorage.getItem("text")) {
 	textarea.value = localStorage.getItem("text");
 }
 
-textarea.addEventListener("input", render);
-checkbox_newline_as_linebreaks.addEventListener("click", render);
-checkbox_indent_as_code.addEventListener("click", render);
+textarea.addEventListener("input", () => render(true));
+checkbox_newline_as_linebreaks.addEventListener("click", () => render(false));
+checkbox_indent_as_code.addEventListener("click", () => render(false));
 
-function render() {
+let markdown_doc = null;
+let markdown_text = null;
+
+/**
+ * Computes the edit which turns the previous text into the current one.
+ */
+function compute_edit(previous, current) {
+	const max = Math.min(previous.length, current.length);
+
+	let start = 0;
+	while (start < max && previous[start] === current[start])
+		start++;
+
+	let end = 0;
+	while (end < max - start && previous[previous.length - 1 - end] === current[current.length - 1 - end])
+		end++;
+
+	return { offset: start, delete_count: previous.length - start - end, insert: current.substring(start, current.length - end) };
+}
+
+function render(incremental = false) {
 	parser_options.newline_as_linebreaks = checkbox_newline_as_linebreaks.checked;
 	parser_options.code_block_from_indent = checkbox_indent_as_code.checked;
 
 	localStorage.setItem("text", textarea.value);
 
 	let start = new Date().getTime();
-	let markdown_doc = md.parser.parse(textarea.value, parser_options);
+	if (incremental && markdown_doc) {
+		// Only re-parse the blocks touched by the edit.
+		const result = md.parser.reparse(markdown_doc, markdown_text, compute_edit(markdown_text, textarea.value), parser_options);
+		markdown_doc = result.doc;
+		console.log("Changed blocks: " + result.changed);
+	} else {
+		markdown_doc = md.parser.parse(textarea.value, parser_options);
+	}
+	markdown_text = textarea.value;
 	console.log(markdown_doc);
 	console.log("Parsed in: " + (new Date().getTime() - start) + "ms");
 
-	markdown_preview.innerHTML = "";
 	start = new Date().getTime();
 	md.render(markdown_doc, document, render_options);
 
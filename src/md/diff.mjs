@@ -0,0 +1,317 @@
+/*
+ * Copyright © 2022 LambdAurora <email@lambdaurora.dev>
+ *
+ * This file is part of lib.md.
+ *
+ * Licensed under the MIT license. For more information,
+ * see the LICENSE file.
+ */
+
+import * as md from "./markdown.mjs";
+
+/**
+ * Returns the URL of the given link, resolved against the references of the document if needed.
+ *
+ * @param {md.MDDocument} doc the document of the link
+ * @param {md.Link|md.InlineLink} link the link
+ * @return {string|undefined} the URL
+ */
+function resolve_url(doc, link) {
+	if (link instanceof md.InlineLink)
+		return link.content;
+	else if (!link.ref_name)
+		return link.ref.url;
+
+	const reference = doc.references.find(ref => ref.name === link.ref_name);
+	return reference ? reference.ref.url : undefined;
+}
+
+function get_links(block) {
+	const links = [];
+	md.walk(block, {
+		enter(node) {
+			const type = md.get_node_type(node);
+			if (type === "link" || type === "inline_link")
+				links.push(node);
+		}
+	});
+	return links;
+}
+
+/**
+ * Returns the key of the given block, two blocks are the same if they have the same key.
+ *
+ * The URLs of the links are resolved so a changed reference changes the blocks which use it.
+ *
+ * @param {md.MDDocument} doc the document of the block
+ * @param {md.Node} block the block
+ * @return {string} the key
+ */
+function get_block_key(doc, block) {
+	return JSON.stringify([block, get_links(block).map(link => resolve_url(doc, link))]);
+}
+
+/**
+ * The minimum similarity of two blocks to be considered as the same modified block.
+ */
+const MIN_SIMILARITY = 0.5;
+
+function get_words(block) {
+	return new Set(block.toString().toLowerCase().split(/\s+/).filter(word => word !== ""));
+}
+
+/**
+ * Returns the similarity of two blocks from their words, between 0 and 1.
+ *
+ * @param {Set<string>} old_words the words of the old block
+ * @param {Set<string>} new_words the words of the new block
+ * @return {number} the similarity
+ */
+function get_similarity(old_words, new_words) {
+	if (old_words.size === 0 && new_words.size === 0)
+		return 1;
+
+	let common = 0;
+	old_words.forEach(word => {
+		if (new_words.has(word))
+			common++;
+	});
+	return 2 * common / (old_words.size + new_words.size);
+}
+
+/**
+ * Aligns the given blocks on their longest common subsequence.
+ *
+ * @param {string[]} old_keys the keys of the old blocks
+ * @param {string[]} new_keys the keys of the new blocks
+ * @return {[number, number][]} the pairs of indices of the unchanged blocks, in order
+ */
+function align_blocks(old_keys, new_keys) {
+	let start = 0;
+	while (start < old_keys.length && start < new_keys.length && old_keys[start] === new_keys[start])
+		start++;
+
+	let old_end = old_keys.length;
+	let new_end = new_keys.length;
+	while (old_end > start && new_end > start && old_keys[old_end - 1] === new_keys[new_end - 1]) {
+		old_end--;
+		new_end--;
+	}
+
+	// lengths[i][j] is the length of the common subsequence of the blocks after i and j.
+	const lengths = [];
+	for (let i = old_end - start; i >= 0; i--) {
+		lengths[i] = new Array(new_end - start + 1).fill(0);
+		if (i === old_end - start)
+			continue;
+
+		for (let j = new_end - start - 1; j >= 0; j--) {
+			if (old_keys[start + i] === new_keys[start + j])
+				lengths[i][j] = lengths[i + 1][j + 1] + 1;
+			else
+				lengths[i][j] = Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+		}
+	}
+
+	const pairs = [];
+	for (let i = 0; i < start; i++)
+		pairs.push([i, i]);
+
+	let i = 0, j = 0;
+	while (i < old_end - start && j < new_end - start) {
+		if (old_keys[start + i] === new_keys[start + j]) {
+			pairs.push([start + i, start + j]);
+			i++;
+			j++;
+		} else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+			i++;
+		} else {
+			j++;
+		}
+	}
+
+	for (let k = 0; k < old_keys.length - old_end; k++)
+		pairs.push([old_end + k, new_end + k]);
+	return pairs;
+}
+
+function diff_list(old_list, new_list, path, changes) {
+	const count = Math.min(old_list.nodes.length, new_list.nodes.length);
+	for (let index = 0; index < count; index++) {
+		const old_entry = old_list.nodes[index];
+		const new_entry = new_list.nodes[index];
+		const entry_path = [...path, index];
+
+		if (typeof old_entry.checked === "boolean" && typeof new_entry.checked === "boolean" && old_entry.checked !== new_entry.checked) {
+			changes.push({ type: "list_entry_checked", path: entry_path, old_checked: old_entry.checked, new_checked: new_entry.checked });
+		}
+
+		const sublists = Math.min(old_entry.sublists.length, new_entry.sublists.length);
+		for (let sublist = 0; sublist < sublists; sublist++) {
+			diff_list(old_entry.sublists[sublist], new_entry.sublists[sublist], [...entry_path, sublist], changes);
+		}
+	}
+}
+
+function diff_table(old_table, new_table, changes) {
+	const rows = Math.min(old_table.nodes.length, new_table.nodes.length);
+	for (let row = 0; row < rows; row++) {
+		const old_row = old_table.nodes[row];
+		const new_row = new_table.nodes[row];
+
+		const columns = Math.min(old_row.nodes.length, new_row.nodes.length);
+		for (let column = 0; column < columns; column++) {
+			const old_text = old_row.nodes[column].toString();
+			const new_text = new_row.nodes[column].toString();
+
+			if (old_text !== new_text)
+				changes.push({ type: "table_cell", row: row, column: column, old_text: old_text, new_text: new_text });
+		}
+	}
+}
+
+/**
+ * Returns the detailed changes between two versions of a block.
+ *
+ * @param {md.MDDocument} old_doc the old document
+ * @param {md.Node} old_block the old block
+ * @param {md.MDDocument} new_doc the new document
+ * @param {md.Node} new_block the new block, of the same type as the old block
+ * @return {object[]} the detailed changes
+ */
+function diff_block(old_doc, old_block, new_doc, new_block) {
+	const changes = [];
+
+	if (old_block instanceof md.Heading) {
+		const old_text = old_block.as_plain_text();
+		const new_text = new_block.as_plain_text();
+
+		if (old_text !== new_text)
+			changes.push({ type: "heading_text", old_text: old_text, new_text: new_text });
+	} else if (old_block instanceof md.List) {
+		diff_list(old_block, new_block, [], changes);
+	} else if (old_block instanceof md.Table) {
+		diff_table(old_block, new_block, changes);
+	}
+
+	// Links are only matched when there are as many, otherwise they can't be told apart.
+	const old_links = get_links(old_block);
+	const new_links = get_links(new_block);
+	if (old_links.length === new_links.length) {
+		old_links.forEach((old_link, index) => {
+			const old_url = resolve_url(old_doc, old_link);
+			const new_url = resolve_url(new_doc, new_links[index]);
+
+			if (old_url !== new_url)
+				changes.push({ type: "link_url", text: new_links[index].as_plain_text(), old_url: old_url, new_url: new_url });
+		});
+	}
+
+	return changes;
+}
+
+/**
+ * Compares two Markdown documents and returns the changes between their blocks, in the order of the new document.
+ *
+ * The unchanged blocks are matched first, then the blocks which are the same but elsewhere are moved.
+ * The remaining blocks are paired up as modified with the most similar block of the same type if at least half of their words are common,
+ * the others are removed or inserted.
+ * Each change is one of:
+ * - `{type: "block_inserted", new_index, block}`;
+ * - `{type: "block_removed", old_index, block}`;
+ * - `{type: "block_moved", old_index, new_index, block}`;
+ * - `{type: "block_modified", old_index, new_index, old_block, new_block, changes}`, with the detailed changes:
+ *   - `{type: "heading_text", old_text, new_text}`;
+ *   - `{type: "list_entry_checked", path, old_checked, new_checked}`, the path alternates entry and sublist indices;
+ *   - `{type: "table_cell", row, column, old_text, new_text}`, the row 0 is the head of the table;
+ *   - `{type: "link_url", text, old_url, new_url}`.
+ *
+ * The changes can be serialized as JSON.
+ *
+ * @param {md.MDDocument} old_doc the old document
+ * @param {md.MDDocument} new_doc the new document
+ * @return {object[]} the changes
+ * @since 1.8.0
+ */
+export function diff(old_doc, new_doc) {
+	const old_keys = old_doc.blocks.map(block => get_block_key(old_doc, block));
+	const new_keys = new_doc.blocks.map(block => get_block_key(new_doc, block));
+	const pairs = align_blocks(old_keys, new_keys);
+
+	const old_unchanged = new Set(pairs.map(pair => pair[0]));
+	const new_unchanged = new Set(pairs.map(pair => pair[1]));
+	const new_changes = new Map();
+	const old_paired = new Set();
+
+	// The blocks which are the same but elsewhere.
+	const removed = old_keys.map((_, index) => index).filter(index => !old_unchanged.has(index));
+	new_keys.forEach((key, new_index) => {
+		if (new_unchanged.has(new_index))
+			return;
+
+		const old_index = removed.find(index => !old_paired.has(index) && old_keys[index] === key);
+		if (old_index !== undefined) {
+			old_paired.add(old_index);
+			new_changes.set(new_index, { type: "block_moved", old_index: old_index, new_index: new_index, block: new_doc.blocks[new_index] });
+		}
+	});
+
+	const pair_modified = (old_index, new_index) => {
+		const old_block = old_doc.blocks[old_index];
+		const new_block = new_doc.blocks[new_index];
+		old_paired.add(old_index);
+		new_changes.set(new_index, {
+			type: "block_modified", old_index: old_index, new_index: new_index, old_block: old_block, new_block: new_block,
+			changes: diff_block(old_doc, old_block, new_doc, new_block)
+		});
+	};
+
+	// The remaining blocks are paired up with the most similar block of the same type, if similar enough.
+	const old_words = new Map();
+	new_keys.forEach((_, new_index) => {
+		if (new_unchanged.has(new_index) || new_changes.has(new_index))
+			return;
+
+		const new_block = new_doc.blocks[new_index];
+		const new_block_words = get_words(new_block);
+		let best = null;
+		let best_similarity = MIN_SIMILARITY;
+		removed.forEach(index => {
+			if (old_paired.has(index) || md.get_node_type(old_doc.blocks[index]) !== md.get_node_type(new_block))
+				return;
+
+			if (!old_words.has(index))
+				old_words.set(index, get_words(old_doc.blocks[index]));
+			const similarity = get_similarity(old_words.get(index), new_block_words);
+			if (similarity >= best_similarity && (best === null || similarity > best_similarity)) {
+				best = index;
+				best_similarity = similarity;
+			}
+		});
+
+		if (best !== null)
+			pair_modified(best, new_index);
+		else
+			new_changes.set(new_index, { type: "block_inserted", new_index: new_index, block: new_block });
+	});
+
+	// Lays out the changes in the order of the new document, with the removed blocks where they were.
+	const bounds = [[-1, -1], ...pairs, [old_keys.length, new_keys.length]];
+	const changes = [];
+	let old_index = 0;
+	const flush_removed = until => {
+		for (; old_index < until; old_index++) {
+			if (!old_unchanged.has(old_index) && !old_paired.has(old_index))
+				changes.push({ type: "block_removed", old_index: old_index, block: old_doc.blocks[old_index] });
+		}
+	};
+
+	for (let gap = 1; gap < bounds.length; gap++) {
+		flush_removed(bounds[gap][0]);
+		for (let new_index = bounds[gap - 1][1] + 1; new_index < bounds[gap][1]; new_index++)
+			changes.push(new_changes.get(new_index));
+		old_index = bounds[gap][0] + 1;
+	}
+
+	return changes;
+}
@@ -0,0 +1,486 @@
+/*
+ * Copyright © 2022 LambdAurora <email@lambdaurora.dev>
+ *
+ * This file is part of lib.md.
+ *
+ * Licensed under the MIT license. For more information,
+ * see the LICENSE file.
+ */
+
+import * as md from "./markdown.mjs";
+import { parse } from "./parser.mjs";
+import { compile_options } from "../utils.mjs";
+
+const DEFAULT_OPTIONS = {
+	bullet: "-",
+	emphasis: "*",
+	ordered_numbering: "increment",
+	line_width: 0,
+	align_tables: true,
+	blank_lines: 1
+};
+
+const OPTION_VALUES = {
+	bullet: ["-", "*", "+"],
+	emphasis: ["*", "_"],
+	ordered_numbering: ["increment", "constant"]
+};
+
+/**
+ * The characters which are escaped in text which would otherwise be parsed as something else.
+ */
+const ESCAPED_CHARACTERS = /[\\`*_[\]<~=|$:{]/g;
+/**
+ * The words which can't start a line of a paragraph as they would start another block.
+ */
+const UNSAFE_LINE_START = /^(?:[#>|<+=~`$*_:-]|\d+[.)]|\[\[|\[[^\]]*\]:)/;
+
+const BREAK = Symbol("break");
+
+function compile_format_options(options) {
+	options = compile_options(DEFAULT_OPTIONS, options, "format");
+
+	for (const [key, values] of Object.entries(OPTION_VALUES)) {
+		if (!values.includes(options[key]))
+			throw new Error(`lib.md ;; format(): option "${key}" should be one of ${values.map(value => `"${value}"`).join(", ")}, got "${options[key]}".`);
+	}
+
+	if (!Number.isInteger(options.line_width) || options.line_width < 0)
+		throw new Error(`lib.md ;; format(): option "line_width" should be a positive integer or 0, got ${options.line_width}.`);
+	if (!Number.isInteger(options.blank_lines) || options.blank_lines < 1)
+		throw new Error(`lib.md ;; format(): option "blank_lines" should be a strictly positive integer, got ${options.blank_lines}.`);
+
+	return options;
+}
+
+/**
+ * Returns whether the given text would be parsed as the same text.
+ *
+ * @param {string} text the text
+ * @return {boolean} `true` if the text can be written as is, otherwise `false`
+ */
+function is_plain_text(text) {
+	text = text.trim();
+	if (text === "")
+		return true;
+
+	const blocks = parse(text).blocks;
+	return blocks.length === 1 && blocks[0] instanceof md.Paragraph && blocks[0].nodes.length === 1
+		&& md.get_node_type(blocks[0].nodes[0]) === "text" && blocks[0].nodes[0].content === text;
+}
+
+/**
+ * Returns the JSON representation of the given inline nodes, with the whitespaces collapsed as they may be re-wrapped.
+ *
+ * @param {md.Node[]} nodes the inline nodes
+ * @return {string} the normalized representation
+ */
+function normalize_inline(nodes) {
+	return JSON.stringify(nodes).replace(/(?:\s|\\[nt])+/g, " ").replace(/^\[" /, "[\"").replace(/ "\]$/, "\"]");
+}
+
+/**
+ * Formats the attributes of the given node as a suffix.
+ *
+ * @param {md.Node} node the node
+ * @param {string} separator the separator between the node and its attributes
+ * @return {string} the formatted attributes, empty if the node has none
+ */
+function format_attributes(node, separator = "") {
+	return node.attributes && !node.attributes.is_empty() ? separator + node.attributes.toString() : "";
+}
+
+function narrow(width, amount) {
+	return width === 0 ? 0 : Math.max(width - amount, 1);
+}
+
+/**
+ * Represents the state of a formatting.
+ */
+class Formatter {
+	/* Class attributes:
+	options: object;
+	escape_all: boolean;
+	*/
+
+	/**
+	 * @param options the compiled format options
+	 */
+	constructor(options) {
+		this.options = options;
+		this.escape_all = false;
+	}
+
+	/**
+	 * Formats the given text, escaping it if needed.
+	 *
+	 * @param {string} text the text
+	 * @return {string} the formatted text
+	 */
+	format_text(text) {
+		if (!this.escape_all && is_plain_text(text))
+			return text;
+
+		return text.replace(ESCAPED_CHARACTERS, "\\$&")
+			.replace(/^(\s*)([#>+-])/, "$1\\$2")
+			.replace(/^(\s*\d+)([.)])/, "$1\\$2");
+	}
+
+	/**
+	 * Formats the given inline nodes on a single line, except for the linebreaks.
+	 *
+	 * @param {md.Node[]} nodes the inline nodes
+	 * @return {string} the formatted nodes
+	 */
+	format_inline(nodes) {
+		return nodes.map(node => this.format_inline_node(node)).join("");
+	}
+
+	/**
+	 * Formats the given run of inline nodes with the given function.
+	 *
+	 * The text is only escaped where it would be parsed as something else on its own,
+	 * unless the formatted nodes together would be parsed as something else, in which case all the text is escaped.
+	 *
+	 * @param {md.Node[]} nodes the inline nodes
+	 * @param {function(): *} format the function which formats the nodes
+	 * @return {*} the result of the function
+	 */
+	with_escaping(nodes, format) {
+		const blocks = parse(this.format_inline(nodes)).blocks;
+		this.escape_all = !(blocks.length === 1 && blocks[0] instanceof md.Paragraph && normalize_inline(blocks[0].nodes) === normalize_inline(nodes));
+
+		try {
+			return format();
+		} finally {
+			this.escape_all = false;
+		}
+	}
+
+	format_inline_node(node) {
+		switch (md.get_node_type(node)) {
+			case "text":
+				return this.format_text(node.content);
+			case "comment":
+				return `<!--${node.get_nodes_as_string()}-->`;
+			case "italic": {
+				const content = this.format_inline(node.nodes);
+				const marker = content.includes(this.options.emphasis) ? (this.options.emphasis === "*" ? "_" : "*") : this.options.emphasis;
+				return marker + content + marker;
+			}
+			case "bold":
+				return `**${this.format_inline(node.nodes)}**`;
+			case "underline":
+				return `__${this.format_inline(node.nodes)}__`;
+			case "strikethrough":
+				return `~~${this.format_inline(node.nodes)}~~`;
+			case "highlight":
+				return `==${this.format_inline(node.nodes)}==`;
+			case "spoiler":
+				return `||${this.format_inline(node.nodes)}||`;
+			case "link":
+			case "image": {
+				const title = this.format_inline(node.nodes);
+				const prefix = node instanceof md.Image ? "!" : "";
+				const attributes = format_attributes(node);
+				if (node.ref_name) {
+					if (node.ref_name === title && attributes === "")
+						return `${prefix}[${title}]`;
+					return `${prefix}[${title}][${node.ref_name}]${attributes}`;
+				}
+				return `${prefix}[${title}](${node.ref.toString()})${attributes}`;
+			}
+			default:
+				return node.toString();
+		}
+	}
+
+	/**
+	 * Formats the given inline nodes as the lines of a paragraph, wrapped to the given width.
+	 *
+	 * The lines are only broken between words of plain text, and never before a word which would start another block.
+	 *
+	 * @param {md.Node[]} nodes the inline nodes
+	 * @param {number} width the maximum width of the lines, or `0` to not wrap them
+	 * @return {string[]} the lines
+	 */
+	format_paragraph(nodes, width) {
+		const lines = this.with_escaping(nodes, () => this.wrap_inline(nodes, width))
+			// The whitespaces before a linebreak are parsed again with it.
+			.map(line => line.endsWith("  ") ? line.trimEnd() + "  " : line);
+
+		// A linebreak ending the paragraph stays on its last line.
+		if (lines.length > 1 && lines[lines.length - 1] === "")
+			lines.pop();
+		return lines;
+	}
+
+	wrap_inline(nodes, width) {
+		if (width === 0)
+			return this.format_inline(nodes).split("\n");
+
+		const words = [];
+		let word = "";
+		const end_word = () => {
+			if (word !== "")
+				words.push(word);
+			word = "";
+		};
+
+		nodes.forEach(node => {
+			const type = md.get_node_type(node);
+			if (type === "linebreak") {
+				end_word();
+				words.push(BREAK);
+			} else if (type === "text") {
+				this.format_text(node.content).split(" ").forEach((part, index) => {
+					if (index !== 0)
+						end_word();
+					word += part;
+				});
+			} else {
+				word += this.format_inline_node(node);
+			}
+		});
+		end_word();
+
+		const lines = [];
+		let line = "";
+		words.forEach(word => {
+			if (word === BREAK) {
+				lines.push(line + "  ");
+				line = "";
+			} else if (line === "") {
+				line = word;
+			} else if (line.length + 1 + word.length <= width || UNSAFE_LINE_START.test(word)) {
+				line += " " + word;
+			} else {
+				lines.push(line);
+				line = word;
+			}
+		});
+		if (line !== "" || lines.length === 0)
+			lines.push(line);
+
+		return lines;
+	}
+
+	/**
+	 * Formats the given nodes as a flow of blocks, consecutive inline nodes are formatted as a paragraph.
+	 *
+	 * @param {md.Node[]} nodes the nodes
+	 * @param {number} width the maximum width of the lines, or `0` to not wrap them
+	 * @param {number} blank_lines the number of blank lines between two blocks
+	 * @return {string[]} the lines
+	 */
+	format_flow(nodes, width, blank_lines) {
+		const blocks = [];
+		let inline = null;
+
+		nodes.forEach(node => {
+			if (node.is_block()) {
+				inline = null;
+				blocks.push({ lines: this.format_block(node, width) });
+			} else {
+				if (!inline) {
+					inline = { nodes: [] };
+					blocks.push(inline);
+				}
+				inline.nodes.push(node);
+			}
+		});
+
+		const separator = new Array(blank_lines).fill("");
+		return blocks.flatMap((block, index) => {
+			const lines = block.lines ? block.lines : this.format_paragraph(block.nodes, width);
+			return index === 0 ? lines : [...separator, ...lines];
+		});
+	}
+
+	/**
+	 * Formats the given block.
+	 *
+	 * @param {md.Node} block the block
+	 * @param {number} width the maximum width of the lines, or `0` to not wrap them
+	 * @return {string[]} the lines
+	 */
+	format_block(block, width) {
+		switch (md.get_node_type(block)) {
+			case "heading":
+				return ["#".repeat(parseInt(block.level[1])) + " " + this.with_escaping(block.nodes, () => this.format_inline(block.nodes))
+					+ format_attributes(block, " ")];
+			case "paragraph": {
+				const lines = this.format_paragraph(block.nodes, width);
+				// The attributes of a paragraph stand alone on its last line.
+				if (block.attributes && !block.attributes.is_empty())
+					lines.push(format_attributes(block));
+				return lines;
+			}
+			case "quote":
+				return this.format_flow(block.nodes, narrow(width, 2), 0).map(line => line === "" ? ">" : "> " + line);
+			case "alert":
+				return [`> [!${block.kind.toUpperCase()}]`, ...this.format_flow(block.nodes, narrow(width, 2), 1).map(line => "> " + line)];
+			case "list":
+				return this.format_list(block, width);
+			case "table":
+				return this.format_table(block);
+			case "comment":
+				return `<!--${block.get_nodes_as_string()}-->`.split("\n");
+			case "definition_list":
+				return this.format_definition_list(block, width);
+			case "footnote_definition": {
+				const lines = this.format_flow(block.nodes, narrow(width, 4), 1);
+				if (lines.length === 0)
+					return [`[^${block.name}]:`];
+				return lines.map((line, index) => index === 0 ? `[^${block.name}]: ${line}` : (line === "" ? "" : "    " + line));
+			}
+			default:
+				return block.toString().split("\n");
+		}
+	}
+
+	/**
+	 * Formats the given list, the continuation lines of the entries are indented by the width of their marker.
+	 *
+	 * @param {md.List} list the list
+	 * @param {number} width the maximum width of the lines, or `0` to not wrap them
+	 * @return {string[]} the lines
+	 */
+	format_list(list, width) {
+		return list.nodes.flatMap((entry, index) => {
+			let marker = this.options.bullet;
+			if (list.ordered)
+				marker = (this.options.ordered_numbering === "increment" ? list.ordered_start + index : list.ordered_start) + ".";
+			const indent = " ".repeat(marker.length + 1);
+			const checkbox = typeof entry.checked === "boolean" ? (entry.checked ? "[x] " : "[ ] ") : "";
+
+			const lines = [
+				...this.format_flow(entry.nodes, narrow(width, indent.length + checkbox.length), 1),
+				...entry.sublists.flatMap(sublist => this.format_list(sublist, narrow(width, indent.length)))
+			];
+			if (lines.length === 0)
+				lines.push("");
+
+			return lines.map((line, line_index) => {
+				if (line_index === 0)
+					return (marker + " " + checkbox + line).trimEnd();
+				return line === "" ? "" : indent + line;
+			});
+		});
+	}
+
+	/**
+	 * Formats the given definition list, the continuation lines of the descriptions are indented.
+	 *
+	 * @param {md.DefinitionList} list the definition list
+	 * @param {number} width the maximum width of the lines, or `0` to not wrap them
+	 * @return {string[]} the lines
+	 */
+	format_definition_list(list, width) {
+		return list.nodes.flatMap((node, index) => {
+			if (node instanceof md.DefinitionTerm) {
+				const term = this.with_escaping(node.nodes, () => this.format_inline(node.nodes));
+				return index !== 0 && list.nodes[index - 1] instanceof md.DefinitionDescription ? ["", term] : [term];
+			}
+
+			const lines = this.format_flow(node.nodes, narrow(width, 4), 1);
+			if (lines.length === 0)
+				return [": "];
+			return lines.map((line, line_index) => line_index === 0 ? ": " + line : (line === "" ? "" : "    " + line));
+		});
+	}
+
+	/**
+	 * Formats the given table, with its columns aligned if enabled.
+	 *
+	 * @param {md.Table} table the table
+	 * @return {string[]} the lines
+	 */
+	format_table(table) {
+		const rows = table.nodes.map(row => row.nodes.map(entry => this.with_escaping(entry.nodes, () => this.format_inline(entry.nodes))));
+		// Like toString, all the alignments are kept even if the head has fewer columns.
+		const columns = Math.max(rows[0].length, table.alignments.length);
+		const alignments = [...Array(columns).keys()].map(column => table.get_alignment(column));
+
+		if (!this.options.align_tables) {
+			return [
+				"| " + rows[0].join(" | ") + " |",
+				"|" + alignments.map(alignment => alignment.toString()).join("|") + "|",
+				...rows.slice(1).map(row => "| " + row.join(" | ") + " |")
+			];
+		}
+
+		const widths = alignments.map((_, column) => Math.max(3, ...rows.map(row => row[column] !== undefined ? row[column].length : 0)));
+		const pad = (cell, column) => {
+			const alignment = column < alignments.length ? alignments[column] : md.TableAlignments.NONE;
+			const missing = column < widths.length ? widths[column] - cell.length : 0;
+
+			if (alignment === md.TableAlignments.RIGHT)
+				return " ".repeat(missing) + cell;
+			else if (alignment === md.TableAlignments.CENTER)
+				return " ".repeat(Math.floor(missing / 2)) + cell + " ".repeat(Math.ceil(missing / 2));
+			return cell + " ".repeat(missing);
+		};
+
+		return [
+			"| " + rows[0].map(pad).join(" | ") + " |",
+			"|" + alignments.map((alignment, column) => alignment.left + "-".repeat(widths[column]) + alignment.right).join("|") + "|",
+			...rows.slice(1).map(row => "| " + row.map(pad).join(" | ") + " |")
+		];
+	}
+}
+
+/**
+ * Returns the reference definitions to write at the end of the document, like {@link md.MDDocument#toString}.
+ *
+ * @param {md.MDDocument} doc the document
+ * @return {string[]} the reference definitions
+ */
+function get_reference_definitions(doc) {
+	const references = [...doc.references];
+	md.walk(doc, {
+		enter(node) {
+			if (node instanceof md.Link && node.ref_name && node.ref.url !== undefined)
+				references.push({ name: node.ref_name, ref: node.ref });
+		}
+	});
+
+	return references.filter(reference => reference.ref.url !== undefined)
+		.map(reference => `[${reference.name}]: ${reference.ref.toString()}`)
+		.filter((definition, index, definitions) => definitions.indexOf(definition) === index);
+}
+
+/**
+ * Formats the given Markdown document.
+ *
+ * Unlike {@link md.MDDocument#toString}, the style of the output can be configured with the following options:
+ * - `bullet`: the marker of the unordered list entries, `-` (default), `*` or `+`;
+ * - `emphasis`: the marker of the italic elements, `*` (default) or `_`, the other one is used if the content contains it;
+ * - `ordered_numbering`: `increment` (default) to number the ordered list entries from the start of their list,
+ * or `constant` to number them all with the start of their list;
+ * - `line_width`: the maximum width of the lines of the paragraphs, which are re-wrapped between words, or `0` (default) to not wrap them;
+ * - `align_tables`: `true` (default) to pad the cells of the tables so their columns are aligned;
+ * - `blank_lines`: the number of blank lines between two blocks of the document, `1` by default.
+ *
+ * The bold elements always use `**` as `__` is used by underlines, and the text which would be parsed as something else is escaped.
+ * The output is stable: formatting the document parsed from the output gives the same output.
+ *
+ * @param {md.MDDocument} doc the document to format
+ * @param options the format options
+ * @return {string} the formatted document
+ * @throws {Error} if an option is unknown or invalid
+ * @since 1.8.0
+ */
+export function format(doc, options = {}) {
+	const formatter = new Formatter(compile_format_options(options));
+
+	const lines = formatter.format_flow(doc.blocks, formatter.options.line_width, formatter.options.blank_lines);
+	const definitions = get_reference_definitions(doc);
+	if (definitions.length !== 0) {
+		if (lines.length !== 0)
+			lines.push(...new Array(formatter.options.blank_lines).fill(""));
+		lines.push(...definitions);
+	}
+
+	return lines.length === 0 ? "" : lines.join("\n") + "\n";
+}
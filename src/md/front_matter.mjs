@@ -0,0 +1,445 @@
+/*
+ * Copyright © 2022 LambdAurora <email@lambdaurora.dev>
+ *
+ * This file is part of lib.md.
+ *
+ * Licensed under the MIT license. For more information,
+ * see the LICENSE file.
+ */
+
+/**
+ * @file Detects the front matter of documents and parses their metadata, with built-in parsers for the common subsets of YAML and TOML.
+ */
+
+const LINE_SEPARATOR_REGEX = /\r\n|\r|\n/;
+
+const YAML_KEY_REGEX = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"\-[\]{}][^#]*?|-[^\s#][^#]*?)\s*:(?:\s+(.*))?$/;
+const YAML_BLOCK_SCALAR_REGEX = /^([|>])([+-]?)\s*(?:#.*)?$/;
+const YAML_INTEGER_REGEX = /^[-+]?\d+$/;
+const YAML_FLOAT_REGEX = /^[-+]?(?:\d+\.\d*|\.\d+|\d+)(?:[eE][-+]?\d+)?$/;
+const YAML_DOUBLE_QUOTED_REGEX = /^"(?:[^"\\]|\\.)*"/;
+const YAML_SINGLE_QUOTED_REGEX = /^'((?:[^']|'')*)'/;
+const YAML_COMMENT_REGEX = /^(?:\s+#.*)?\s*$/;
+// The flow mappings, anchors, aliases, tags, directives and reserved indicators aren't supported.
+const YAML_UNSUPPORTED_REGEX = /^[{}\]&*!%@`]/;
+
+const TOML_SPACES = /[ \t]*/y;
+const TOML_BLANK = /(?:[ \t\r\n]|#[^\n]*)*/y;
+const TOML_LINE_END = /[ \t]*(?:#[^\n]*)?(?:\r?\n|$)/y;
+const TOML_BARE_KEY = /[A-Za-z0-9_-]+/y;
+const TOML_BASIC_STRING = /"((?:[^"\\\n]|\\.)*)"/y;
+const TOML_LITERAL_STRING = /'([^'\n]*)'/y;
+const TOML_MULTILINE_BASIC_STRING = /"""\r?\n?((?:[^\\]|\\[^])*?)"""(?!")/y;
+const TOML_MULTILINE_LITERAL_STRING = /'''\r?\n?([^]*?)'''(?!')/y;
+const TOML_DATE = /\d{4}-\d{2}-\d{2}(?:[Tt ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:[Zz]|[+-]\d{2}:\d{2})?)?|\d{2}:\d{2}:\d{2}(?:\.\d+)?/y;
+const TOML_NUMBER = /[+-]?(?:inf|nan)|0x[\dA-Fa-f_]+|0o[0-7_]+|0b[01_]+|[+-]?\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d[\d_]*)?/y;
+const TOML_BOOLEAN = /true|false/y;
+const TOML_ESCAPES = { b: "\b", t: "\t", n: "\n", f: "\f", r: "\r", "\"": "\"", "\\": "\\" };
+
+/**
+ * Sets the given property of the given object, even if it's named like a property of the object prototype such as `__proto__`.
+ *
+ * @param {object} object the object
+ * @param {string} key the key of the property
+ * @param value the value of the property
+ */
+function set_property(object, key, value) {
+	Object.defineProperty(object, key, { value: value, enumerable: true, writable: true, configurable: true });
+}
+
+/*
+ * YAML
+ */
+
+function unsupported_yaml_value(value) {
+	return new Error(`lib.md ;; parse_yaml(): unsupported YAML value "${value}".`);
+}
+
+/**
+ * Splits the given YAML flow sequence on its top-level commas, ignoring the commas inside quotes and nested sequences.
+ *
+ * @param {string} value the value starting with the sequence
+ * @return {{items: string[], end: number}|null} the items and the index following the sequence, or `null` if it's invalid
+ */
+function split_yaml_flow(value) {
+	const items = [];
+	let quote = null;
+	let depth = 0;
+	let start = 1;
+
+	for (let i = 0; i < value.length; i++) {
+		const char = value[i];
+
+		if (quote) {
+			if (quote === "\"" && char === "\\")
+				i++;
+			else if (char === quote)
+				quote = null;
+		} else if (char === "\"" || char === "'") {
+			quote = char;
+		} else if (char === "[") {
+			depth++;
+		} else if ((char === "," && depth === 1) || (char === "]" && depth-- === 1)) {
+			const item = value.substring(start, i);
+			// Only the last item may be empty, after a trailing comma.
+			if (item.trim() !== "")
+				items.push(item);
+			else if (char === ",")
+				return null;
+
+			if (char === "]")
+				return { items: items, end: i + 1 };
+			start = i + 1;
+		}
+	}
+
+	return null;
+}
+
+function parse_yaml_scalar(value) {
+	value = value.trim();
+
+	let found;
+	if ((found = value.match(YAML_DOUBLE_QUOTED_REGEX)) && YAML_COMMENT_REGEX.test(value.substring(found[0].length)))
+		return JSON.parse(found[0]);
+	else if ((found = value.match(YAML_SINGLE_QUOTED_REGEX)) && YAML_COMMENT_REGEX.test(value.substring(found[0].length)))
+		return found[1].replace(/''/g, "'");
+	else if (value.startsWith("\"") || value.startsWith("'"))
+		throw unsupported_yaml_value(value);
+	else if (value.startsWith("[")) {
+		const flow = split_yaml_flow(value);
+		if (!flow || !YAML_COMMENT_REGEX.test(value.substring(flow.end)))
+			throw unsupported_yaml_value(value);
+		return flow.items.map(item => parse_yaml_scalar(item));
+	} else if (YAML_UNSUPPORTED_REGEX.test(value))
+		throw unsupported_yaml_value(value);
+
+	// Comments follow the plain scalars after a whitespace.
+	value = value.replace(/\s+#.*$/, "");
+	if (value === "" || value === "~" || value === "null")
+		return null;
+	else if (value === "true")
+		return true;
+	else if (value === "false")
+		return false;
+	else if (YAML_INTEGER_REGEX.test(value))
+		return parseInt(value, 10);
+	else if (YAML_FLOAT_REGEX.test(value))
+		return parseFloat(value);
+	return value;
+}
+
+/**
+ * Parses the given YAML metadata.
+ *
+ * Only the common subset of YAML used in front matter is supported:
+ * the block mappings and sequences, the flow sequences, the literal and folded block scalars, and the comments.
+ * The dates are kept as strings.
+ *
+ * @param {string} source the YAML source
+ * @return {object} the metadata
+ * @throws {Error} if the source uses unsupported YAML syntax
+ * @since 1.8.0
+ */
+export function parse_yaml(source) {
+	const lines = source.split(LINE_SEPARATOR_REGEX).map(line => ({ indent: line.length - line.trimStart().length, text: line.trim() }));
+	let index = 0;
+
+	const fail = () => new Error(`lib.md ;; parse_yaml(): unsupported YAML at line ${index + 1} "${lines[index].text}".`);
+	const skip = () => {
+		while (index < lines.length && (lines[index].text === "" || lines[index].text.startsWith("#")))
+			index++;
+	};
+	const is_sequence_item = line => line.text === "-" || line.text.startsWith("- ");
+
+	function parse_node(indent) {
+		skip();
+		if (index >= lines.length || lines[index].indent < indent)
+			return null;
+
+		return is_sequence_item(lines[index]) ? parse_sequence(lines[index].indent) : parse_mapping(lines[index].indent);
+	}
+
+	function parse_block_scalar(indent, style, chomping) {
+		const content = [];
+		while (index < lines.length && (lines[index].text === "" || lines[index].indent > indent)) {
+			content.push(lines[index]);
+			index++;
+		}
+
+		const content_indent = Math.min(...content.filter(line => line.text !== "").map(line => line.indent));
+		const raw = source.split(LINE_SEPARATOR_REGEX).slice(index - content.length, index)
+			.map(line => line.substring(Math.min(content_indent, line.length)));
+		while (raw.length !== 0 && raw[raw.length - 1] === "")
+			raw.pop();
+
+		// The folded lines are joined by spaces, except around the blank lines which become line feeds.
+		const text = style === "|" ? raw.join("\n")
+			: raw.reduce((result, line, i) => i === 0 ? line : (line === "" ? result + "\n" : result + (result.endsWith("\n") ? "" : " ") + line), "");
+		return chomping === "-" || text === "" ? text : text + "\n";
+	}
+
+	function parse_value(value, indent) {
+		let found;
+		if ((found = value.match(YAML_BLOCK_SCALAR_REGEX)))
+			return parse_block_scalar(indent, found[1], found[2]);
+		else if (value.trim() === "" || value.startsWith("#")) {
+			skip();
+			// The sequences may be at the same indentation as their key.
+			if (index < lines.length && (lines[index].indent > indent || (lines[index].indent === indent && is_sequence_item(lines[index]))))
+				return parse_node(lines[index].indent);
+			return null;
+		}
+		return parse_yaml_scalar(value);
+	}
+
+	function parse_sequence(indent) {
+		const result = [];
+		for (skip(); index < lines.length && lines[index].indent === indent && is_sequence_item(lines[index]); skip()) {
+			const content = lines[index].text.substring(1).trimStart();
+			if (content.match(YAML_KEY_REGEX) && !content.startsWith("\"") && !content.startsWith("'")) {
+				// A mapping which starts on the line of its item.
+				lines[index] = { indent: indent + lines[index].text.length - content.length, text: content };
+				result.push(parse_mapping(lines[index].indent));
+			} else {
+				index++;
+				result.push(parse_value(content, indent));
+			}
+		}
+		return result;
+	}
+
+	function parse_mapping(indent) {
+		const result = {};
+		for (skip(); index < lines.length && lines[index].indent === indent; skip()) {
+			const found = lines[index].text.match(YAML_KEY_REGEX);
+			if (!found || is_sequence_item(lines[index]))
+				throw fail();
+
+			const key = parse_yaml_scalar(found[1]);
+			index++;
+			set_property(result, key === null ? "null" : key.toString(), parse_value(found[2] ? found[2] : "", indent));
+		}
+		return result;
+	}
+
+	const result = parse_node(0);
+	skip();
+	if (index < lines.length)
+		throw fail();
+	return result === null ? {} : result;
+}
+
+/*
+ * TOML
+ */
+
+function unescape_toml(string) {
+	return string.replace(/\\(?:u([\dA-Fa-f]{4})|U([\dA-Fa-f]{8})|\r?\n[\s]*|(.))/g, (match, short, long, char) => {
+		if (short || long)
+			return String.fromCodePoint(parseInt(short || long, 16));
+		else if (char === undefined)
+			return "";
+		else if (Object.prototype.hasOwnProperty.call(TOML_ESCAPES, char))
+			return TOML_ESCAPES[char];
+		throw new Error(`lib.md ;; parse_toml(): invalid escape sequence "${match}".`);
+	});
+}
+
+/**
+ * Parses the given TOML metadata.
+ *
+ * The dates and times are kept as strings.
+ *
+ * @param {string} source the TOML source
+ * @return {object} the metadata
+ * @throws {Error} if the source is invalid TOML
+ * @since 1.8.0
+ */
+export function parse_toml(source) {
+	const root = {};
+	const defined = new Set();
+	let index = 0;
+
+	const fail = message => new Error(`lib.md ;; parse_toml(): ${message} at line ${source.substring(0, index).split("\n").length}.`);
+	const match = regex => {
+		regex.lastIndex = index;
+		const found = regex.exec(source);
+		if (found)
+			index = regex.lastIndex;
+		return found;
+	};
+	const expect = token => {
+		match(TOML_SPACES);
+		if (!source.startsWith(token, index))
+			throw fail(`expected "${token}"`);
+		index += token.length;
+	};
+
+	function parse_key() {
+		const keys = [];
+		do {
+			match(TOML_SPACES);
+			const found = match(TOML_BASIC_STRING) || match(TOML_LITERAL_STRING) || match(TOML_BARE_KEY);
+			if (!found)
+				throw fail("expected a key");
+			keys.push(found[0].startsWith("\"") ? unescape_toml(found[1]) : (found[0].startsWith("'") ? found[1] : found[0]));
+			match(TOML_SPACES);
+		} while (source[index] === "." && index++);
+		return keys;
+	}
+
+	function parse_value() {
+		match(TOML_SPACES);
+		let found;
+
+		if ((found = match(TOML_MULTILINE_BASIC_STRING)))
+			return unescape_toml(found[1]);
+		else if ((found = match(TOML_MULTILINE_LITERAL_STRING)))
+			return found[1];
+		else if ((found = match(TOML_BASIC_STRING)))
+			return unescape_toml(found[1]);
+		else if ((found = match(TOML_LITERAL_STRING)))
+			return found[1];
+		else if ((found = match(TOML_BOOLEAN)))
+			return found[0] === "true";
+		else if ((found = match(TOML_DATE)))
+			return found[0];
+		else if ((found = match(TOML_NUMBER))) {
+			const number = found[0].replace(/_/g, "");
+			if (number.endsWith("inf"))
+				return number.startsWith("-") ? -Infinity : Infinity;
+			else if (number.endsWith("nan"))
+				return NaN;
+			return Number(number);
+		} else if (source[index] === "[") {
+			index++;
+			const array = [];
+			for (match(TOML_BLANK); source[index] !== "]"; match(TOML_BLANK)) {
+				array.push(parse_value());
+				match(TOML_BLANK);
+				if (source[index] === ",")
+					index++;
+				else if (source[index] !== "]")
+					throw fail("expected \",\" or \"]\" in array");
+			}
+			index++;
+			return array;
+		} else if (source[index] === "{") {
+			index++;
+			const table = {};
+			for (match(TOML_SPACES); source[index] !== "}"; match(TOML_SPACES)) {
+				const keys = parse_key();
+				expect("=");
+				set_value(table, keys, parse_value());
+				match(TOML_SPACES);
+				if (source[index] === ",")
+					index++;
+				else if (source[index] !== "}")
+					throw fail("expected \",\" or \"}\" in inline table");
+			}
+			index++;
+			return table;
+		}
+		throw fail("expected a value");
+	}
+
+	function get_table(table, keys) {
+		for (const key of keys) {
+			if (!Object.prototype.hasOwnProperty.call(table, key))
+				set_property(table, key, {});
+
+			table = table[key];
+			if (Array.isArray(table))
+				table = table[table.length - 1];
+			if (table === null || typeof table !== "object" || Array.isArray(table))
+				throw fail(`key "${keys.join(".")}" is not a table`);
+		}
+		return table;
+	}
+
+	function set_value(table, keys, value) {
+		table = get_table(table, keys.slice(0, -1));
+		const key = keys[keys.length - 1];
+		if (Object.prototype.hasOwnProperty.call(table, key))
+			throw fail(`key "${keys.join(".")}" is defined twice`);
+		set_property(table, key, value);
+	}
+
+	let table = root;
+	for (match(TOML_BLANK); index < source.length; match(TOML_BLANK)) {
+		if (source.startsWith("[[", index)) {
+			index += 2;
+			const keys = parse_key();
+			expect("]]");
+
+			const parent = get_table(root, keys.slice(0, -1));
+			const key = keys[keys.length - 1];
+			if (!Object.prototype.hasOwnProperty.call(parent, key))
+				set_property(parent, key, []);
+			if (!Array.isArray(parent[key]))
+				throw fail(`key "${keys.join(".")}" is not an array of tables`);
+
+			table = {};
+			parent[key].push(table);
+		} else if (source[index] === "[") {
+			index++;
+			const keys = parse_key();
+			expect("]");
+
+			const name = keys.join(".");
+			if (defined.has(name))
+				throw fail(`table "${name}" is defined twice`);
+			defined.add(name);
+			table = get_table(root, keys);
+		} else {
+			const keys = parse_key();
+			expect("=");
+			set_value(table, keys, parse_value());
+		}
+
+		if (!match(TOML_LINE_END))
+			throw fail("expected a new line");
+	}
+
+	return root;
+}
+
+/*
+ * Front matter
+ */
+
+/**
+ * The built-in front matter formats by name, with their fence and the parser of their metadata.
+ */
+const FRONT_MATTER_FORMATS = Object.freeze({
+	yaml: Object.freeze({ fence: "---", parse: parse_yaml }),
+	toml: Object.freeze({ fence: "+++", parse: parse_toml })
+});
+
+/**
+ * Returns the front matter formats, the built-in ones along with the given ones which override them.
+ *
+ * @param {Object<string, {fence: string, parse: function(string): object}>|null} formats the additional formats by name
+ * @return {Object<string, {fence: string, parse: function(string): object}>} the front matter formats by name
+ */
+export function get_front_matter_formats(formats = null) {
+	return formats ? { ...FRONT_MATTER_FORMATS, ...formats } : FRONT_MATTER_FORMATS;
+}
+
+/**
+ * Finds the front matter format whose fence is the given line.
+ *
+ * @param {string} line the line
+ * @param {Object<string, {fence: string, parse: function(string): object}>|null} formats the additional formats by name
+ * @return {{name: string, fence: string, parse: function(string): object}|null} the format if found, otherwise `null`
+ */
+export function find_front_matter_format(line, formats = null) {
+	line = line.trimEnd();
+
+	for (const [name, format] of Object.entries(get_front_matter_formats(formats))) {
+		if (format.fence === line)
+			return { name: name, fence: format.fence, parse: format.parse };
+	}
+	return null;
+}
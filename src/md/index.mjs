@@ -9,4 +9,10 @@
 
 export * from "./markdown.mjs";
 export * as parser from "./parser.mjs";
+export { Parser } from "./parser.mjs";
+export * from "./diff.mjs";
+export * from "./format.mjs";
+export { parse_yaml, parse_toml } from "./front_matter.mjs";
+export * from "./mdast.mjs";
 export * from "./renderer.mjs";
+export * from "./select.mjs";
@@ -9,6 +9,9 @@
 
 import * as html from "../html.mjs";
 
+const PROVISIONAL_NODES = new WeakSet();
+const POSITION = Symbol("position");
+
 /**
  * Represents a Markdown node.
  *
@@ -16,6 +19,55 @@ import * as html from "../html.mjs";
  * @since 1.7.0
  */
 export class Node {
+	/**
+	 * Returns where this node is in the source it has been parsed from, or `null` if it isn't known.
+	 * Offsets start at 0, lines and columns start at 1, and the end is exclusive.
+	 *
+	 * It is kept under a private symbol, so it doesn't show up in the JSON representation unless asked for.
+	 * The shared {@link LINEBREAK} never has a position.
+	 *
+	 * @return {{start: {offset: number, line: number, column: number}, end: {offset: number, line: number, column: number}}|null} the source position
+	 * @since 1.8.0
+	 */
+	get position() {
+		return this[POSITION] || null;
+	}
+
+	/**
+	 * Sets where this node is in the source it has been parsed from.
+	 *
+	 * @param {{start: {offset: number, line: number, column: number}, end: {offset: number, line: number, column: number}}|null} position the source position
+	 * @since 1.8.0
+	 */
+	set position(position) {
+		if (this !== LINEBREAK)
+			this[POSITION] = position;
+	}
+
+	/**
+	 * Returns whether this node is provisional, which means it has been parsed from an open construct of a stream
+	 * and is meant to be replaced once the construct is closed.
+	 *
+	 * @return {boolean} `true` if this node is provisional, otherwise `false`
+	 * @since 1.8.0
+	 */
+	get provisional() {
+		return PROVISIONAL_NODES.has(this);
+	}
+
+	/**
+	 * Sets whether this node is provisional.
+	 *
+	 * @param {boolean} provisional `true` if this node is provisional, otherwise `false`
+	 * @since 1.8.0
+	 */
+	set provisional(provisional) {
+		if (provisional)
+			PROVISIONAL_NODES.add(this);
+		else
+			PROVISIONAL_NODES.delete(this);
+	}
+
 	/**
 	 * Returns whether this element should be treated as a block element.
 	 *
@@ -132,6 +184,92 @@ export class Reference {
 	}
 }
 
+/**
+ * Represents the attributes of an element, like `{#id .class key=value}`, which are applied to its rendered HTML element.
+ *
+ * @version 1.8.0
+ * @since 1.8.0
+ */
+export class Attributes {
+	/* Class attributes:
+	id: string|null;
+	classes: string[];
+	values: Object<string, string>;
+	*/
+
+	/**
+	 * @param {string|null} id the identifier
+	 * @param {string[]} classes the classes
+	 * @param {Object<string, string>} values the other attributes by name
+	 */
+	constructor(id = null, classes = [], values = {}) {
+		this.id = id;
+		this.classes = classes;
+		this.values = values;
+	}
+
+	/**
+	 * Reads attributes from their JSON representation.
+	 *
+	 * @param {{id: string|null, classes: string[], values: Object<string, string>}} json the JSON representation of the attributes
+	 * @return {Attributes} the attributes
+	 */
+	static from_json(json) {
+		return new Attributes(json.id, [...json.classes], { ...json.values });
+	}
+
+	/**
+	 * Returns whether these attributes are empty.
+	 *
+	 * @return {boolean} `true` if there's no identifier, class or other attribute, otherwise `false`
+	 */
+	is_empty() {
+		return this.id === null && this.classes.length === 0 && Object.keys(this.values).length === 0;
+	}
+
+	toString() {
+		const parts = [];
+		if (this.id !== null)
+			parts.push("#" + this.id);
+		this.classes.forEach(name => parts.push("." + name));
+		Object.entries(this.values).forEach(([name, value]) => {
+			if (/^[^\s"'{}]+$/.test(value))
+				parts.push(`${name}=${value}`);
+			else
+				parts.push(value.includes("\"") ? `${name}='${value}'` : `${name}="${value}"`);
+		});
+		return `{${parts.join(" ")}}`;
+	}
+
+	toJSON() {
+		return { id: this.id, classes: this.classes, values: this.values };
+	}
+}
+
+/**
+ * Returns the given attributes as a suffix of the string representation of their element.
+ *
+ * @param {Attributes|null} attributes the attributes
+ * @param {string} separator the separator between the element and its attributes
+ * @return {string} the attributes suffix, empty if there's no attributes
+ */
+function attributes_suffix(attributes, separator = "") {
+	return attributes && !attributes.is_empty() ? separator + attributes.toString() : "";
+}
+
+/**
+ * Adds the given attributes to the JSON representation of their element if there are any.
+ *
+ * @param {object} json the JSON representation of the element
+ * @param {Attributes|null} attributes the attributes
+ * @return {object} the JSON representation
+ */
+function with_attributes_json(json, attributes) {
+	if (attributes && !attributes.is_empty())
+		json.attributes = attributes;
+	return json;
+}
+
 /*
  * Inlines
  */
@@ -269,12 +407,17 @@ export class InlineLink extends Text {
 	}
 }
 
+/**
+ * Represents a line break.
+ *
+ * It is shared by all the documents, so it has no source position.
+ */
 export const LINEBREAK = new Text("  \n");
 
 /**
  * Represents a comment.
  *
- * @version 1.1.0
+ * @version 1.8.0
  * @since 1.1.0
  */
 export class Comment extends Element {
@@ -282,6 +425,17 @@ export class Comment extends Element {
 		super(comment);
 	}
 
+	/**
+	 * Returns the JSON representation of this comment.
+	 *
+	 * Before 1.8.0 it had no type, {@link MDDocument.from_json} still reads this legacy representation.
+	 *
+	 * @return {{type: string, nodes: Node[]}} the JSON representation
+	 */
+	toJSON() {
+		return { type: "comment", nodes: this.nodes };
+	}
+
 	as_html() {
 		return new html.Comment(this.toString());
 	}
@@ -423,7 +577,7 @@ export class Spoiler extends Element {
 /**
  * Represents a link.
  *
- * @version 1.2.0
+ * @version 1.8.0
  * @since 1.0.0
  */
 export class Link extends Element {
@@ -432,8 +586,9 @@ export class Link extends Element {
 	 * @param {string|Node|(Node|string)[]} title the title
 	 * @param {string|undefined} tooltip the optional tooltip
 	 * @param {string|undefined} reference non-empty string if the link is referenced later in the document
+	 * @param {Attributes|null} attributes the attributes of the link
 	 */
-	constructor(url, title, tooltip, reference) {
+	constructor(url, title, tooltip, reference, attributes = null) {
 		if (title === undefined || title === "") {
 			title = new Text(url);
 		}
@@ -442,6 +597,7 @@ export class Link extends Element {
 		super(title, false);
 		this.ref = new Reference(url, tooltip);
 		this.ref_name = reference.toLowerCase();
+		this.attributes = attributes;
 	}
 
 	/**
@@ -455,28 +611,33 @@ export class Link extends Element {
 
 	toString() {
 		const title = super.toString();
+		let link;
 		if (this.ref_name) {
-			if (this.ref_name === title)
+			// The attributes can't follow a shortcut reference.
+			if (this.ref_name === title && !attributes_suffix(this.attributes))
 				return `[${title}]`;
-			return `[${title}][${this.ref_name}]`;
+			link = `[${title}][${this.ref_name}]`;
+		} else {
+			link = `[${title}](${this.ref.toString()})`;
 		}
-		return `[${title}](${this.ref.toString()})`;
+		return link + attributes_suffix(this.attributes);
 	}
 
 	toJSON() {
-		return { type: "link", url: this.ref.url, title: this.nodes, tooltip: this.ref.tooltip, ref_name: this.ref_name };
+		return with_attributes_json({ type: "link", url: this.ref.url, title: this.nodes, tooltip: this.ref.tooltip, ref_name: this.ref_name },
+			this.attributes);
 	}
 }
 
 /**
  * Represents an image.
  *
- * @version 1.0.0
+ * @version 1.8.0
  * @since 1.0.0
  */
 export class Image extends Link {
-	constructor(url, alt, tooltip, reference) {
-		super(url, alt, tooltip, reference);
+	constructor(url, alt, tooltip, reference, attributes = null) {
+		super(url, alt, tooltip, reference, attributes);
 	}
 
 	toString() {
@@ -484,7 +645,41 @@ export class Image extends Link {
 	}
 
 	toJSON() {
-		return { type: "image", url: this.ref.url, alt: this.nodes, tooltip: this.ref.tooltip, ref_name: this.ref_name };
+		return with_attributes_json({ type: "image", url: this.ref.url, alt: this.nodes, tooltip: this.ref.tooltip, ref_name: this.ref_name },
+			this.attributes);
+	}
+}
+
+/**
+ * Represents a reference to a footnote, like `[^1]`.
+ *
+ * @version 1.8.0
+ * @since 1.8.0
+ */
+export class FootnoteReference extends Node {
+	/**
+	 * @param {string} name the name of the referenced footnote, footnote names are case-insensitive
+	 */
+	constructor(name) {
+		super();
+		this.name = name;
+	}
+
+	/**
+	 * Returns the reference as plain text, which is empty as it isn't part of the text.
+	 *
+	 * @return {string} the reference as plain text
+	 */
+	as_plain_text() {
+		return "";
+	}
+
+	toString() {
+		return `[^${this.name}]`;
+	}
+
+	toJSON() {
+		return { type: "footnote_reference", name: this.name };
 	}
 }
 
@@ -511,27 +706,109 @@ export const HeadingLevel = Object.freeze({
 	H6: "h6"
 });
 
+/**
+ * Represents a generator of heading identifiers compatible with the ones of GitHub.
+ *
+ * The text is lowercased, the characters which aren't letters, marks, numbers, connector punctuations, spaces or hyphens are removed,
+ * then the spaces are replaced by hyphens.
+ * Identifiers which were already generated get a `-1`, `-2`, etc. suffix, so a slugger should be used for a single document.
+ *
+ * @version 1.8.0
+ * @since 1.8.0
+ */
+export class Slugger {
+	/* Class attributes:
+	occurrences: Map<string, number>;
+	*/
+
+	constructor() {
+		this.occurrences = new Map();
+	}
+
+	/**
+	 * Returns the identifier of the given text without de-duplication.
+	 *
+	 * @param {string} text the text
+	 * @return {string} the identifier
+	 */
+	static slugify(text) {
+		return text.toLowerCase().replace(/[^\p{L}\p{M}\p{N}\p{Pc} -]/gu, "").replace(/ /g, "-");
+	}
+
+	/**
+	 * Returns a unique identifier for the given text.
+	 *
+	 * @param {string} text the text
+	 * @return {string} the identifier
+	 */
+	slug(text) {
+		const original = Slugger.slugify(text);
+		let slug = original;
+
+		while (this.occurrences.has(slug)) {
+			const count = this.occurrences.get(original) + 1;
+			this.occurrences.set(original, count);
+			slug = `${original}-${count}`;
+		}
+
+		this.occurrences.set(slug, 0);
+		return slug;
+	}
+
+	/**
+	 * Reserves the given identifier, so it isn't generated for another text.
+	 *
+	 * @param {string} id the identifier
+	 * @return {Slugger} this slugger
+	 * @since 1.8.0
+	 */
+	reserve(id) {
+		if (!this.occurrences.has(id))
+			this.occurrences.set(id, 0);
+		return this;
+	}
+
+	/**
+	 * Forgets the generated identifiers.
+	 *
+	 * @return {Slugger} this slugger
+	 */
+	reset() {
+		this.occurrences.clear();
+		return this;
+	}
+}
+
 export class Heading extends BlockElement {
 	/**
 	 * @param {string|(Element|Text|string)[]} nodes the inner nodes of the element
 	 * @param {String} level the heading level
+	 * @param {Attributes|null} attributes the attributes of the heading
 	 */
-	constructor(nodes, level) {
+	constructor(nodes, level, attributes = null) {
 		super(nodes, false);
 		this.level = level;
+		this.attributes = attributes;
 	}
 
 	/**
-	 * Returns the identifier of this heading.
+	 * Returns the identifier of this heading, which is the explicit identifier of its attributes if it has one.
 	 *
+	 * The identifiers of the headings of a document should be taken from {@link MDDocument#get_heading_ids} to be unique.
+	 *
+	 * @param {Slugger} slugger the slugger which generates the identifier
 	 * @return {string} the identifier
 	 */
-	get_id() {
-		return encodeURI(this.as_plain_text()).replace(/%20/g, "-").toLocaleLowerCase();
+	get_id(slugger = new Slugger()) {
+		if (this.attributes && this.attributes.id !== null) {
+			slugger.reserve(this.attributes.id);
+			return this.attributes.id;
+		}
+		return slugger.slug(this.as_plain_text());
 	}
 
 	toString() {
-		const content = this.nodes.map(node => node.toString()).join(" ");
+		const content = this.nodes.map(node => node.toString()).join(" ") + attributes_suffix(this.attributes, " ");
 		switch (this.level) {
 			case HeadingLevel.H1:
 				return "# " + content;
@@ -551,25 +828,40 @@ export class Heading extends BlockElement {
 	}
 
 	toJSON() {
-		return { type: "heading", level: this.level, nodes: this.nodes };
+		return with_attributes_json({ type: "heading", level: this.level, nodes: this.nodes }, this.attributes);
 	}
 }
 
 export class Paragraph extends BlockElement {
-	constructor(nodes) {
+	/**
+	 * @param {string|(Element|Text|string)[]} nodes the inner nodes of the element
+	 * @param {Attributes|null} attributes the attributes of the paragraph
+	 */
+	constructor(nodes, attributes = null) {
 		super(nodes);
+		this.attributes = attributes;
+	}
+
+	toString() {
+		return super.toString() + attributes_suffix(this.attributes, "\n");
 	}
 
 	toJSON() {
-		return { type: "paragraph", nodes: this.nodes };
+		return with_attributes_json({ type: "paragraph", nodes: this.nodes }, this.attributes);
 	}
 }
 
 export class BlockCode extends BlockElement {
-	constructor(code, language) {
+	/**
+	 * @param {string} code the code
+	 * @param {string} language the language of the code
+	 * @param {Attributes|null} attributes the attributes of the code block
+	 */
+	constructor(code, language, attributes = null) {
 		super([], true);
 		this.code = code;
 		this.language = language;
+		this.attributes = attributes;
 	}
 
 	push(code) {
@@ -587,11 +879,12 @@ export class BlockCode extends BlockElement {
 	}
 
 	toString() {
-		return "```" + (this.has_language() ? this.language + "\n" : "\n") + this.code + "\n```";
+		return "```" + (this.has_language() ? this.language : "") + attributes_suffix(this.attributes, this.has_language() ? " " : "")
+			+ "\n" + this.code + "\n```";
 	}
 
 	toJSON() {
-		return { type: "block_code", code: this.code, language: this.language };
+		return with_attributes_json({ type: "block_code", code: this.code, language: this.language }, this.attributes);
 	}
 }
 
@@ -609,9 +902,74 @@ export class BlockQuote extends BlockElement {
 	}
 }
 
+/**
+ * The built-in alert kinds by name, with their default title.
+ */
+const ALERT_KINDS = Object.freeze({
+	note: "Note",
+	tip: "Tip",
+	important: "Important",
+	warning: "Warning",
+	caution: "Caution"
+});
+
+/**
+ * Gets the alert kind of the given name, among the built-in ones and the given custom ones.
+ *
+ * The custom kinds are titled after their name.
+ *
+ * @param {string} name the name of the kind, case-insensitive
+ * @param {string[]|null} kinds the names of the custom kinds, like `danger` for `> [!DANGER]`
+ * @return {{name: string, title: string}|null} the alert kind if known, otherwise `null`
+ * @since 1.8.0
+ */
+export function get_alert_kind(name, kinds = null) {
+	name = name.toLowerCase();
+	if (Object.prototype.hasOwnProperty.call(ALERT_KINDS, name))
+		return { name: name, title: ALERT_KINDS[name] };
+	else if (kinds && kinds.some(kind => kind.toLowerCase() === name))
+		return { name: name, title: name.charAt(0).toUpperCase() + name.substring(1) };
+
+	return null;
+}
+
+/**
+ * Represents an alert, a block quote which starts with its kind like `> [!NOTE]`.
+ *
+ * Unlike the block quotes, the paragraphs of the alert are kept as blocks.
+ *
+ * @version 1.8.0
+ * @since 1.8.0
+ */
+export class Alert extends BlockElement {
+	/* Class attributes:
+	kind: string;
+	*/
+
+	/**
+	 * @param {string} kind the kind of the alert, like `note`
+	 * @param {Node[]} nodes the blocks of the alert
+	 */
+	constructor(kind, nodes = []) {
+		super(nodes);
+		this.kind = kind.toLowerCase();
+	}
+
+	toString() {
+		const content = this.nodes.map(block => block.toString()).join("\n\n");
+		return `> [!${this.kind.toUpperCase()}]` + (content !== "" ? "\n" + content.split("\n").map(line => `> ${line}`).join("\n") : "");
+	}
+
+	toJSON() {
+		return { type: "alert", kind: this.kind, nodes: this.nodes };
+	}
+}
+
 /**
  * Represents a horizontal rule.
  *
+ * It is shared by all the documents, so it has no source position.
+ *
  * @version 1.2.0
  * @since 1.2.0
  */
@@ -717,6 +1075,81 @@ export class ListEntry extends Element {
 	}
 }
 
+/**
+ * Represents a definition list, like a glossary.
+ *
+ * Its nodes are the terms and the descriptions in order, each group of terms is followed by its descriptions.
+ *
+ * @version 1.8.0
+ * @since 1.8.0
+ */
+export class DefinitionList extends BlockElement {
+	/**
+	 * @param {(DefinitionTerm|DefinitionDescription)[]} nodes the terms and the descriptions
+	 */
+	constructor(nodes = []) {
+		super(nodes);
+	}
+
+	toString() {
+		return this.nodes.map((node, index) => {
+			// A blank line separates the groups of terms and descriptions.
+			const separator = index !== 0 && node instanceof DefinitionTerm && this.nodes[index - 1] instanceof DefinitionDescription ? "\n" : "";
+			return separator + node.toString();
+		}).join("\n");
+	}
+
+	toJSON() {
+		return { type: "definition_list", nodes: this.nodes };
+	}
+}
+
+/**
+ * Represents a term of a definition list.
+ *
+ * @version 1.8.0
+ * @since 1.8.0
+ */
+export class DefinitionTerm extends BlockElement {
+	/**
+	 * @param {string|(Node|string)[]} nodes the inline nodes of the term
+	 */
+	constructor(nodes = []) {
+		super(nodes, false);
+	}
+
+	toJSON() {
+		return { type: "definition_term", nodes: this.nodes };
+	}
+}
+
+/**
+ * Represents a description of the terms which precede it in a definition list.
+ *
+ * The following blocks of the description are indented.
+ *
+ * @version 1.8.0
+ * @since 1.8.0
+ */
+export class DefinitionDescription extends BlockElement {
+	/**
+	 * @param {Node[]} nodes the blocks of the description
+	 */
+	constructor(nodes = []) {
+		super(nodes);
+	}
+
+	toString() {
+		return ": " + this.nodes.map(block => block.toString()).join("\n\n").split("\n")
+			.map((line, index) => index === 0 || line === "" ? line : "    " + line)
+			.join("\n");
+	}
+
+	toJSON() {
+		return { type: "definition_description", nodes: this.nodes };
+	}
+}
+
 export class InlineHTML extends BlockElement {
 	constructor(nodes) {
 		super(nodes, true);
@@ -790,10 +1223,62 @@ export const TableAlignments = Object.freeze(function() {
 	return alignments;
 }());
 
+/**
+ * Creates an entry of the given row.
+ *
+ * An entry which is already in a row is moved, an empty entry takes its place in its previous row.
+ *
+ * @param {TableRow} row the row of the entry
+ * @param {TableEntry|Node|string|(Node|string)[]} nodes the entry itself or its nodes
+ * @return {TableEntry} the entry
+ */
+function create_table_entry(row, nodes = []) {
+	if (nodes instanceof TableEntry) {
+		const previous = nodes.row ? nodes.row.nodes.indexOf(nodes) : -1;
+		if (previous !== -1)
+			nodes.row.nodes[previous] = new TableEntry(nodes.row, []);
+
+		nodes.row = row;
+		return nodes;
+	}
+
+	return new TableEntry(row, nodes instanceof Node ? [nodes] : nodes);
+}
+
+/**
+ * Fills the given row with empty entries up to the given length.
+ *
+ * @param {TableRow} row the row
+ * @param {number} length the minimum number of entries of the row
+ */
+function fill_table_row(row, length) {
+	while (row.nodes.length < length)
+		row.nodes.push(new TableEntry(row, []));
+}
+
+/**
+ * Checks the given index is between 0 and the given maximum, inclusive.
+ *
+ * @param {number} index the index
+ * @param {number} max the maximum index
+ * @param {string} method the name of the calling method
+ * @throws {Error} if the index is out of bounds
+ */
+function check_table_index(index, max, method) {
+	if (!Number.isInteger(index) || index < 0 || index > max)
+		throw new Error(`lib.md ;; Table#${method}(): index ${index} is out of bounds, expected between 0 and ${max}.`);
+}
+
+function compare_table_entries(a, b) {
+	return (a ? a.as_plain_text() : "").localeCompare(b ? b.as_plain_text() : "", undefined, { numeric: true });
+}
+
 /**
  * Represents a table.
  *
- * @version 1.2.0
+ * The rows are indexed from the head, which is the row 0.
+ *
+ * @version 1.8.0
  * @since 1.2.0
  */
 export class Table extends BlockElement {
@@ -838,25 +1323,261 @@ export class Table extends BlockElement {
 		return this.nodes.filter((_, index) => index !== 0);
 	}
 
-	toString() {
-		const head_columns = this.get_head().nodes.map(column => column.toString());
-		const alignments = "|" + this.alignments
-				.map((alignment, index) => alignment.to_pretty_string(head_columns[index] ? head_columns[index].length + 2 : 5))
-				.join("|")
-			+ "|";
-
-		return "| " + head_columns.join(" | ") + " |\n" + alignments + "\n" + this.get_body().map(row => row.toString()).join("\n");
+	/**
+	 * Returns the number of rows of this table, including the head.
+	 *
+	 * @return {number} the number of rows
+	 * @since 1.8.0
+	 */
+	get_row_count() {
+		return this.nodes.length;
 	}
 
-	toJSON() {
-		return { type: "table", rows: this.nodes.map(row => row.toJSON()), alignments: this.alignments.map(alignment => alignment.name) };
+	/**
+	 * Returns the number of columns of this table, which is the number of entries of its longest row or its number of alignments.
+	 *
+	 * @return {number} the number of columns
+	 * @since 1.8.0
+	 */
+	get_column_count() {
+		return Math.max(this.alignments.length, ...this.nodes.map(row => row.nodes.length));
 	}
-}
 
-export class TableRow extends BlockElement {
 	/**
-	 * @param {Table} table the parent table
-	 * @param columns the columns of the row
+	 * Gets the entry at the specified cell.
+	 *
+	 * @param {number} row the row, `0` being the head
+	 * @param {number} column the column
+	 * @return {TableEntry|null} the entry, or `null` if there's none
+	 * @since 1.8.0
+	 */
+	get_cell(row, column) {
+		const table_row = this.nodes[row];
+		if (!table_row || !table_row.nodes[column])
+			return null;
+		return table_row.nodes[column];
+	}
+
+	/**
+	 * Sets the entry at the specified cell, the row is filled with empty entries if it is too short.
+	 * An entry of another cell is moved, which leaves an empty entry there.
+	 *
+	 * @param {number} row the row, `0` being the head
+	 * @param {number} column the column
+	 * @param {TableEntry|Node|string|(Node|string)[]} nodes the new entry or its nodes
+	 * @return {TableEntry} the new entry
+	 * @throws {Error} if the row doesn't exist or the column is negative
+	 * @since 1.8.0
+	 */
+	set_cell(row, column, nodes) {
+		check_table_index(row, this.nodes.length - 1, "set_cell");
+		check_table_index(column, Infinity, "set_cell");
+
+		const table_row = this.nodes[row];
+		fill_table_row(table_row, column + 1);
+		table_row.nodes[column].row = null;
+		return table_row.nodes[column] = create_table_entry(table_row, nodes);
+	}
+
+	/**
+	 * Inserts a new row at the specified index.
+	 *
+	 * @param {number} index the index of the new row, `0` to insert a new head
+	 * @param {(TableEntry|Node|string|(Node|string)[])[]} cells the entries of the row or their nodes
+	 * @return {TableRow} the new row
+	 * @throws {Error} if the index is out of bounds
+	 * @since 1.8.0
+	 */
+	insert_row(index, cells = []) {
+		check_table_index(index, this.nodes.length, "insert_row");
+
+		const row = new TableRow(this, []);
+		cells.forEach(cell => row.nodes.push(create_table_entry(row, cell)));
+		this.nodes.splice(index, 0, row);
+		return row;
+	}
+
+	/**
+	 * Removes the row at the specified index, if the head is removed the next row becomes the head.
+	 *
+	 * @param {number} index the index of the row
+	 * @return {TableRow} the removed row, which is detached from this table
+	 * @throws {Error} if the index is out of bounds
+	 * @since 1.8.0
+	 */
+	remove_row(index) {
+		check_table_index(index, this.nodes.length - 1, "remove_row");
+
+		const row = this.nodes.splice(index, 1)[0];
+		row.table = null;
+		if (this.nodes.length === 0)
+			this.nodes.push(new TableRow(this, []));
+		return row;
+	}
+
+	/**
+	 * Moves a row to another index.
+	 *
+	 * @param {number} from the index of the row to move
+	 * @param {number} to the new index of the row
+	 * @return {Table} this table
+	 * @throws {Error} if an index is out of bounds
+	 * @since 1.8.0
+	 */
+	move_row(from, to) {
+		check_table_index(from, this.nodes.length - 1, "move_row");
+		check_table_index(to, this.nodes.length - 1, "move_row");
+
+		this.nodes.splice(to, 0, this.nodes.splice(from, 1)[0]);
+		return this;
+	}
+
+	/**
+	 * Inserts a new column at the specified index, the shorter rows are filled with empty entries.
+	 *
+	 * Like {@link Table#push_column}, rows are added if there's more data than rows.
+	 *
+	 * @param {number} index the index of the new column
+	 * @param {TableEntry|Node|string|(Node|string)[]} head the head entry of the column or its nodes
+	 * @param {(TableEntry|Node|string|(Node|string)[])[]} data the entries of the column in the body or their nodes
+	 * @param {TableAlignment} alignment the alignment of the column
+	 * @return {Table} this table
+	 * @throws {Error} if the index is out of bounds
+	 * @since 1.8.0
+	 */
+	insert_column(index, head = [], data = [], alignment = TableAlignments.NONE) {
+		check_table_index(index, this.get_column_count(), "insert_column");
+
+		while (this.alignments.length < index)
+			this.alignments.push(TableAlignments.NONE);
+		this.alignments.splice(index, 0, alignment);
+
+		while (this.nodes.length < data.length + 1)
+			this.nodes.push(new TableRow(this, []));
+
+		this.nodes.forEach((row, row_index) => {
+			fill_table_row(row, index);
+			row.nodes.splice(index, 0, create_table_entry(row, row_index === 0 ? head : data[row_index - 1]));
+		});
+		return this;
+	}
+
+	/**
+	 * Removes the column at the specified index.
+	 *
+	 * @param {number} index the index of the column
+	 * @return {(TableEntry|null)[]} the removed entries of each row, which are detached from their row,
+	 * or `null` for the rows which didn't have one
+	 * @throws {Error} if the index is out of bounds
+	 * @since 1.8.0
+	 */
+	remove_column(index) {
+		check_table_index(index, this.get_column_count() - 1, "remove_column");
+
+		if (index < this.alignments.length)
+			this.alignments.splice(index, 1);
+
+		return this.nodes.map(row => {
+			if (index >= row.nodes.length)
+				return null;
+
+			const entry = row.nodes.splice(index, 1)[0];
+			entry.row = null;
+			return entry;
+		});
+	}
+
+	/**
+	 * Moves a column to another index with its alignment, the shorter rows are filled with empty entries.
+	 *
+	 * @param {number} from the index of the column to move
+	 * @param {number} to the new index of the column
+	 * @return {Table} this table
+	 * @throws {Error} if an index is out of bounds
+	 * @since 1.8.0
+	 */
+	move_column(from, to) {
+		const count = this.get_column_count();
+		check_table_index(from, count - 1, "move_column");
+		check_table_index(to, count - 1, "move_column");
+
+		while (this.alignments.length < count)
+			this.alignments.push(TableAlignments.NONE);
+		this.alignments.splice(to, 0, this.alignments.splice(from, 1)[0]);
+
+		this.nodes.forEach(row => {
+			fill_table_row(row, count);
+			row.nodes.splice(to, 0, row.nodes.splice(from, 1)[0]);
+		});
+		return this;
+	}
+
+	/**
+	 * Sorts the rows of the body by the entries of the specified column, the head stays in place.
+	 *
+	 * The sort is stable, by default the entries are compared by their plain text with numbers compared by their value.
+	 *
+	 * @param {number} column the column to sort by
+	 * @param {function(TableEntry|null, TableEntry|null): number} comparator the comparator of the entries,
+	 * which are `null` for the rows which don't have one
+	 * @return {Table} this table
+	 * @throws {Error} if the column is out of bounds
+	 * @since 1.8.0
+	 */
+	sort_rows(column, comparator = compare_table_entries) {
+		check_table_index(column, this.get_column_count() - 1, "sort_rows");
+
+		const body = this.get_body().sort((a, b) => comparator(a.nodes[column] || null, b.nodes[column] || null));
+		this.nodes.splice(1, body.length, ...body);
+		return this;
+	}
+
+	/**
+	 * Transposes this table, the rows become the columns and the columns become the rows.
+	 *
+	 * The shorter rows are filled with empty entries, and as the columns are new their alignments are reset.
+	 *
+	 * @return {Table} this table
+	 * @since 1.8.0
+	 */
+	transpose() {
+		const rows = this.nodes;
+		const columns = this.get_column_count();
+
+		this.nodes = [];
+		for (let column = 0; column < columns; column++) {
+			const row = new TableRow(this, []);
+			rows.forEach(old_row => {
+				row.nodes.push(old_row.nodes[column] ? create_table_entry(row, old_row.nodes[column]) : new TableEntry(row, []));
+			});
+			this.nodes.push(row);
+		}
+
+		if (this.nodes.length === 0)
+			this.nodes.push(new TableRow(this, []));
+		this.alignments = rows.map(() => TableAlignments.NONE);
+		return this;
+	}
+
+	toString() {
+		const head_columns = this.get_head().nodes.map(column => column.toString());
+		const alignments = "|" + this.alignments
+				.map((alignment, index) => alignment.to_pretty_string(head_columns[index] ? head_columns[index].length + 2 : 5))
+				.join("|")
+			+ "|";
+
+		return "| " + head_columns.join(" | ") + " |\n" + alignments + "\n" + this.get_body().map(row => row.toString()).join("\n");
+	}
+
+	toJSON() {
+		return { type: "table", rows: this.nodes.map(row => row.toJSON()), alignments: this.alignments.map(alignment => alignment.name) };
+	}
+}
+
+export class TableRow extends BlockElement {
+	/**
+	 * @param {Table} table the parent table
+	 * @param columns the columns of the row
 	 */
 	constructor(table, columns = []) {
 		super(columns);
@@ -865,6 +1586,7 @@ export class TableRow extends BlockElement {
 
 	push_column(column) {
 		if (column instanceof TableEntry) {
+			column.row = this;
 			this.nodes.push(column);
 		} else {
 			this.nodes.push(new TableEntry(this, column));
@@ -895,6 +1617,43 @@ export class TableEntry extends BlockElement {
 	}
 }
 
+/**
+ * Represents the front matter of a document, the metadata between fences at its very start like `---` for YAML.
+ *
+ * @version 1.8.0
+ * @since 1.8.0
+ */
+export class FrontMatter extends BlockElement {
+	/* Class attributes:
+	format: string;
+	fence: string;
+	raw: string;
+	metadata: object|null;
+	*/
+
+	/**
+	 * @param {string} format the name of the format of the front matter, like `yaml` or `toml`
+	 * @param {string} fence the fence around the front matter, like `---` or `+++`
+	 * @param {string} raw the raw front matter, without its fences
+	 * @param {object|null} metadata the parsed metadata, or `null` if it couldn't be parsed
+	 */
+	constructor(format, fence, raw, metadata = null) {
+		super([]);
+		this.format = format;
+		this.fence = fence;
+		this.raw = raw;
+		this.metadata = metadata;
+	}
+
+	toString() {
+		return this.fence + "\n" + (this.raw !== "" ? this.raw + "\n" : "") + this.fence;
+	}
+
+	toJSON() {
+		return { type: "front_matter", format: this.format, fence: this.fence, raw: this.raw, metadata: this.metadata };
+	}
+}
+
 /**
  * Represents a table of contents.
  *
@@ -912,10 +1671,12 @@ export class TableOfContents extends BlockElement {
 	 * Returns the table of contents as a standard list.
 	 *
 	 * @param {MDDocument} doc the Markdown document
+	 * @param {Slugger} slugger the slugger which generates the identifiers of the headings
 	 * @return {List} the equivalent list
 	 */
-	as_list(doc) {
+	as_list(doc, slugger = new Slugger()) {
 		const list = new List([], true);
+		const ids = doc.get_heading_ids(slugger);
 
 		let headings = doc.blocks.filter(block => block instanceof Heading);
 		const allow_h1 = headings.filter(block => block.level === HeadingLevel.H1).length > 1;
@@ -926,7 +1687,7 @@ export class TableOfContents extends BlockElement {
 		let current = [list];
 
 		function push_heading(list, heading) {
-			list.push(new ListEntry([new Paragraph([new Link(`#${heading.get_id()}`, heading.nodes)])]));
+			list.push(new ListEntry([new Paragraph([new Link(`#${ids.get(heading)}`, heading.nodes)])]));
 		}
 
 		headings.forEach(heading => {
@@ -971,31 +1732,272 @@ export class TableOfContents extends BlockElement {
 	}
 }
 
+/**
+ * Represents the definition of a footnote, like `[^1]: Some text.`
+ *
+ * The following blocks of the definition are indented.
+ *
+ * @version 1.8.0
+ * @since 1.8.0
+ */
+export class FootnoteDefinition extends BlockElement {
+	/**
+	 * @param {string} name the name of the footnote
+	 * @param {Node[]} nodes the blocks of the footnote
+	 */
+	constructor(name, nodes = []) {
+		super(nodes);
+		this.name = name;
+	}
+
+	toString() {
+		const content = this.nodes.map(block => block.toString()).join("\n\n").split("\n")
+			.map((line, index) => index === 0 || line === "" ? line : "    " + line)
+			.join("\n");
+		return `[^${this.name}]:` + (content !== "" ? " " + content : "");
+	}
+
+	toJSON() {
+		return { type: "footnote_definition", name: this.name, nodes: this.nodes };
+	}
+}
+
 /**
  * Gets all "external" references in the element nodes.
  * It will search for a Link or Image object and checks whether it has an "external" reference or not, if it has it will add it in the returning array.
+ * The sublists of the list entries are searched too, so their references are kept when serializing the document.
  *
  * @param {Element} element the current element to extract references
+ * @return {{name: string, ref: Reference}[]} the references
  */
 function get_references(element) {
-	// References are only present in Link and Image and Image extends Link.
-	if (element instanceof Link) {
-		// Checks if it uses "external" reference.
-		if (element.ref_name !== "") {
-			return {name: element.ref_name, ref: element.ref};
+	const references = [];
+	walk(element, {
+		enter(node, context) {
+			// References are only present in Link and Image and Image extends Link.
+			if (node instanceof Link) {
+				// Checks if it uses "external" reference.
+				if (node.ref_name !== "") {
+					references.push({name: node.ref_name, ref: node.ref});
+				}
+				context.skip();
+			}
 		}
-	// Not a Link or Image? Then retry with its child nodes.
-	} else if (element instanceof Element) {
-		return element.nodes.map(node => get_references(node)).filter(node => node !== undefined).flat();
+	});
+	return references;
+}
+
+/**
+ * Reads the inner nodes of a node from their JSON representation.
+ *
+ * @param {Array} json the JSON representation of the nodes
+ * @return {Node[]} the nodes
+ */
+function nodes_from_json(json) {
+	return json.map(node => node_from_json(node));
+}
+
+/**
+ * Reads the attributes of a node from its JSON representation.
+ *
+ * @param {object} json the JSON representation of the node
+ * @return {Attributes|null} the attributes, or `null` if the node has none
+ */
+function attributes_from_json(json) {
+	return json.attributes ? Attributes.from_json(json.attributes) : null;
+}
+
+const NODES_FROM_JSON = {
+	text: json => new Text(json.content),
+	linebreak: _ => LINEBREAK,
+	emoji: json => new Emoji(json.content, json.skin_tone !== undefined ? json.skin_tone : null),
+	inline_code: json => new InlineCode(json.content),
+	inline_link: json => new InlineLink(json.content),
+	comment: json => new Comment(nodes_from_json(json.nodes)),
+	italic: json => new Italic(nodes_from_json(json.nodes)),
+	bold: json => new Bold(nodes_from_json(json.nodes)),
+	underline: json => new Underline(nodes_from_json(json.nodes)),
+	strikethrough: json => new Strikethrough(nodes_from_json(json.nodes)),
+	highlight: json => new Highlight(nodes_from_json(json.nodes)),
+	spoiler: json => new Spoiler(nodes_from_json(json.nodes)),
+	link: json => new Link(json.url, nodes_from_json(json.title), json.tooltip, json.ref_name, attributes_from_json(json)),
+	image: json => new Image(json.url, nodes_from_json(json.alt), json.tooltip, json.ref_name, attributes_from_json(json)),
+	heading: json => new Heading(nodes_from_json(json.nodes), json.level, attributes_from_json(json)),
+	paragraph: json => new Paragraph(nodes_from_json(json.nodes), attributes_from_json(json)),
+	block_code: json => new BlockCode(json.code, json.language, attributes_from_json(json)),
+	quote: json => new BlockQuote(nodes_from_json(json.nodes)),
+	alert: json => new Alert(json.kind, nodes_from_json(json.nodes)),
+	horizontal_rule: _ => HORIZONTAL_RULE,
+	list: json => new List(nodes_from_json(json.entries), json.ordered, json.ordered_start),
+	list_entry: json => new ListEntry(nodes_from_json(json.nodes), nodes_from_json(json.sublists), json.checked),
+	inline_html: json => new InlineHTML(nodes_from_json(json.content)),
+	inline_latex: json => new InlineLatex(json.raw, json.display_mode),
+	table: json => {
+		const alignments = json.alignments.map(name => Object.values(TableAlignments).find(alignment => alignment.name === name)
+			|| TableAlignments.NONE);
+		const table = new Table([], alignments);
+		table.nodes = json.rows.map(row => node_from_json(row));
+		table.nodes.forEach(row => row.table = table);
+		return table;
+	},
+	table_row: json => {
+		const row = new TableRow(null, nodes_from_json(json.columns));
+		row.nodes.forEach(entry => entry.row = row);
+		return row;
+	},
+	table_entry: json => new TableEntry(null, nodes_from_json(json.nodes)),
+	table_of_contents: _ => new TableOfContents(),
+	front_matter: json => new FrontMatter(json.format, json.fence, json.raw, json.metadata),
+	definition_list: json => new DefinitionList(nodes_from_json(json.nodes)),
+	definition_term: json => new DefinitionTerm(nodes_from_json(json.nodes)),
+	definition_description: json => new DefinitionDescription(nodes_from_json(json.nodes)),
+	footnote_reference: json => new FootnoteReference(json.name),
+	footnote_definition: json => new FootnoteDefinition(json.name, nodes_from_json(json.nodes))
+};
+
+/**
+ * Reads a node from its JSON representation.
+ *
+ * @param json the JSON representation of the node, or the node itself
+ * @return {Node} the node
+ */
+function node_from_json(json) {
+	let position = null;
+	if (json !== null && typeof json === "object" && typeof json.toJSON === "function") {
+		// A node which hasn't been serialized yet.
+		position = json.position || null;
+		json = json.toJSON();
+	}
+
+	if (typeof json === "string")
+		json = { type: "text", content: json };
+	else if (json !== null && typeof json === "object" && json.type === undefined && Array.isArray(json.nodes))
+		// The comments had no type in their JSON representation before 1.8.0.
+		json = { ...json, type: "comment" };
+	else if (json === null || typeof json !== "object" || !Object.prototype.hasOwnProperty.call(NODES_FROM_JSON, json.type))
+		throw new Error(`lib.md ;; MDDocument.from_json(): unknown node ${JSON.stringify(json)}.`);
+
+	const node = NODES_FROM_JSON[json.type](json);
+	if (json.position)
+		position = json.position;
+	if (position && node instanceof Node)
+		node.position = position;
+	return node;
+}
+
+/**
+ * Represents a section of a document, made of a heading, the blocks which follow it and its subsections.
+ *
+ * A section ends at the next heading of the same or a higher level.
+ *
+ * @version 1.8.0
+ * @since 1.8.0
+ */
+export class Section {
+	/* Class attributes:
+	heading: Heading|null;
+	blocks: Node[];
+	children: Section[];
+	start: number;
+	end: number;
+	*/
+
+	/**
+	 * @param {Heading|null} heading the heading of the section, or `null` for the root of the document
+	 * @param {number} start the index of the first block of the section in the document
+	 */
+	constructor(heading, start) {
+		this.heading = heading;
+		this.blocks = [];
+		this.children = [];
+		this.start = start;
+		this.end = start;
+	}
+
+	/**
+	 * Returns the level of this section, which is the level of its heading, or `0` for the root of the document.
+	 *
+	 * @return {number} the level
+	 */
+	get_level() {
+		return this.heading ? parseInt(this.heading.level[1]) : 0;
+	}
+
+	/**
+	 * Returns all the blocks of this section in order, including its heading and subsections.
+	 *
+	 * @return {Node[]} the blocks
+	 */
+	get_all_blocks() {
+		return [...(this.heading ? [this.heading] : []), ...this.blocks, ...this.children.flatMap(child => child.get_all_blocks())];
 	}
 }
 
+/**
+ * Finds the section with the given heading identifier or text in the document.
+ *
+ * @param {MDDocument} doc the document
+ * @param {string|Section} key the identifier or the plain text of the heading, or the section itself
+ * @param {string} method the name of the method looking for the section
+ * @return {Section} the section
+ * @throws {Error} if the section isn't found
+ */
+function require_section(doc, key, method) {
+	const section = key instanceof Section ? key : doc.get_section(key);
+	if (!section || !section.heading)
+		throw new Error(`lib.md ;; MDDocument#${method}(): unknown section "${key instanceof Section ? "" : key}".`);
+	return section;
+}
+
 export class MDDocument {
 	constructor(blocks) {
 		if (blocks === undefined)
 			blocks = [];
 		this.blocks = blocks;
 		this.references = [];
+		/**
+		 * Represents the diagnostics reported while parsing this document, like the resource limits which have been hit
+		 * or the front matter which couldn't be parsed.
+		 * @type {{type: string, limit?: string, message: string}[]}
+		 */
+		this.diagnostics = [];
+	}
+
+	/**
+	 * The raw front matter of this document without its fences, or `null` if it has none.
+	 *
+	 * @type {string|null}
+	 * @since 1.8.0
+	 */
+	get front_matter() {
+		return this.blocks[0] instanceof FrontMatter ? this.blocks[0].raw : null;
+	}
+
+	/**
+	 * The metadata parsed from the front matter of this document, or `null` if it has none or if it couldn't be parsed.
+	 *
+	 * @type {object|null}
+	 * @since 1.8.0
+	 */
+	get metadata() {
+		return this.blocks[0] instanceof FrontMatter ? this.blocks[0].metadata : null;
+	}
+
+	/**
+	 * Reads a document from its JSON representation, as returned by {@link MDDocument#toJSON} with or without the positions.
+	 *
+	 * @param {{blocks: Array, references: {name: string, ref: {url: string, tooltip: string}}[]}} json the JSON representation of the document
+	 * @return {MDDocument} the document
+	 * @throws {Error} if a node is of an unknown type
+	 * @since 1.8.0
+	 */
+	static from_json(json) {
+		const doc = new MDDocument(nodes_from_json(json.blocks));
+		doc.references = json.references.map(reference => ({
+			name: reference.name,
+			ref: new Reference(reference.ref.url, reference.ref.tooltip)
+		}));
+		return doc;
 	}
 
 	/**
@@ -1037,6 +2039,182 @@ export class MDDocument {
 		return this.references.find(ref => ref.name === name);
 	}
 
+	/**
+	 * Returns the identifiers of the headings of this document, unique in the document.
+	 *
+	 * The explicit identifiers are reserved first, so the generated ones don't take them.
+	 *
+	 * @param {Slugger} slugger the slugger which generates the identifiers, in the document order
+	 * @return {Map<Heading, string>} the identifiers of the headings
+	 * @since 1.8.0
+	 */
+	get_heading_ids(slugger = new Slugger()) {
+		const headings = [];
+		walk(this, {
+			enter(node, context) {
+				if (node instanceof Heading) {
+					headings.push(node);
+					context.skip();
+				}
+			}
+		});
+
+		headings.forEach(heading => {
+			if (heading.attributes && heading.attributes.id !== null)
+				slugger.reserve(heading.attributes.id);
+		});
+
+		const ids = new Map();
+		headings.forEach(heading => ids.set(heading, heading.get_id(slugger)));
+		return ids;
+	}
+
+	/**
+	 * Returns the footnotes of this document which are both defined and referenced, in the order of their first reference.
+	 *
+	 * The footnote names are case-insensitive, and if a footnote is defined more than once the first definition is used.
+	 *
+	 * @return {{name: string, definition: FootnoteDefinition, references: FootnoteReference[]}[]} the footnotes,
+	 * with their lowercase name and their references in the document order
+	 * @since 1.8.0
+	 */
+	get_footnotes() {
+		const definitions = new Map();
+		walk(this, {
+			enter(node) {
+				if (node instanceof FootnoteDefinition && !definitions.has(node.name.toLowerCase()))
+					definitions.set(node.name.toLowerCase(), node);
+			}
+		});
+
+		const footnotes = new Map();
+		walk(this, {
+			enter(node) {
+				const name = node instanceof FootnoteReference ? node.name.toLowerCase() : null;
+				if (name === null || !definitions.has(name))
+					return;
+
+				if (!footnotes.has(name))
+					footnotes.set(name, { name: name, definition: definitions.get(name), references: [] });
+				footnotes.get(name).references.push(node);
+			}
+		});
+		return [...footnotes.values()];
+	}
+
+	/**
+	 * Returns the sections of this document as a tree.
+	 *
+	 * Only the headings which are blocks of the document start sections.
+	 * The sections keep the range of their blocks in the document, so they are outdated once the blocks of the document change.
+	 *
+	 * @return {Section} the root section, which holds the blocks before the first heading and the top sections
+	 * @since 1.8.0
+	 */
+	sections() {
+		const root = new Section(null, 0);
+		const stack = [root];
+
+		this.blocks.forEach((block, index) => {
+			if (block instanceof Heading) {
+				const section = new Section(block, index);
+				while (stack[stack.length - 1].get_level() >= section.get_level())
+					stack.pop().end = index;
+
+				stack[stack.length - 1].children.push(section);
+				stack.push(section);
+			} else {
+				stack[stack.length - 1].blocks.push(block);
+			}
+		});
+
+		stack.forEach(section => section.end = this.blocks.length);
+		return root;
+	}
+
+	/**
+	 * Returns the first section whose heading has the given identifier or plain text.
+	 *
+	 * @param {string} key the identifier of the heading, as given by {@link MDDocument#get_heading_ids}, or its plain text
+	 * @return {Section|null} the section if found, otherwise `null`
+	 * @since 1.8.0
+	 */
+	get_section(key) {
+		const ids = this.get_heading_ids();
+
+		function find(sections) {
+			for (const section of sections) {
+				if (ids.get(section.heading) === key || section.heading.as_plain_text() === key)
+					return section;
+
+				const found = find(section.children);
+				if (found)
+					return found;
+			}
+			return null;
+		}
+
+		return find(this.sections().children);
+	}
+
+	/**
+	 * Removes the given section and its subsections from this document.
+	 *
+	 * @param {string|Section} key the identifier or the plain text of the heading of the section, or the section itself
+	 * @return {MDDocument} the removed section as a document, which shares the references of this document
+	 * @throws {Error} if the section isn't found
+	 * @since 1.8.0
+	 */
+	extract_section(key) {
+		const section = require_section(this, key, "extract_section");
+		const doc = new MDDocument(this.blocks.splice(section.start, section.end - section.start));
+		doc.references = [...this.references];
+		return doc;
+	}
+
+	/**
+	 * Replaces the given section and its subsections in this document.
+	 *
+	 * @param {string|Section} key the identifier or the plain text of the heading of the section, or the section itself
+	 * @param {MDDocument|Node[]} blocks the blocks replacing the section
+	 * @return {MDDocument} this document
+	 * @throws {Error} if the section isn't found
+	 * @since 1.8.0
+	 */
+	replace_section(key, blocks) {
+		const section = require_section(this, key, "replace_section");
+		if (blocks instanceof MDDocument)
+			blocks = blocks.blocks;
+
+		this.blocks.splice(section.start, section.end - section.start, ...blocks);
+		return this;
+	}
+
+	/**
+	 * Moves the given section and its subsections before or after another section.
+	 *
+	 * @param {string|Section} key the identifier or the plain text of the heading of the section to move, or the section itself
+	 * @param {string|Section} target_key the identifier or the plain text of the heading of the target section, or the section itself
+	 * @param {boolean} after `true` to move the section after the target section and its subsections, or `false` to move it before
+	 * @return {MDDocument} this document
+	 * @throws {Error} if a section isn't found, or if the target section is inside the moved section
+	 * @since 1.8.0
+	 */
+	move_section(key, target_key, after = false) {
+		const section = require_section(this, key, "move_section");
+		const target = require_section(this, target_key, "move_section");
+		if (target.start >= section.start && target.start < section.end)
+			throw new Error("lib.md ;; MDDocument#move_section(): cannot move a section next to itself or its subsections.");
+
+		const moved = this.blocks.splice(section.start, section.end - section.start);
+		let index = after ? target.end : target.start;
+		if (index > section.start)
+			index -= moved.length;
+
+		this.blocks.splice(index, 0, ...moved);
+		return this;
+	}
+
 	/**
 	 * Clears this document.
 	 *
@@ -1045,6 +2223,7 @@ export class MDDocument {
 	clear() {
 		this.blocks = [];
 		this.references = [];
+		this.diagnostics = [];
 		return this;
 	}
 
@@ -1056,10 +2235,250 @@ export class MDDocument {
 				+ "\n" : "");
 	}
 
-	toJSON() {
+	/**
+	 * Returns the JSON representation of this document.
+	 *
+	 * @param {{positions: boolean}|string} options the options, with `positions` set to `true` the nodes include their source position,
+	 * in which case the text nodes are represented as objects
+	 * @return {object} the JSON representation
+	 */
+	toJSON(options = {}) {
+		if (options && options.positions) {
+			return with_positions({ blocks: this.blocks, references: this.references });
+		}
+
 		return {
 			blocks: this.blocks.map(block => block.toJSON()),
 			references: this.references
 		}
 	}
 }
+
+/**
+ * Serializes the given value to plain JSON data with the source position of each node.
+ *
+ * @param value the value to serialize
+ * @return the JSON data
+ */
+function with_positions(value) {
+	return JSON.parse(JSON.stringify(value, function (key, json) {
+		// The node as it was before its serialization.
+		const node = this[key];
+
+		if (node && node.position && typeof node.toJSON === "function") {
+			return { ...(typeof json === "string" ? { type: "text", content: json } : json), position: node.position };
+		}
+
+		return json;
+	}));
+}
+
+/*
+ * Walking
+ */
+
+/**
+ * The types of the nodes, subclasses come before their superclasses.
+ */
+const NODE_TYPES = [
+	[Emoji, "emoji"],
+	[InlineCode, "inline_code"],
+	[InlineLink, "inline_link"],
+	[Text, "text"],
+	[Comment, "comment"],
+	[Italic, "italic"],
+	[Bold, "bold"],
+	[Underline, "underline"],
+	[Strikethrough, "strikethrough"],
+	[Highlight, "highlight"],
+	[Spoiler, "spoiler"],
+	[Image, "image"],
+	[Link, "link"],
+	[Heading, "heading"],
+	[Paragraph, "paragraph"],
+	[BlockCode, "block_code"],
+	[BlockQuote, "quote"],
+	[Alert, "alert"],
+	[List, "list"],
+	[ListEntry, "list_entry"],
+	[DefinitionList, "definition_list"],
+	[DefinitionTerm, "definition_term"],
+	[DefinitionDescription, "definition_description"],
+	[InlineHTML, "inline_html"],
+	[InlineLatex, "inline_latex"],
+	[Table, "table"],
+	[TableRow, "table_row"],
+	[TableEntry, "table_entry"],
+	[TableOfContents, "table_of_contents"],
+	[FrontMatter, "front_matter"],
+	[FootnoteReference, "footnote_reference"],
+	[FootnoteDefinition, "footnote_definition"]
+];
+
+/**
+ * Returns the type of the given node, which is the type found in its JSON representation.
+ *
+ * @param {Node|MDDocument|string} node the node
+ * @return {string} the type of the node, `"document"` for a document
+ * @since 1.8.0
+ */
+export function get_node_type(node) {
+	if (node instanceof MDDocument)
+		return "document";
+	else if (node === HORIZONTAL_RULE)
+		return "horizontal_rule";
+	else if (typeof node === "string")
+		return "text";
+	else if (node instanceof Text && node.is_linebreak())
+		return "linebreak";
+
+	const entry = NODE_TYPES.find(([type_class]) => node instanceof type_class);
+	return entry ? entry[1] : "element";
+}
+
+/**
+ * Returns the lists of children of the given node with their key in the node.
+ *
+ * @param {Node|MDDocument} node the node
+ * @return {[string, Node[]][]} the lists of children
+ */
+function get_children(node) {
+	if (node instanceof MDDocument)
+		return [["blocks", node.blocks]];
+	else if (node instanceof ListEntry)
+		return [["nodes", node.nodes], ["sublists", node.sublists]];
+	else if (node instanceof Element)
+		return [["nodes", node.nodes]];
+	// Text nodes and the frozen horizontal rule don't have any children.
+	return [];
+}
+
+/**
+ * Represents the context of the node being visited by {@link walk}.
+ *
+ * @version 1.8.0
+ * @since 1.8.0
+ */
+class WalkContext {
+	/* Class attributes:
+	parent: Node|MDDocument|null;
+	key: string|null;
+	index: number;
+	skipped: boolean;
+	removed: boolean;
+	replacement: Node|undefined;
+	*/
+
+	/**
+	 * @param {Node|MDDocument|null} parent the parent of the node, or `null` if the node is the root
+	 * @param {string|null} key the key of the list of children of the parent which holds the node, like `nodes` or `sublists`
+	 * @param {number} index the index of the node in the list of children
+	 */
+	constructor(parent, key, index) {
+		this.parent = parent;
+		this.key = key;
+		this.index = index;
+		this.skipped = false;
+		this.removed = false;
+		this.replacement = undefined;
+	}
+
+	/**
+	 * Skips the children of the node and its leave callbacks, only meaningful when entering the node.
+	 */
+	skip() {
+		this.skipped = true;
+	}
+
+	/**
+	 * Replaces the node with the given node.
+	 * When entering the node, the children of the replacement are visited instead.
+	 *
+	 * @param {Node} node the replacement node
+	 */
+	replace(node) {
+		this.replacement = node;
+	}
+
+	/**
+	 * Removes the node from its parent.
+	 */
+	remove() {
+		this.removed = true;
+	}
+}
+
+const REMOVED = Symbol("removed");
+
+function call_visitor(visitor, phase, type, node, context) {
+	const typed = visitor[type];
+	const typed_callback = typeof typed === "function" ? (phase === "enter" ? typed : null) : (typed ? typed[phase] : null);
+
+	const callbacks = phase === "enter" ? [visitor.enter, typed_callback] : [typed_callback, visitor.leave];
+	for (const callback of callbacks) {
+		if (callback && !context.removed && context.replacement === undefined)
+			callback(node, context);
+	}
+}
+
+function walk_node(node, context, visitor) {
+	call_visitor(visitor, "enter", get_node_type(node), node, context);
+	if (context.removed)
+		return REMOVED;
+	if (context.replacement !== undefined)
+		node = context.replacement;
+	if (context.skipped)
+		return node;
+
+	walk_children(node, visitor);
+
+	context.replacement = undefined;
+	call_visitor(visitor, "leave", get_node_type(node), node, context);
+	if (context.removed)
+		return REMOVED;
+	return context.replacement !== undefined ? context.replacement : node;
+}
+
+function walk_children(node, visitor) {
+	for (const [key, children] of get_children(node)) {
+		for (let index = 0; index < children.length;) {
+			const result = walk_node(children[index], new WalkContext(node, key, index), visitor);
+
+			if (result === REMOVED) {
+				children.splice(index, 1);
+				continue;
+			} else if (result !== children[index]) {
+				// Keep the back references of the table parts.
+				if (result instanceof TableRow && node instanceof Table)
+					result.table = node;
+				else if (result instanceof TableEntry && node instanceof TableRow)
+					result.row = node;
+
+				children[index] = result;
+			}
+			index++;
+		}
+	}
+}
+
+/**
+ * Walks through the given document or node, depth-first.
+ *
+ * The visitor may have `enter` and `leave` callbacks called for every node,
+ * and callbacks keyed by node type (as returned by {@link get_node_type}),
+ * either a function called when entering the node or an object with `enter` and `leave` callbacks.
+ * The callbacks receive the node and its context: its `parent`, the `key` of the list of children which holds it
+ * (`blocks`, `nodes` or `sublists`) and its `index` there.
+ * The context can also skip the children of the node, replace the node or remove it.
+ *
+ * List entries are visited along with their sublists, and tables through their rows and entries.
+ *
+ * @param {MDDocument|Node} root the document or node to walk through
+ * @param {object} visitor the visitor
+ * @return {MDDocument|Node|null} the root, its replacement, or `null` if it has been removed
+ * @since 1.8.0
+ */
+export function walk(root, visitor) {
+	const result = walk_node(root, new WalkContext(null, null, -1), visitor);
+	return result === REMOVED ? null : result;
+}
@@ -0,0 +1,457 @@
+/*
+ * Copyright © 2022 LambdAurora <email@lambdaurora.dev>
+ *
+ * This file is part of lib.md.
+ *
+ * Licensed under the MIT license. For more information,
+ * see the LICENSE file.
+ */
+
+import * as md from "./markdown.mjs";
+import { get_front_matter_formats } from "./front_matter.mjs";
+
+const COMMENT_REGEX = /^<!--([\s\S]*?)-->$/;
+
+/**
+ * Copies the source position of the given node to the mdast node.
+ *
+ * @param {object} mdast_node the mdast node
+ * @param {md.Node} node the node
+ * @return {object} the mdast node
+ */
+function with_position(mdast_node, node) {
+	if (node.position)
+		mdast_node.position = node.position;
+	return mdast_node;
+}
+
+/**
+ * Returns the title of the given reference as in mdast, where a missing title is `null`.
+ *
+ * @param {md.Reference} reference the reference
+ * @return {string|null} the title
+ */
+function tooltip_to_mdast(reference) {
+	return reference.has_tooltip() ? reference.tooltip : null;
+}
+
+/**
+ * Copies the attributes of the given node to the HTML properties of the mdast node, as used by `mdast-util-to-hast`.
+ *
+ * @param {object} mdast_node the mdast node
+ * @param {md.Node} node the node
+ * @return {object} the mdast node
+ */
+function with_attributes(mdast_node, node) {
+	if (node.attributes && !node.attributes.is_empty()) {
+		const properties = { ...node.attributes.values };
+		if (node.attributes.id !== null)
+			properties.id = node.attributes.id;
+		if (node.attributes.classes.length !== 0)
+			properties.className = [...node.attributes.classes];
+
+		mdast_node.data = { ...mdast_node.data, hProperties: properties };
+	}
+	return mdast_node;
+}
+
+/**
+ * Reads the attributes of a node from the HTML properties of the given mdast node.
+ *
+ * @param {object} node the mdast node
+ * @return {md.Attributes|null} the attributes, or `null` if the mdast node has no HTML properties
+ */
+function read_attributes(node) {
+	if (!node.data || !node.data.hProperties)
+		return null;
+
+	const { id, className, ...values } = node.data.hProperties;
+	const classes = Array.isArray(className) ? className : (className ? className.split(" ") : []);
+	return new md.Attributes(id !== undefined ? id : null, [...classes],
+		Object.fromEntries(Object.entries(values).map(([name, value]) => [name, String(value)])));
+}
+
+/**
+ * Converts the given nodes to mdast flow content, consecutive inline nodes are grouped in paragraphs.
+ *
+ * @param {md.Node[]} nodes the nodes
+ * @return {object[]} the mdast nodes
+ */
+function flow_to_mdast(nodes) {
+	const children = [];
+	let paragraph = null;
+
+	for (const node of nodes) {
+		// Comments are HTML, which is also flow content.
+		if (node.is_block() || node instanceof md.Comment) {
+			paragraph = null;
+			children.push(node_to_mdast(node));
+			continue;
+		}
+
+		const child = node_to_mdast(node);
+		if (!paragraph) {
+			paragraph = { type: "paragraph", children: [] };
+			children.push(paragraph);
+			if (child.position)
+				paragraph.position = { start: child.position.start, end: child.position.end };
+		} else if (child.position && paragraph.position) {
+			paragraph.position = { start: paragraph.position.start, end: child.position.end };
+		}
+		paragraph.children.push(child);
+	}
+
+	return children;
+}
+
+function phrasing_to_mdast(nodes) {
+	return nodes.map(node => node_to_mdast(node));
+}
+
+const HEADING_DEPTHS = {
+	[md.HeadingLevel.H1]: 1,
+	[md.HeadingLevel.H2]: 2,
+	[md.HeadingLevel.H3]: 3,
+	[md.HeadingLevel.H4]: 4,
+	[md.HeadingLevel.H5]: 5,
+	[md.HeadingLevel.H6]: 6
+};
+
+const NODES_TO_MDAST = {
+	text: node => ({ type: "text", value: node.content }),
+	linebreak: _ => ({ type: "break" }),
+	emoji: node => ({ type: "emoji", name: node.content, skinTone: node.skin_tone }),
+	inline_code: node => ({ type: "inlineCode", value: node.content }),
+	inline_link: node => ({ type: "link", url: node.content, title: null, children: [{ type: "text", value: node.content }] }),
+	comment: node => ({ type: "html", value: `<!--${node.toString()}-->` }),
+	italic: node => ({ type: "emphasis", children: phrasing_to_mdast(node.nodes) }),
+	bold: node => ({ type: "strong", children: phrasing_to_mdast(node.nodes) }),
+	underline: node => ({ type: "underline", children: phrasing_to_mdast(node.nodes) }),
+	strikethrough: node => ({ type: "delete", children: phrasing_to_mdast(node.nodes) }),
+	highlight: node => ({ type: "highlight", children: phrasing_to_mdast(node.nodes) }),
+	spoiler: node => ({ type: "spoiler", children: phrasing_to_mdast(node.nodes) }),
+	link: node => {
+		if (node.ref_name) {
+			return {
+				type: "linkReference", identifier: node.ref_name, label: node.ref_name,
+				referenceType: node.get_nodes_as_string() === node.ref_name ? "shortcut" : "full",
+				children: phrasing_to_mdast(node.nodes)
+			};
+		}
+		return { type: "link", url: node.ref.url, title: tooltip_to_mdast(node.ref), children: phrasing_to_mdast(node.nodes) };
+	},
+	image: node => {
+		if (node.ref_name) {
+			return {
+				type: "imageReference", identifier: node.ref_name, label: node.ref_name,
+				referenceType: node.get_nodes_as_string() === node.ref_name ? "shortcut" : "full",
+				alt: node.as_plain_text()
+			};
+		}
+		return { type: "image", url: node.ref.url, title: tooltip_to_mdast(node.ref), alt: node.as_plain_text() };
+	},
+	heading: node => ({ type: "heading", depth: HEADING_DEPTHS[node.level], children: phrasing_to_mdast(node.nodes) }),
+	paragraph: node => ({ type: "paragraph", children: phrasing_to_mdast(node.nodes) }),
+	block_code: node => ({ type: "code", lang: node.has_language() ? node.language : null, meta: null, value: node.code }),
+	quote: node => ({ type: "blockquote", children: flow_to_mdast(node.nodes) }),
+	alert: node => ({ type: "alert", kind: node.kind, children: flow_to_mdast(node.nodes) }),
+	horizontal_rule: _ => ({ type: "thematicBreak" }),
+	list: node => ({
+		type: "list", ordered: node.ordered, start: node.ordered ? node.ordered_start : null, spread: false,
+		children: node.nodes.map(entry => node_to_mdast(entry))
+	}),
+	list_entry: node => ({
+		type: "listItem", checked: typeof node.checked === "boolean" ? node.checked : null, spread: false,
+		children: [...flow_to_mdast(node.nodes), ...node.sublists.map(sublist => node_to_mdast(sublist))]
+	}),
+	// The linebreaks of raw HTML are plain newlines in the source.
+	inline_html: node => ({
+		type: "html", value: node.nodes.map(child => md.get_node_type(child) === "linebreak" ? "\n" : child.toString()).join(""),
+		data: { children: phrasing_to_mdast(node.nodes) }
+	}),
+	inline_latex: node => node.display_mode ? { type: "math", meta: null, value: node.raw } : { type: "inlineMath", value: node.raw },
+	table: node => ({
+		type: "table", align: node.nodes[0].nodes.map((_, column) => {
+			const alignment = node.get_alignment(column);
+			return alignment === md.TableAlignments.NONE ? null : alignment.name;
+		}),
+		children: node.nodes.map(row => node_to_mdast(row))
+	}),
+	table_row: node => ({ type: "tableRow", children: node.nodes.map(entry => node_to_mdast(entry)) }),
+	table_entry: node => ({ type: "tableCell", children: phrasing_to_mdast(node.nodes) }),
+	table_of_contents: _ => ({ type: "tableOfContents" }),
+	front_matter: node => ({ type: node.format, value: node.raw }),
+	definition_list: node => ({ type: "defList", children: node.nodes.map(child => node_to_mdast(child)) }),
+	definition_term: node => ({ type: "defListTerm", children: phrasing_to_mdast(node.nodes) }),
+	definition_description: node => ({ type: "defListDescription", children: flow_to_mdast(node.nodes) }),
+	footnote_reference: node => ({ type: "footnoteReference", identifier: node.name.toLowerCase(), label: node.name }),
+	footnote_definition: node => ({
+		type: "footnoteDefinition", identifier: node.name.toLowerCase(), label: node.name, children: flow_to_mdast(node.nodes)
+	})
+};
+
+function node_to_mdast(node) {
+	const type = md.get_node_type(node);
+	if (!Object.prototype.hasOwnProperty.call(NODES_TO_MDAST, type))
+		throw new Error(`lib.md ;; to_mdast(): unsupported node type "${type}".`);
+
+	return with_attributes(with_position(NODES_TO_MDAST[type](node), node), node);
+}
+
+/**
+ * Converts the given Markdown document to an mdast tree, as used by the unified ecosystem.
+ *
+ * The standard nodes map to the mdast nodes, the strikethroughs, tables and footnotes to the GFM ones,
+ * LaTeX to the `math` and `inlineMath` nodes of `remark-math`, and the front matter to the `yaml` or `toml` nodes of `remark-frontmatter`, or to a node named after its other format.
+ * The non-standard nodes map to the following custom nodes:
+ * - `underline`, `highlight` and `spoiler` parents;
+ * - `emoji` with the `name` of the emoji and its `skinTone`, which may be `null`;
+ * - `tableOfContents` without any children;
+ * - `alert` parents with the `kind` of the alert;
+ * - `defList` parents of `defListTerm` and `defListDescription` nodes for the definition lists, like `remark-definition-list`.
+ *
+ * The raw HTML blocks keep their inner nodes in `data.children`, and the attributes of the elements are kept in `data.hProperties`.
+ * The references of the document are appended as `definition` nodes, and the source positions are kept if known.
+ *
+ * @param {md.MDDocument} doc the document
+ * @return {object} the mdast root
+ * @since 1.8.0
+ */
+export function to_mdast(doc) {
+	const children = flow_to_mdast(doc.blocks);
+	doc.references.forEach(reference => children.push({
+		type: "definition",
+		identifier: reference.name,
+		label: reference.name,
+		url: reference.ref.url,
+		title: tooltip_to_mdast(reference.ref)
+	}));
+	return { type: "root", children: children };
+}
+
+/**
+ * Represents the state of a conversion from mdast.
+ */
+class MdastReader {
+	/* Class attributes:
+	doc: md.MDDocument;
+	*/
+
+	/**
+	 * @param {md.MDDocument} doc the document being read, which receives the definitions
+	 */
+	constructor(doc) {
+		this.doc = doc;
+	}
+
+	/**
+	 * Reads the given mdast flow content.
+	 *
+	 * @param {object[]} children the mdast nodes
+	 * @return {md.Node[]} the nodes
+	 */
+	read_flow(children) {
+		return children.flatMap(child => {
+			if (child.type === "definition") {
+				this.doc.ref(child.identifier, new md.Reference(child.url, child.title ? child.title : null));
+				return [];
+			} else if (child.type === "html" && !COMMENT_REGEX.test(child.value)) {
+				const nodes = child.data && child.data.children ? this.read_phrasing(child.data.children) : [new md.Text(child.value)];
+				return [with_position(new md.InlineHTML(nodes), child)];
+			}
+			return [this.read(child)];
+		});
+	}
+
+	/**
+	 * Reads the given mdast phrasing content.
+	 *
+	 * @param {object[]} children the mdast nodes
+	 * @return {md.Node[]} the nodes
+	 */
+	read_phrasing(children) {
+		return children.map(child => this.read(child));
+	}
+
+	/**
+	 * Reads the given mdast node.
+	 *
+	 * @param {object} node the mdast node
+	 * @return {md.Node} the node
+	 */
+	read(node) {
+		let result;
+		switch (node.type) {
+			case "text":
+				result = new md.Text(node.value);
+				break;
+			case "break":
+				result = md.LINEBREAK;
+				break;
+			case "emoji":
+				result = new md.Emoji(node.name, node.skinTone !== undefined ? node.skinTone : null);
+				break;
+			case "inlineCode":
+				result = new md.InlineCode(node.value);
+				break;
+			case "html": {
+				const comment = node.value.match(COMMENT_REGEX);
+				result = comment ? new md.Comment(comment[1]) : new md.Text(node.value);
+				break;
+			}
+			case "emphasis":
+				result = new md.Italic(this.read_phrasing(node.children));
+				break;
+			case "strong":
+				result = new md.Bold(this.read_phrasing(node.children));
+				break;
+			case "underline":
+				result = new md.Underline(this.read_phrasing(node.children));
+				break;
+			case "delete":
+				result = new md.Strikethrough(this.read_phrasing(node.children));
+				break;
+			case "highlight":
+				result = new md.Highlight(this.read_phrasing(node.children));
+				break;
+			case "spoiler":
+				result = new md.Spoiler(this.read_phrasing(node.children));
+				break;
+			case "link": {
+				// Links without a title and showing their URL are autolinks.
+				const only_child = node.children.length === 1 ? node.children[0] : null;
+				if (!node.title && only_child && only_child.type === "text" && only_child.value === node.url)
+					result = new md.InlineLink(node.url);
+				else
+					result = new md.Link(node.url, this.read_phrasing(node.children), node.title ? node.title : null);
+				break;
+			}
+			case "linkReference":
+				result = new md.Link(undefined, this.read_phrasing(node.children), undefined, node.identifier);
+				break;
+			case "image":
+				result = new md.Image(node.url, node.alt ? node.alt : [], node.title ? node.title : null);
+				break;
+			case "imageReference":
+				result = new md.Image(undefined, node.alt ? node.alt : [], undefined, node.identifier);
+				break;
+			case "heading":
+				result = new md.Heading(this.read_phrasing(node.children), md.HeadingLevel[`H${node.depth}`]);
+				break;
+			case "paragraph":
+				result = new md.Paragraph(this.read_phrasing(node.children));
+				break;
+			case "code":
+				result = new md.BlockCode(node.value, node.lang !== null && node.lang !== undefined ? node.lang : "");
+				break;
+			case "blockquote":
+				// The paragraphs of quotes are flattened, unless they have attributes.
+				result = new md.BlockQuote(this.read_flow(node.children)
+					.flatMap(block => block instanceof md.Paragraph && !block.attributes ? block.nodes : [block]));
+				break;
+			case "alert":
+				result = new md.Alert(node.kind, this.read_flow(node.children));
+				break;
+			case "thematicBreak":
+				result = md.HORIZONTAL_RULE;
+				break;
+			case "list":
+				result = new md.List(node.children.map(child => this.read(child)), node.ordered === true,
+					typeof node.start === "number" ? node.start : 1);
+				break;
+			case "listItem": {
+				// The lists at the end of the item are its sublists.
+				let split = node.children.length;
+				while (split > 0 && node.children[split - 1].type === "list")
+					split--;
+
+				// Entries which aren't checkboxes are parsed with "none".
+				result = new md.ListEntry(this.read_flow(node.children.slice(0, split)),
+					node.children.slice(split).map(child => this.read(child)),
+					typeof node.checked === "boolean" ? node.checked : "none");
+				break;
+			}
+			case "math":
+				result = new md.InlineLatex(node.value, true);
+				break;
+			case "inlineMath":
+				result = new md.InlineLatex(node.value, false);
+				break;
+			case "table": {
+				const align = node.align || [];
+				result = new md.Table([], node.children[0] ? node.children[0].children.map((_, column) => {
+					const name = align[column];
+					return Object.values(md.TableAlignments).find(alignment => alignment.name === name) || md.TableAlignments.NONE;
+				}) : []);
+				result.nodes = node.children.map(child => this.read(child));
+				result.nodes.forEach(row => row.table = result);
+				break;
+			}
+			case "tableRow":
+				result = new md.TableRow(null, node.children.map(child => this.read(child)));
+				result.nodes.forEach(entry => entry.row = result);
+				break;
+			case "tableCell":
+				result = new md.TableEntry(null, this.read_phrasing(node.children));
+				break;
+			case "tableOfContents":
+				result = new md.TableOfContents();
+				break;
+			case "yaml":
+			case "toml": {
+				const format = get_front_matter_formats()[node.type];
+				let metadata = null;
+				try {
+					metadata = format.parse(node.value);
+				} catch (_) {
+					// The metadata is unknown like when the front matter can't be parsed.
+				}
+				result = new md.FrontMatter(node.type, format.fence, node.value, metadata);
+				break;
+			}
+			case "defList":
+				result = new md.DefinitionList(node.children.map(child => this.read(child)));
+				break;
+			case "defListTerm":
+				result = new md.DefinitionTerm(this.read_phrasing(node.children));
+				break;
+			case "defListDescription":
+				result = new md.DefinitionDescription(this.read_flow(node.children));
+				break;
+			case "footnoteReference":
+				result = new md.FootnoteReference(node.label || node.identifier);
+				break;
+			case "footnoteDefinition":
+				result = new md.FootnoteDefinition(node.label || node.identifier, this.read_flow(node.children));
+				break;
+			default:
+				throw new Error(`lib.md ;; from_mdast(): unsupported mdast node type "${node.type}".`);
+		}
+
+		if (result instanceof md.Heading || result instanceof md.Paragraph || result instanceof md.BlockCode || result instanceof md.Link)
+			result.attributes = read_attributes(node);
+		if (node.position && result instanceof md.Node)
+			result.position = node.position;
+		return result;
+	}
+}
+
+/**
+ * Converts the given mdast tree to a Markdown document.
+ *
+ * This is the reverse of {@link to_mdast}, with the same custom nodes, the `definition` nodes become the references of the document.
+ * The raw HTML blocks without inner nodes in `data.children` are kept as text.
+ *
+ * @param {object} tree the mdast root
+ * @return {md.MDDocument} the document
+ * @throws {Error} if the tree contains unsupported nodes
+ * @since 1.8.0
+ */
+export function from_mdast(tree) {
+	if (tree.type !== "root")
+		throw new Error(`lib.md ;; from_mdast(): expected a root node, got "${tree.type}".`);
+
+	const doc = new md.MDDocument();
+	doc.blocks = new MdastReader(doc).read_flow(tree.children);
+	return doc;
+}
@@ -8,557 +8,1462 @@
  */
 
 import * as md from "./markdown.mjs";
+import { find_front_matter_format } from "./front_matter.mjs";
 import * as html from "../html.mjs";
-import {is_whitespace, merge_objects, purge_inline_html} from "../utils.mjs";
+import {compile_options, is_whitespace, merge_objects, purge_inline_html} from "../utils.mjs";
 
 const DEFAULT_OPTIONS = {
+	alert: {
+		enabled: true,
+		kinds: []
+	},
 	allow_escape: true,
+	attributes: true,
 	auto_link: false,
 	checkbox: true,
 	code_block_from_indent: false,
+	definition_list: true,
 	emoji: {
 		enabled: true,
 		dictionary: [],
 		skin_tones: true
 	},
+	footnote: false,
+	front_matter: {
+		enabled: true,
+		formats: null
+	},
 	highlight: true,
 	image: true,
 	latex: false,
+	limits: {
+		max_length: null,
+		max_depth: null,
+		max_nodes: null,
+		time_budget: null
+	},
 	link: true,
 	list: true,
 	newline_as_linebreaks: false,
+	safe: false,
+	speculative: false,
 	spoiler: true,
 	table: true,
 	table_of_contents: true,
 	underline: true
 };
 
+/**
+ * Marks the options which are already completed with the default options, like the ones of a {@link Parser}.
+ * It is kept by the copies of the options made for the nested block elements.
+ */
+const COMPLETE_OPTIONS = Symbol("complete_options");
+
+const LINE_SEPARATOR_REGEX = /\r\n|\r|\n/;
 const CODE_BLOCK_INDENT_DETECTION_REGEX = /^(?:( {4})|(\t))(?!\s*\*\s*\S+)/
 const HORIZONTAL_RULE_REGEX = /^\s*(---+|\*\*\*+|___+)\s*$/
 const LIST_DETECTION_REGEX = /^ *(-|\*|\+|\d+\.) +.+/;
 const LIST_CHECKBOX_REGEX = /^(\[([Xx ])]\s+).+/i;
 const QUOTE_DETECTION_REGEX = /^>\s/;
 const QUOTE_MULTILINE_REGEX = /\n\s*>\s/g;
+const ATTRIBUTES_REGEX = /\{([^{}\n]*)\}/y;
+const TRAILING_ATTRIBUTES_REGEX = /\s+\{([^{}\n]*)\}[ \t]*$/;
+// The attributes of a paragraph stand alone on its last line, as braces are common in text.
+const PARAGRAPH_ATTRIBUTES_REGEX = /\n[ \t]*\{([^{}\n]*)\}[ \t]*$/;
+const FENCE_ATTRIBUTES_REGEX = /^(```[^\s{]*)[ \t]*\{([^{}\n]*)\}[ \t]*$/;
+const ATTRIBUTE_REGEX = /\s*(?:#([^\s#.{}="']+)|\.([^\s#.{}="']+)|([A-Za-z_:][\w:.-]*)=(?:"([^"]*)"|'([^']*)'|([^\s"'{}]+)))\s*/y;
+const ALERT_REGEX = /^\[!([A-Za-z][\w-]*)][ \t]*(?:\n|$)/;
 const TABLE_DETECTION_REGEX = /^\s*\|.*\|/;
 const TABLE_SEPARATOR_REGEX = /^\s*\|(?:[ \t]*\:?-+\:?[ \t]*\|)+(\s*)$/;
 const TABLE_ALIGNMENT_REGEX = /^[ \t]*(:|-)-*(:|-)[ \t]*$/;
 
-const ESCAPED_UNICODE = /^\\(?:u([0-9A-Fa-f]{4}))|(?:x([0-9A-Fa-f]{2}))|(?:U([0-9A-Fa-f]{8}))/;
+const ESCAPED_UNICODE = /\\(?:u([0-9A-Fa-f]{4})|x([0-9A-Fa-f]{2})|U([0-9A-Fa-f]{8}))/y;
 
 const COMMENT_START_REGEX = /^\s*<!--/;
 const COMMENT_END_REGEX = /-->/;
 const INLINE_HTML_DETECTION_REGEX = /^\s*<(\/)?([A-z]+).*>/i;
 const INLINE_HTML_OPENER_REGEX = /<([A-z]+).*?>/gi;
 const INLINE_HTML_CLOSER_REGEX = /<\/([A-z]+)>/gi;
-const INLINE_HTML_SKIP_REGEX = /^<(\/)?([A-z]+).*?>/;
-const INLINE_HTML_BR_REGEX = /^<(br)(?: ?\/)?>/;
+const INLINE_HTML_SKIP_REGEX = /<(\/)?([A-z]+).*?>/y;
+const INLINE_HTML_BR_REGEX = /<(br)(?: ?\/)?>/y;
 const INLINE_HTML_SINGLE_TAG = Object.values(html.Tag).filter(tag => tag.self_closing).map(tag => tag.name);
 const INLINE_HTML_IGNORE_TAG = ["iframe", "noembed", "noframes", "plaintext", "script", "style", "svg", "textarea", "title", "xmp"];
 
 const INLINE_CODE_REGEX = /^(?:```((?:.|\n)+?)```)|(?:`((?:.|\n)+?)`)/;
-const EMOJI_REGEX = /^:([A-z\d\-_+]+):(?::skin-tone-([2-6]):)?/;
+const EMOJI_REGEX = /:([A-z\d\-_+]+):(?::skin-tone-([2-6]):)?/y;
 
 // Note: this regex is unused because Firefox doesn't support named groups :c
 //const REFERENCE_REGEX = /^\[(?<name>[^\[\]]+)\]: (?<url>[a-z]+\:\/\/[.\S]+)(?: "(?<tooltip>[^"]+)")?$/;
 const REFERENCE_REGEX = /^\[([^\[\]]+)]: ((?:(?:(?:[a-z]+\:\/\/)|(?:\.{0,2}\/))[.\S]+)|(?:data\:[.\S]+)|(?:#[.\S]+))(?: "([^"]+)")?$/;
+const DEFINITION_DESCRIPTION_REGEX = /^ {0,3}:[ \t]+/;
+const DEFINITION_INDENT_REGEX = /\n(?: {1,4}|\t)/g;
+const FOOTNOTE_DEFINITION_REGEX = /^\[\^([^\]\s[]+)]:[ \t]*/;
+const FOOTNOTE_INDENT_REGEX = /\n(?: {1,4}|\t)/g;
+const FOOTNOTE_REFERENCE_REGEX = /\[\^([^\]\s[]+)]/y;
+
+// Character classes indexed by the inline scanner.
+const SCANNER_CLASSES = Object.freeze({
+	whitespace: /\s/,
+	// What `.` doesn't match in a regular expression.
+	line_terminator: /[\n\r\u2028\u2029]/,
+	// Line terminators which can still be in a line.
+	raw_terminator: /[\r\u2028\u2029]/
+});
 
-function try_parse_link(input, start) {
-	if (input[start] !== "[") {
-		return null;
-	}
-
-	// Try to determine where the title/alt part ends.
-	let counter = 0;
-	let i;
-	for (i = start + 1; (i < input.length && counter >= 0); i++) {
-		if (input[i] === "[")
-			counter++;
-		else if (input[i] === "]")
-			counter--;
+/**
+ * Represents the indexes of a line used by the inline parsing.
+ *
+ * Each lookup used to rescan the rest of the line, which made the inline parsing quadratic.
+ * The indexes are computed lazily, once per line, and the delimiter tables answer where a tag ends in constant time.
+ *
+ * @version 1.8.0
+ * @since 1.8.0
+ */
+class InlineScanner {
+	/* Class attributes:
+	line: string;
+	positions: Map<string, number[]>;
+	bracket_matches: Int32Array|null;
+	links: Map<number, object|null>;
+	runs: Map<string, Int32Array>;
+	delimiter_tables: Map<string, {events: Int32Array, saved: Int32Array, ends: Int32Array}>;
+	*/
+
+	/**
+	 * @param {string} line the line to scan
+	 */
+	constructor(line) {
+		this.line = line;
+		this.positions = new Map();
+		this.bracket_matches = null;
+		this.links = new Map();
+		this.runs = new Map();
+		this.delimiter_tables = new Map();
 	}
 
-	if (counter >= 0)
-		return null;
+	/**
+	 * Returns the index of the next character of the given kind, starting from the given index.
+	 *
+	 * @param {string} kind a character or the name of a class of {@link SCANNER_CLASSES}
+	 * @param {number} from the index to start from
+	 * @return {number} the index of the found character, or `-1` if there is none
+	 */
+	next(kind, from) {
+		let positions = this.positions.get(kind);
+		if (!positions) {
+			positions = [];
+			const character_class = SCANNER_CLASSES[kind];
+			for (let i = 0; i < this.line.length; i++) {
+				if (character_class ? character_class.test(this.line[i]) : this.line[i] === kind)
+					positions.push(i);
+			}
+			this.positions.set(kind, positions);
+		}
 
-	function get_title() {
-		return input.substring(start + 1, i - 1);
-	}
+		let low = 0;
+		let high = positions.length;
+		while (low < high) {
+			const middle = (low + high) >> 1;
+			if (positions[middle] < from)
+				low = middle + 1;
+			else
+				high = middle;
+		}
 
-	if (i >= input.length) {
-		const title = get_title();
-		return {title: title, ref_name: title.toLowerCase(), skip: i - start};
+		return low < positions.length ? positions[low] : -1;
 	}
 
-	// Now kind it's getting more specific.
-	if (input[i] === "(") {
-		// URL with tooltip case
-		let j;
-		counter = 0;
-		for (j = i + 1; (j < input.length && counter >= 0); j++) {
-			if (input[j] === ")")
-				counter--;
+	/**
+	 * Returns how many times the given character is repeated starting from each index.
+	 *
+	 * @param {string} char the character
+	 * @return {Int32Array} the run lengths
+	 */
+	get_runs(char) {
+		let runs = this.runs.get(char);
+		if (!runs) {
+			runs = new Int32Array(this.line.length + 1);
+			for (let i = this.line.length - 1; i >= 0; i--) {
+				if (this.line[i] === char)
+					runs[i] = runs[i + 1] + 1;
+			}
+			this.runs.set(char, runs);
 		}
+		return runs;
+	}
 
-		if (j > input.length)
+	/**
+	 * Tries to parse a link at the given index, the `[` of the title.
+	 *
+	 * @param {number} start the link start index
+	 * @return {{title: string, url: string|undefined, tooltip: string|null|undefined, ref_name: string|undefined, skip: number}|null}
+	 * an object if the link has been parsed successfully, or `null` otherwise
+	 */
+	link_at(start) {
+		if (this.line[start] !== "[") {
 			return null;
+		}
 
-		const part = input.substring(i + 1, j - 1).split(" ");
-		const url = part.shift();
-		let tooltip = part.join(" ");
-		if (!tooltip.startsWith('"') || !tooltip.endsWith('"'))
-			tooltip = null;
-		else
-			tooltip = tooltip.substring(1, tooltip.length - 1);
+		if (!this.links.has(start)) {
+			this.links.set(start, this.parse_link(start));
+		}
+		return this.links.get(start);
+	}
 
-		return {title: get_title(), url: url, tooltip: tooltip, skip: j - start};
-	} else if (input[i] === "[") {
-		// Reference case.
-		let j;
-		for (j = i + 1; (j < input.length && input[j] !== "]"); j++) { /* Advance */
+	parse_link(start) {
+		const input = this.line;
+
+		if (!this.bracket_matches) {
+			// Matches the brackets with a stack, an unmatched opening bracket isn't a link.
+			this.bracket_matches = new Int32Array(input.length).fill(-1);
+			const stack = [];
+			for (let i = 0; i < input.length; i++) {
+				if (input[i] === "[")
+					stack.push(i);
+				else if (input[i] === "]" && stack.length !== 0)
+					this.bracket_matches[stack.pop()] = i;
+			}
 		}
 
-		if (j > input.length || j - i === 0)
+		const title_end = this.bracket_matches[start];
+		if (title_end === -1)
 			return null;
 
-		const reference = input.substring(i + 1, j);
-		return {title: get_title(), ref_name: reference.toLowerCase(), skip: j + 1 - start};
-	} else if (is_whitespace(input[i]) || /[!"':;?.,]/.test(input[i])) {
-		const title = get_title();
-		return {title: title, ref_name: title.toLowerCase(), skip: i - start};
-	} else {
-		return null;
-	}
-}
+		const title = input.substring(start + 1, title_end);
+		const i = title_end + 1;
 
-function try_parse_url(input, start) {
-	if (!(/^[A-z]$/).test(input[start]))
-		return null;
+		if (i >= input.length) {
+			return {title: title, ref_name: title.toLowerCase(), skip: i - start};
+		}
 
-	let scheme_separator;
-	for (scheme_separator = start; scheme_separator < input.length; scheme_separator++) {
-		const char = input[scheme_separator];
-		if (char === ":") {
-			break;
-		} else if (is_whitespace(char)) {
+		// Now kind it's getting more specific.
+		if (input[i] === "(") {
+			// URL with tooltip case
+			const url_end = this.next(")", i + 1);
+			const j = url_end === -1 ? input.length : url_end + 1;
+
+			const part = input.substring(i + 1, j - 1).split(" ");
+			const url = part.shift();
+			let tooltip = part.join(" ");
+			if (!tooltip.startsWith('"') || !tooltip.endsWith('"'))
+				tooltip = null;
+			else
+				tooltip = tooltip.substring(1, tooltip.length - 1);
+
+			return {title: title, url: url, tooltip: tooltip, skip: j - start};
+		} else if (input[i] === "[") {
+			// Reference case.
+			let j = this.next("]", i + 1);
+			if (j === -1)
+				j = input.length;
+
+			const reference = input.substring(i + 1, j);
+			return {title: title, ref_name: reference.toLowerCase(), skip: j + 1 - start};
+		} else if (is_whitespace(input[i]) || /[!"':;?.,]/.test(input[i])) {
+			return {title: title, ref_name: title.toLowerCase(), skip: i - start};
+		} else {
 			return null;
 		}
 	}
 
-	if (scheme_separator === input.length)
-		return null;
+	/**
+	 * Tries to parse an URL at the given index.
+	 *
+	 * @param {number} start the URL start index
+	 * @return {string|null} the URL if it has been parsed successfully, or `null` otherwise
+	 */
+	url_at(start) {
+		const input = this.line;
 
-	const scheme = input.substring(start, scheme_separator);
+		if (!(/^[A-z]$/).test(input[start]))
+			return null;
 
-	let next_index = scheme_separator + 1;
-	let authority = "";
-	const has_slashes = input.indexOf("//", next_index) === next_index;
+		const scheme_separator = this.next(":", start);
+		const whitespace = this.next("whitespace", start);
+		if (scheme_separator === -1 || (whitespace !== -1 && whitespace < scheme_separator))
+			return null;
 
-	if (scheme === "file" && !has_slashes) {
-		return null;
-	} else if (has_slashes) {
-		next_index += 2;
+		const scheme = input.substring(start, scheme_separator);
 
-		let path_separator;
-		for (path_separator = next_index; path_separator < input.length; path_separator++) {
-			if (input[path_separator] === "/") {
-				break;
-			} else if (is_whitespace(input[path_separator])) {
+		let next_index = scheme_separator + 1;
+		let authority = "";
+		const has_slashes = input.startsWith("//", next_index);
+
+		if (scheme === "file" && !has_slashes) {
+			return null;
+		} else if (has_slashes) {
+			next_index += 2;
+
+			let path_separator = this.next("/", next_index);
+			const path_whitespace = this.next("whitespace", next_index);
+			if (path_whitespace !== -1 && (path_separator === -1 || path_whitespace < path_separator)) {
 				path_separator = -1;
-				break;
+			} else if (path_separator === -1) {
+				path_separator = input.length;
+			}
+
+			if (path_separator !== -1) {
+				authority = input.substring(scheme_separator + 3, path_separator); // TODO: check
+				next_index = path_separator + 1;
 			}
 		}
 
-		if (path_separator !== -1) {
-			authority = input.substring(scheme_separator + 3, path_separator); // TODO: check
-			next_index = path_separator + 1;
+		const end = this.next("whitespace", next_index);
+		const length = end === -1 ? input.length - start : end - start;
+
+		if (authority === "" && (scheme !== "file" && scheme !== "mailto" && scheme !== "tel"))
+			return null;
+
+		return input.substring(start, start + length);
+	}
+
+	/**
+	 * Returns the delimiter table of the given delimiter.
+	 *
+	 * Scanning for the end of a tag follows a path through the line which only depends on the current index:
+	 * links are skipped and, for single delimiters, so are the longer runs.
+	 * For each index, the table stores the first end candidate on the path (`events`),
+	 * the last longer run on the path for single delimiters (`saved`), and where the path leaves the line (`ends`).
+	 *
+	 * @param {string} delimiter the tag delimiter (1 character)
+	 * @param {number} delimiter_repeat how many time the tag delimiter character is repeated to form the delimiter
+	 */
+	get_delimiter_table(delimiter, delimiter_repeat) {
+		const key = delimiter + delimiter_repeat;
+		let table = this.delimiter_tables.get(key);
+
+		if (!table) {
+			const length = this.line.length;
+			const runs = this.get_runs(delimiter);
+			table = {
+				events: new Int32Array(length + 1).fill(-1),
+				saved: new Int32Array(length + 1).fill(-1),
+				ends: new Int32Array(length + 1)
+			};
+			table.ends[length] = length;
+
+			for (let i = length - 1; i >= 0; i--) {
+				const count = runs[i];
+				let link;
+				let next = i + 1;
+				let is_event = false;
+				let is_saved = false;
+
+				if (this.line[i] === "[" && (link = this.link_at(i))) {
+					next = i + link.skip;
+				} else if (count === delimiter_repeat || (delimiter_repeat === 1 && count === 3)) {
+					is_event = true;
+				} else if (delimiter_repeat === 1 && count > 1) {
+					is_saved = true;
+					next = i + count;
+				}
+
+				const follows = next < length;
+				table.events[i] = is_event ? i : (follows ? table.events[next] : -1);
+				table.saved[i] = follows && table.saved[next] !== -1 ? table.saved[next] : (is_saved ? i : -1);
+				table.ends[i] = follows ? table.ends[next] : next;
+			}
+
+			this.delimiter_tables.set(key, table);
 		}
+
+		return table;
 	}
 
-	let length = input.length - start;
-	for (let i = next_index; i < input.length; i++) {
-		if (is_whitespace(input[i])) {
-			length = i - start;
-			break;
+	/**
+	 * Tries to parse a single tag at the given index.
+	 *
+	 * @param {number} start the tag start index
+	 * @param {string} delimiter the tag delimiter (1 character)
+	 * @param {number} delimiter_repeat how many time the tag delimiter character is repeated to form the delimiter
+	 * @return {{tag: string, skip: number, delimiter_repeat: number}|null} an object if the tag has been parsed successfully, else `null`
+	 */
+	tag_at(start, delimiter, delimiter_repeat) {
+		const length = this.line.length;
+
+		if (this.get_runs(delimiter)[start] < delimiter_repeat || start + 2 >= length)
+			return null;
+
+		const table = this.get_delimiter_table(delimiter, delimiter_repeat);
+		const event = table.events[start + 2];
+
+		// The end index of the scan, relative to the start.
+		let i;
+		if (event !== -1) {
+			i = event - start + (delimiter_repeat === 1 && this.get_runs(delimiter)[event] === 3 ? 3 : 1);
+		} else if (delimiter_repeat === 1 && table.saved[start + 2] !== -1) {
+			// A longer run of delimiters is used as the end.
+			i = table.ends[start + 2] - start;
+
+			if (this.line[length - 1] !== delimiter) {
+				i = table.saved[start + 2] - start + 1;
+			}
+		} else {
+			return null;
+		}
+
+		const tag = this.line.substring(start + delimiter_repeat, start + i - 1);
+		return {tag: tag, skip: tag.length + 2 * delimiter_repeat, delimiter_repeat: delimiter_repeat};
+	}
+
+	/**
+	 * Tries to parse a single tag by parsing with different delimiters through decreasing the delimiter repeat until a match is found.
+	 *
+	 * @param {number} start the tag start index
+	 * @param {string} delimiter the tag delimiter (1 character)
+	 * @param {number} delimiter_repeat how many time the tag delimiter character is repeated to form the delimiter for the first iteration
+	 * @return an object if the tag has been parsed successfully, or `null` otherwise
+	 */
+	possible_tags_at(start, delimiter, delimiter_repeat) {
+		for (let i = delimiter_repeat; i > 0; i--) {
+			const result = this.tag_at(start, delimiter, i);
+			if (result)
+				return result;
 		}
+
+		return null;
 	}
 
-	if (authority === "" && (scheme !== "file" && scheme !== "mailto" && scheme !== "tel"))
+	/**
+	 * Tries to parse an inline code at the given index.
+	 *
+	 * @param {number} start the inline code start index
+	 * @return {{el: md.InlineCode, skip: number}|null} the inline code if it has been parsed successfully, or `null` otherwise
+	 */
+	inline_code_at(start) {
+		const input = this.line;
+
+		if (this.next("raw_terminator", start) !== -1) {
+			// Such characters can't be in inline code, which makes the regular expression look further.
+			const matched = input.substring(start).match(INLINE_CODE_REGEX);
+			if (!matched)
+				return null;
+
+			return {el: new md.InlineCode(matched[1] ? matched[1] : matched[2]), skip: matched[0].length};
+		}
+
+		let end;
+		if (input.startsWith("```", start) && (end = input.indexOf("```", start + 4)) !== -1) {
+			return {el: new md.InlineCode(input.substring(start + 3, end)), skip: end + 3 - start};
+		} else if ((end = this.next("`", start + 2)) !== -1) {
+			return {el: new md.InlineCode(input.substring(start + 1, end)), skip: end + 1 - start};
+		}
+
 		return null;
+	}
+
+	/**
+	 * Tries to parse an emoji at the given index.
+	 *
+	 * @param {number} start the emoji start index
+	 * @return {{el: md.Emoji, skip: number}|null} the emoji if it has been parsed successfully, or `null` otherwise
+	 */
+	emoji_at(start) {
+		EMOJI_REGEX.lastIndex = start;
+		const matched = EMOJI_REGEX.exec(this.line);
+		if (!matched)
+			return null;
+
+		return {el: new md.Emoji(matched[1], matched[2] ? parseInt(matched[2]) : null), skip: matched[0].length};
+	}
+
+	/**
+	 * Tries to match an inline HTML tag at the given index, without looking beyond the current line of text.
+	 *
+	 * @param {number} start the tag start index
+	 * @return {RegExpExecArray|null} the match of {@link INLINE_HTML_SKIP_REGEX}
+	 */
+	html_tag_at(start) {
+		let name_start = start + 1;
+		if (this.line[name_start] === "/")
+			name_start++;
+
+		if (!(/^[A-z]$/).test(this.line[name_start]))
+			return null;
+
+		const end = this.next(">", name_start + 1);
+		const terminator = this.next("line_terminator", name_start + 1);
+		if (end === -1 || (terminator !== -1 && terminator < end))
+			return null;
+
+		return this.match_at(INLINE_HTML_SKIP_REGEX, start);
+	}
+
+	/**
+	 * Matches the given sticky regular expression at the given index.
+	 *
+	 * @param {RegExp} regex the sticky regular expression
+	 * @param {number} start the index
+	 * @return {RegExpExecArray|null} the match
+	 */
+	match_at(regex, start) {
+		regex.lastIndex = start;
+		return regex.exec(this.line);
+	}
+}
+
+function push_text_if_present(text, nodes) {
+	if (text && text !== "") {
+		if (text.endsWith("\n"))
+			text = text.trimEnd();
+		nodes.push(new md.Text(text.replace(/&nbsp;/g, "\xa0")));
+	}
+	return "";
+}
 
-	return input.substring(start, start + length);
+function is_list_ordered(regex_match) {
+	return !(regex_match[1] === "-" || regex_match[1] === "+" || regex_match[1] === "*");
 }
 
+// The limits used in safe mode when they aren't specified.
+const SAFE_LIMITS = Object.freeze({
+	max_length: 100_000,
+	max_depth: 16,
+	max_nodes: 50_000,
+	time_budget: 250
+});
+
+// The limits used outside of safe mode when they aren't specified, deeper nestings would overflow the call stack.
+const DEFAULT_LIMITS = Object.freeze({
+	max_length: Infinity,
+	max_depth: 256,
+	max_nodes: Infinity,
+	time_budget: Infinity
+});
+
+const LIMIT_MESSAGES = Object.freeze({
+	max_length: "the source is too long, the remaining source is kept as plain text",
+	max_depth: "the nesting is too deep, the deeper content is kept as plain text",
+	max_nodes: "there are too many nodes, the remaining content is kept as plain text",
+	time_budget: "the parsing took too long, the remaining content is kept as plain text"
+});
+
 /**
- * Tries to parse a tag in the text at the specified index.
+ * Represents the resource limits of a parsing, shared by the parsing of nested elements through the options.
+ *
+ * Hitting a limit never throws, the content beyond the limit is kept as plain text
+ * and a diagnostic `{type: "limit", limit: string, message: string}` is reported once per limit.
+ * Outside of safe mode, only the depth is limited by default.
  *
- * @param {string} text the text to parse
- * @param {number} start the tag start index
- * @param {string} delimiter the tag delimiter (1 character)
- * @param {number} delimiter_repeat how many times the tag delimiter character is repeated to form the delimiter
- * @return {{tag: string, skip: number, delimiter_repeat: number}|null} an object if the tag has been parsed successfully, else `null`
+ * @version 1.8.0
+ * @since 1.8.0
  */
-function try_parse_tag(text, start, delimiter, delimiter_repeat) {
-	const rest = text.substring(start);
-	for (let i = 0; i < delimiter_repeat; i++) {
-		if (rest[i] !== delimiter)
-			return null;
+class ParseLimiter {
+	/* Class attributes:
+	max_length: number;
+	max_depth: number;
+	max_nodes: number;
+	time_budget: number;
+	diagnostics: object[];
+	depth: number;
+	nodes: number;
+	spent: number;
+	started: number;
+	running: number;
+	ticks: number;
+	reported: Set<string>;
+	*/
+
+	/**
+	 * @param options the parser options
+	 * @param {object[]} diagnostics the array in which the diagnostics are reported
+	 */
+	constructor(options, diagnostics = []) {
+		const get_limit = name => {
+			const limit = options.limits ? options.limits[name] : null;
+			if (limit !== null && limit !== undefined)
+				return limit;
+			return options.safe ? SAFE_LIMITS[name] : DEFAULT_LIMITS[name];
+		};
+
+		this.max_length = get_limit("max_length");
+		this.max_depth = get_limit("max_depth");
+		this.max_nodes = get_limit("max_nodes");
+		this.time_budget = get_limit("time_budget");
+		this.diagnostics = diagnostics;
+		this.depth = 0;
+		this.nodes = 0;
+		// Only the time spent parsing counts, which matters for streams.
+		this.spent = 0;
+		this.started = 0;
+		this.running = 0;
+		this.ticks = 0;
+		this.reported = new Set();
 	}
 
-	let found = false;
+	/**
+	 * Reports that the given limit has been hit.
+	 *
+	 * @param {string} limit the name of the limit
+	 */
+	report(limit) {
+		if (!this.reported.has(limit)) {
+			this.reported.add(limit);
+			this.diagnostics.push({type: "limit", limit: limit, message: `${LIMIT_MESSAGES[limit]} (${limit}: ${this[limit]}).`});
+		}
+	}
 
-	let i;
-	let saved_i = false;
-	for (i = 2; i < rest.length; i++) {
-		let result;
-		if (rest[i] === "[" && (result = try_parse_link(rest, i))) {
-			// Kind of sad that this link is "lostly" parsed.
-			// The image check also is done here.
-			i += result.skip - 1;
-		} else {
-			let delimiter_count = 0;
-			while (rest[i + delimiter_count] === delimiter) {
-				delimiter_count++;
-			}
-			if (delimiter_count === delimiter_repeat) {
-				// yay the end of the tag!
-				i++;
-				found = true;
-				break;
-			} else if (delimiter_repeat === 1 && delimiter_count > 1) {
-				found = true;
-				if (delimiter_count === 3) {
-					i += delimiter_count;
-					break;
-				}
-				saved_i = i;
-				i += delimiter_count - 1;
-			}
+	/**
+	 * Enters a nested element.
+	 *
+	 * @return {boolean} `true` if the nested element can be parsed, otherwise `false`
+	 */
+	enter() {
+		if (this.depth >= this.max_depth) {
+			this.report("max_depth");
+			return false;
+		}
+
+		this.depth++;
+		this.start();
+		return true;
+	}
+
+	/**
+	 * Leaves a nested element previously entered.
+	 */
+	leave() {
+		this.depth--;
+		this.stop();
+	}
+
+	/**
+	 * Starts counting the time spent parsing, the calls can be nested.
+	 */
+	start() {
+		if (this.running++ === 0) {
+			this.started = Date.now();
 		}
 	}
 
-	if (!found)
-		return null;
+	/**
+	 * Stops counting the time spent parsing, once as many times as it has been started.
+	 */
+	stop() {
+		if (--this.running === 0) {
+			this.spent += Date.now() - this.started;
+		}
+	}
 
-	if (i >= rest.length && (rest[rest.length - 1] !== delimiter)) {
-		if (saved_i && saved_i <= rest.length) {
-			i = saved_i + 1;
-		} else {
-			return null;
+	/**
+	 * Returns whether the node count or the time budget are exhausted.
+	 *
+	 * @param {number} pending the count of nodes not counted yet
+	 * @return {boolean} `true` if the parsing should stop, otherwise `false`
+	 */
+	is_exhausted(pending = 0) {
+		if (this.nodes + pending >= this.max_nodes) {
+			this.report("max_nodes");
+			return true;
+		}
+
+		// Reading the time on every call would be too costly, but a single call may take long enough to overrun the budget.
+		if (this.time_budget !== Infinity && (this.reported.has("time_budget") || (this.ticks++ & 0xf) === 0)
+			&& this.spent + (this.running !== 0 ? Date.now() - this.started : 0) > this.time_budget) {
+			this.report("time_budget");
+			return true;
+		}
+
+		return false;
+	}
+
+	/**
+	 * Splits the given source at the maximum length.
+	 *
+	 * @param {string} source the source
+	 * @param {number} offset the count of characters of the source before the given one
+	 * @return {{source: string, rest: string}} the part of the source which fits in the maximum length, and the rest
+	 */
+	split(source, offset = 0) {
+		if (offset + source.length <= this.max_length) {
+			return {source: source, rest: ""};
 		}
+
+		this.report("max_length");
+		const length = Math.max(this.max_length - offset, 0);
+		return {source: source.substring(0, length), rest: source.substring(length)};
 	}
+}
 
-	const tag = rest.substring(delimiter_repeat, i - 1);
-	return {tag: tag, skip: tag.length + 2 * delimiter_repeat, delimiter_repeat: delimiter_repeat};
+function get_limiter(options) {
+	if (!options.limiter) {
+		options.limiter = new ParseLimiter(options, options.doc instanceof md.MDDocument ? options.doc.diagnostics : []);
+	}
+	return options.limiter;
 }
 
 /**
- * Tries to parse a single tag by parsing with different delimiters through decreasing the delimiter repeat until a match is found.
- * @param {string} text the text to parse
- * @param {number} start the tag start index
- * @param {string} delimiter the tag delimiter (1 character)
- * @param {number} delimiter_repeat how many time the tag delimiter character is repeated to form the delimiter for the first iteration
- * @return an object if the tag has been parsed successfully, or `null` otherwise
+ * Represents the line starts of the source of a parsing, to locate offsets as lines and columns.
+ *
+ * @version 1.8.0
+ * @since 1.8.0
  */
-function try_parse_possible_tags(text, start, delimiter, delimiter_repeat) {
-	for (let i = delimiter_repeat; i > 0; i--) {
-		const result = try_parse_tag(text, start, delimiter, i);
-		if (result)
-			return result;
+class SourceLocator {
+	/* Class attributes:
+	line_starts: number[];
+	*/
+
+	/**
+	 * @param {number[]} line_starts the line start offsets, lines can be added afterwards as the source is known
+	 */
+	constructor(line_starts = [0]) {
+		this.line_starts = line_starts;
 	}
 
-	return null;
+	/**
+	 * Returns the point at the given offset.
+	 *
+	 * @param {number} offset the offset in the source
+	 * @return {{offset: number, line: number, column: number}} the point
+	 */
+	point(offset) {
+		const line = get_line_at(this.line_starts, offset);
+		return {offset: offset, line: line + 1, column: offset - this.line_starts[line] + 1};
+	}
+
+	/**
+	 * Returns the position between the given offsets.
+	 *
+	 * @param {number} start the start offset
+	 * @param {number} end the end offset, exclusive
+	 * @return {{start: object, end: object}} the position
+	 */
+	position(start, end) {
+		return {start: this.point(start), end: this.point(end)};
+	}
 }
 
 /**
- * Tries to parse an inline code in the text at the specified index.
- * @param {string} text The text to parse in.
- * @param start The inline code start index.
+ * Represents where the characters of a string being parsed are in the source.
+ *
+ * Nested block elements are parsed from strings stripped of their markers and indentation,
+ * so such strings are made of pieces which are each contiguous in the source.
+ *
+ * @version 1.8.0
+ * @since 1.8.0
  */
-function try_parse_inline_code(text, start) {
-	const rest = text.substring(start);
-	const matched = rest.match(INLINE_CODE_REGEX);
-	if (!matched)
-		return null;
+class OffsetMap {
+	/* Class attributes:
+	indexes: number[];
+	offsets: number[];
+	base: number;
+	*/
+
+	/**
+	 * @param {number[]} indexes the index in the string where each piece starts, in ascending order
+	 * @param {number[]} offsets the offset in the source where each piece starts
+	 * @param {number} base the index in the mapped string of the start of the string
+	 */
+	constructor(indexes, offsets, base = 0) {
+		this.indexes = indexes;
+		this.offsets = offsets;
+		this.base = base;
+	}
+
+	/**
+	 * Returns the offset in the source of the character at the given index.
+	 *
+	 * @param {number} index the index in the string
+	 * @return {number} the offset in the source
+	 */
+	offset_at(index) {
+		const piece = this.get_piece(index);
+		return this.offsets[piece] + index + this.base - this.indexes[piece];
+	}
+
+	/**
+	 * Returns the last piece starting at or before the given index.
+	 *
+	 * @param {number} index the index in the string
+	 * @return {number} the index of the piece
+	 */
+	get_piece(index) {
+		index += this.base;
+
+		let low = 0;
+		let high = this.indexes.length - 1;
+		while (low < high) {
+			const middle = (low + high + 1) >> 1;
+			if (this.indexes[middle] <= index)
+				low = middle;
+			else
+				high = middle - 1;
+		}
 
-	let code = matched[1];
-	if (!code)
-		code = matched[2];
+		return low;
+	}
+
+	/**
+	 * Returns the map of the substring starting at the given index.
+	 *
+	 * @param {number} start the start index of the substring
+	 * @return {OffsetMap} the map of the substring
+	 */
+	shift(start) {
+		return start === 0 ? this : new OffsetMap(this.indexes, this.offsets, this.base + start);
+	}
+
+	/**
+	 * Returns the map of the same string moved in the source.
+	 *
+	 * @param {number} delta how many characters the string moved
+	 * @return {OffsetMap} the moved map
+	 */
+	translate(delta) {
+		return delta === 0 ? this : new OffsetMap(this.indexes, this.offsets.map(offset => offset + delta), this.base);
+	}
+
+	/**
+	 * Replaces the matches of the given regular expression in the given string, keeping track of the mapping.
+	 *
+	 * @param {string} string the mapped string
+	 * @param {RegExp} regex the regular expression, global to replace every match
+	 * @param {string} replacement the replacement, mapped to the start of the match
+	 * @return {{string: string, map: OffsetMap}} the replaced string and its map
+	 */
+	replace(string, regex, replacement) {
+		const edits = [];
+		const result = string.replace(regex, (match, ...args) => {
+			edits.push({index: args[args.length - 2], length: match.length, replacement: replacement});
+			return replacement;
+		});
+
+		return {string: result, map: this.edit(string, edits)};
+	}
+
+	/**
+	 * Returns the map of the given string once the given parts are replaced.
+	 *
+	 * @param {string} string the mapped string
+	 * @param {{index: number, length: number, replacement: string}[]} edits the replaced parts, in order and not overlapping,
+	 * each replacement is mapped to the start of the part it replaces
+	 * @return {OffsetMap} the map of the edited string
+	 */
+	edit(string, edits) {
+		const indexes = [];
+		const offsets = [];
+		let length = 0;
+
+		const keep = (from, to) => {
+			indexes.push(length);
+			offsets.push(this.offset_at(from));
+
+			// The pieces starting inside the kept part.
+			let piece = this.get_piece(from) + 1;
+			for (; piece < this.indexes.length && this.indexes[piece] - this.base < to; piece++) {
+				indexes.push(length + this.indexes[piece] - this.base - from);
+				offsets.push(this.offsets[piece]);
+			}
+
+			length += to - from;
+		};
+
+		let last = 0;
+		for (const edit of edits) {
+			keep(last, edit.index);
+
+			indexes.push(length);
+			offsets.push(this.offset_at(edit.index));
+			length += edit.replacement.length;
 
-	return {el: new md.InlineCode(code), skip: matched[0].length};
+			last = edit.index + edit.length;
+		}
+		keep(last, string.length);
+
+		return new OffsetMap(indexes, offsets);
+	}
 }
 
-function try_parse_emoji(text, start) {
-	const rest = text.substring(start);
-	const matched = rest.match(EMOJI_REGEX);
-	if (!matched)
-		return null;
+/**
+ * Returns the map of the given string purged by {@link purge_inline_html}, which only escapes some `<` as `&lt;`.
+ *
+ * @param {string} string the string before being purged
+ * @param {string} purged the purged string
+ * @param {OffsetMap} map the map of the string before being purged
+ * @return {OffsetMap} the map of the purged string
+ */
+function map_purged(string, purged, map) {
+	if (string === purged)
+		return map;
+
+	const edits = [];
+	for (let i = 0, j = 0; i < string.length; i++, j++) {
+		if (string[i] !== purged[j]) {
+			edits.push({index: i, length: 1, replacement: "&lt;"});
+			j += "&lt;".length - 1;
+		}
+	}
 
-	return {el: new md.Emoji(matched[1], matched[2] ? parseInt(matched[2]) : null), skip: matched[0].length};
+	return map.edit(string, edits);
 }
 
-function push_text_if_present(text, nodes) {
-	if (text && text !== "") {
-		if (text.endsWith("\n"))
-			text = text.trimEnd();
-		nodes.push(new md.Text(text.replace(/&nbsp;/g, "\xa0")));
+function shift_map(map, start) {
+	return map ? map.shift(start) : null;
+}
+
+function get_locator(options) {
+	return options.locator instanceof SourceLocator ? options.locator : null;
+}
+
+/**
+ * Sets the source position of the given node, if the source is known.
+ *
+ * @param {md.Node} node the node
+ * @param {OffsetMap|null} map the map of the string the node has been parsed from
+ * @param {number} start the start index of the node in the string
+ * @param {number} end the end index of the node in the string, exclusive
+ * @param {SourceLocator|null} locator the locator of the source
+ * @return {md.Node} the node
+ */
+function locate(node, map, start, end, locator) {
+	if (map && locator && node instanceof md.Node) {
+		node.position = locator.position(map.offset_at(start), map.offset_at(end));
 	}
-	return "";
+	return node;
 }
 
-function is_list_ordered(regex_match) {
-	return !(regex_match[1] === "-" || regex_match[1] === "+" || regex_match[1] === "*");
+/**
+ * Extends the position of the given node to cover its inner nodes, which may keep some surrounding whitespaces.
+ *
+ * @param {md.Node} node the node
+ * @param {SourceLocator|null} locator the source locator
+ * @return {md.Node} the node
+ */
+function cover_nodes(node, locator) {
+	if (!locator || !node.position || !node.nodes)
+		return node;
+
+	let start = node.position.start.offset;
+	let end = node.position.end.offset;
+	for (const child of node.nodes) {
+		if (child.position) {
+			start = Math.min(start, child.position.start.offset);
+			end = Math.max(end, child.position.end.offset);
+		}
+	}
+
+	if (start !== node.position.start.offset || end !== node.position.end.offset)
+		node.position = locator.position(start, end);
+	return node;
+}
+
+function as_plain_paragraph(text, map = null, locator = null) {
+	const end = text.trimEnd().length;
+	return locate(new md.Paragraph([locate(new md.Text(text), map, 0, end, locator)]), map, 0, end, locator);
+}
+
+/**
+ * Completes the given parser options with the default options, which is done once per parsing.
+ *
+ * The state of the parsing is kept in the completed options, so they're always a copy of the given ones.
+ *
+ * @param options the parser options
+ * @return the complete parser options
+ */
+function complete_options(options) {
+	return options && options[COMPLETE_OPTIONS] ? { ...options } : merge_objects(DEFAULT_OPTIONS, { ...options });
 }
 
 /**
  * Parses a Markdown document from the given string.
+ *
+ * Lines may end with `\n`, `\r\n` or `\r`, the line terminators are never part of the parsed content.
+ *
  * @param {string} string the Markdown source
  * @param options
  * @returns {MDDocument} the parsed Markdown document
  */
 export function parse(string, options = {}) {
-	options = merge_objects(DEFAULT_OPTIONS, options);
+	options = complete_options(options);
 
 	const doc = new md.MDDocument();
 
 	options.doc = doc;
-	parse_blocks(string, options).forEach(block => doc.push(block));
+	options.limiter = new ParseLimiter(options, doc.diagnostics);
+	options.locator = new SourceLocator(get_line_starts(string));
+
+	const split = options.limiter.split(string);
+	const lines = split.source.split(LINE_SEPARATOR_REGEX);
+	const blocks = [];
+	const grouper = new BlockGrouper(options, block => blocks.push(block));
+	let rest_start = split.source.length;
+
+	// The grouping of the lines also counts in the time budget.
+	options.limiter.start();
+	try {
+		for (let index = 0; index <= lines.length; index++) {
+			if (index === lines.length) {
+				grouper.end();
+			} else if (grouper.is_clean() && index !== 0 && options.limiter.is_exhausted()) {
+				// Once exhausted, the remaining lines aren't grouped either.
+				rest_start = options.locator.line_starts[index];
+				break;
+			} else {
+				grouper.feed(lines[index], lines[index + 1], options.locator.line_starts[index]);
+			}
+
+			blocks.forEach(block => doc.push(parse_block(block, options)));
+			blocks.length = 0;
+		}
+	} finally {
+		options.limiter.stop();
+	}
+
+	const rest = string.substring(rest_start);
+	if (rest !== "") {
+		doc.push(as_plain_paragraph(rest, new OffsetMap([0], [rest_start]), options.locator));
+	}
 
 	return doc;
 }
 
-function group_blocks(string, options = {}) {
-	options = merge_objects(DEFAULT_OPTIONS, options);
+/**
+ * Represents the state machine which groups lines into raw blocks.
+ *
+ * Lines are fed one at a time along with the line following them, as some constructs need to look ahead.
+ * A raw block is given to the consumer as soon as it is known that no further line can change it.
+ *
+ * @version 1.8.0
+ * @since 1.8.0
+ */
+class BlockGrouper {
+	/* Class attributes:
+	options: object;
+	consumer: (block: {block: string, type: string, map: OffsetMap}) => void;
+	current_block: string;
+	current: string|null;
+	indexes: number[];
+	offsets: number[];
+	offset: number;
+	inline_html_opener: string;
+	inline_html_opener_counter: number;
+	front_matter_fence: string|null;
+	*/
+
+	/**
+	 * @param {object} options the parser options
+	 * @param {(block: {block: string, type: string, map: OffsetMap}) => void} consumer the consumer of the grouped raw blocks
+	 */
+	constructor(options, consumer) {
+		this.options = options;
+		this.consumer = consumer;
+		this.current_block = "none";
+		this.current = null;
+		this.indexes = [];
+		this.offsets = [];
+		this.offset = 0;
+		this.inline_html_opener = "";
+		this.inline_html_opener_counter = 0;
+		this.front_matter_fence = null;
+	}
 
-	// The goal is to group lines to block elements.
-	const lines = string.split("\n");
-	const blocks = {
-		content: [],
-		push: function (block) {
-			this.content.push(block);
+	push_current() {
+		if (this.current) {
+			this.consumer({block: this.current, type: this.current_block, map: new OffsetMap(this.indexes, this.offsets)});
 		}
-	};
+	}
 
-	let current_block = "none";
-	let current;
+	/**
+	 * Starts the current raw block with the given part of the fed line.
+	 *
+	 * @param {string} text the part of the line
+	 * @param {number} column the index of the part in the line
+	 */
+	start_current(text, column = 0) {
+		this.current = text;
+		this.indexes = [0];
+		this.offsets = [this.offset + column];
+	}
 
-	let found;
+	/**
+	 * Appends the given part of the fed line to the current raw block as a new line.
+	 *
+	 * @param {string} text the part of the line
+	 * @param {number} column the index of the part in the line
+	 */
+	append_current(text, column = 0) {
+		this.indexes.push(this.current.length + 1);
+		this.offsets.push(this.offset + column);
+		this.current += "\n" + text;
+	}
 
-	let inline_html_opener = "";
-	let inline_html_opener_counter = 0;
+	/**
+	 * Maps the end of the current raw block past the part of the fed line which closes it without being part of it.
+	 *
+	 * @param {number} column the index in the line of the end of the closing part
+	 */
+	close_current(column) {
+		this.indexes.push(this.current.length + 1);
+		this.offsets.push(this.offset + column);
+	}
 
-	function push_group(new_current_block = "none") {
-		if (current) {
-			blocks.push({block: current, type: current_block});
-			current = null;
+	push_group(new_current_block = "none") {
+		if (this.current) {
+			this.push_current();
+			this.current = null;
 		}
-		current_block = new_current_block;
-		inline_html_opener = "";
-		inline_html_opener_counter = 0;
+		this.current_block = new_current_block;
+		this.inline_html_opener = "";
+		this.inline_html_opener_counter = 0;
 	}
 
-	function do_paragraph(line) {
-		if (current_block !== "paragraph") {
-			push_group("paragraph");
-			current = line;
+	do_paragraph(line) {
+		if (this.current_block !== "paragraph") {
+			this.push_group("paragraph");
+			this.start_current(line);
 		} else {
-			current += "\n" + line;
+			this.append_current(line);
 		}
 	}
 
-	for (let index = 0; index < lines.length; index++) {
-		let line = lines[index];
+	/**
+	 * Returns whether the given line needs to know the following line to be fed.
+	 *
+	 * @param {string} line the line
+	 * @return {boolean} `true` if the following line is needed, otherwise `false`
+	 */
+	needs_lookahead(line) {
+		// Only code fence openings, tables and definition list terms look at the following line, nothing does inside a code block.
+		return this.current_block === "definition_list"
+			|| (this.current_block !== "code" && (line.includes("```") || line.includes("|")));
+	}
+
+	/**
+	 * Feeds the next line to group.
+	 *
+	 * @param {string} line the line
+	 * @param {string|null|undefined} next_line the line following the fed line,
+	 * `null` if it is not known yet and the fed line doesn't need it, or `undefined` if the fed line is the last one
+	 * @param {number} offset the offset of the fed line in the source
+	 */
+	feed(line, next_line, offset = 0) {
+		const options = this.options;
+		let found;
+
+		this.offset = offset;
+
+		if (this.current_block === "front_matter") {
+			this.append_current(line);
+			if (line.trimEnd() === this.front_matter_fence) {
+				if (this.is_front_matter_valid())
+					this.push_group();
+				else
+					// Like a document starting with a horizontal rule, the front matter is grouped like the rest of the document.
+					this.regroup_front_matter();
+			}
+			return;
+		} else if (offset === 0 && options.doc !== null && options.front_matter.enabled && this.front_matter_fence === null
+			&& this.current === null && (found = find_front_matter_format(line, options.front_matter.formats))) {
+			// Front matter, only at the very start of the document, it is grouped once its closing fence is found.
+			this.push_group("front_matter");
+			this.front_matter_fence = found.fence;
+			this.start_current(line);
+			return;
+		}
 
 		if (options.code_block_from_indent && (found = line.match(CODE_BLOCK_INDENT_DETECTION_REGEX))
-			&& !current_block.startsWith("list") && current_block !== "code") {
-			if (current_block !== "indent_code_block") {
-				push_group("indent_code_block");
-				current = line.substring(found[0].length);
-				continue;
+			&& !this.current_block.startsWith("list") && this.current_block !== "code" && this.current_block !== "footnote_definition") {
+			if (this.current_block !== "indent_code_block") {
+				this.push_group("indent_code_block");
+				this.start_current(line.substring(found[0].length), found[0].length);
+				return;
 			}
 
-			current += "\n" + line.substring(found[0].length);
-		} else if ((line.startsWith("```") && index !== lines.length - 1) || current_block === "code") {
-			if (current_block !== "code") {
-				push_group("code");
-				current = line;
-				continue;
+			this.append_current(line.substring(found[0].length), found[0].length);
+		} else if ((line.startsWith("```") && next_line !== undefined) || this.current_block === "code") {
+			if (this.current_block !== "code") {
+				this.push_group("code");
+				this.start_current(line);
+				return;
 			} else if (!line.startsWith("```")) {
-				current += "\n" + line;
+				this.append_current(line);
 			}
 
-			if (line.startsWith("```") && current_block === "code") {
-				push_group();
+			if (line.startsWith("```") && this.current_block === "code") {
+				this.close_current(3);
+				this.push_group();
 
 				if (line.length > 3) {
-					current_block = "paragraph";
-					current = line.substring(3);
+					this.current_block = "paragraph";
+					this.start_current(line.substring(3), 3);
 				}
 			}
-		} else if ((found = line.match(COMMENT_START_REGEX)) || current_block === "comment") {
+		} else if (options.footnote && (line.match(FOOTNOTE_DEFINITION_REGEX)
+			|| (this.current_block === "footnote_definition" && (line === "" || line.startsWith(" ") || line.startsWith("\t"))))) {
+			// Footnote definition, the following blocks are indented.
+			if (this.current_block !== "footnote_definition" || line.match(FOOTNOTE_DEFINITION_REGEX)) {
+				this.push_group("footnote_definition");
+				this.start_current(line);
+			} else {
+				this.append_current(line);
+			}
+		} else if (options.definition_list && ((this.current_block === "paragraph" && DEFINITION_DESCRIPTION_REGEX.test(line))
+			|| (this.current_block === "definition_list" && (line === "" || line.startsWith(" ") || line.startsWith("\t")
+				|| DEFINITION_DESCRIPTION_REGEX.test(line) || (next_line && DEFINITION_DESCRIPTION_REGEX.test(next_line)))))) {
+			// Definition list, the lines of the paragraph before the first description are its first terms,
+			// the following blocks of the descriptions are indented.
+			this.current_block = "definition_list";
+			this.append_current(line);
+		} else if ((found = line.match(COMMENT_START_REGEX)) || this.current_block === "comment") {
 			const end = line.match(COMMENT_END_REGEX);
 
 			let current_group_comment = true;
-			if (current_block !== "comment" && current_block !== "inline_html") {
-				if (current)
-					blocks.push({block: current, type: current_block});
-				current_block = "comment";
-				current = line;
+			if (this.current_block !== "comment" && this.current_block !== "inline_html") {
+				this.push_current();
+				this.current_block = "comment";
+				this.start_current(line);
 				current_group_comment = false;
 			}
 
 			if (end) {
 				if (!found) {
-					current += "\n" + line.substring(0, end.index);
+					this.append_current(line.substring(0, end.index));
 				} else {
-					current = line.substring(0, end.index);
+					this.start_current(line.substring(0, end.index));
 				}
 
 				const remaining = line.substring(end.index + "-->".length);
-				push_group();
+				this.push_group();
 
 				if (remaining.length !== 0) {
 					// Restart the parsing.
-					lines[index] = remaining;
-					index--;
-					continue;
+					this.feed(remaining, next_line, offset + end.index + "-->".length);
+					return;
 				}
 			}
 
-			// Comment
-			if (current_group_comment) {
-				current += "\n" + line;
+			// Comment, the closing line has already been consumed.
+			if (current_group_comment && !end) {
+				this.append_current(line);
 			}
-		} else if ((found = line.match(INLINE_HTML_DETECTION_REGEX)) || current_block === "inline_html") {
+		} else if ((found = line.match(INLINE_HTML_DETECTION_REGEX)) || this.current_block === "inline_html") {
 			let tags = line.matchAll(INLINE_HTML_OPENER_REGEX);
 			let tag;
 			while ((tag = tags.next().value)) {
 				if (!INLINE_HTML_SINGLE_TAG.includes(tag[1]) && !INLINE_HTML_IGNORE_TAG.includes(tag[1])) {
-					if (inline_html_opener === "") {
-						inline_html_opener = tag[1];
-						inline_html_opener_counter = 1;
-					} else if (inline_html_opener === tag[1]) {
-						inline_html_opener_counter++;
+					if (this.inline_html_opener === "") {
+						this.inline_html_opener = tag[1];
+						this.inline_html_opener_counter = 1;
+					} else if (this.inline_html_opener === tag[1]) {
+						this.inline_html_opener_counter++;
 					}
 				}
 			}
 
 			tags = line.matchAll(INLINE_HTML_CLOSER_REGEX);
 			while ((tag = tags.next().value)) {
-				if (tag[1] === inline_html_opener) {
-					inline_html_opener_counter--;
-					if (inline_html_opener_counter <= 0) {
-						if (inline_html_opener_counter === 0)
-							current = current === null ? line : `${current}\n${line}`;
-						push_group();
+				if (tag[1] === this.inline_html_opener) {
+					this.inline_html_opener_counter--;
+					if (this.inline_html_opener_counter <= 0) {
+						if (this.inline_html_opener_counter === 0) {
+							if (this.current_block !== "inline_html") {
+								this.push_group("inline_html");
+								this.start_current(line);
+							} else {
+								this.append_current(line);
+							}
+
+							// The closing line is part of the block, it mustn't also start another HTML block.
+							this.push_group();
+							return;
+						}
+						this.push_group();
 					}
 				}
 			}
 
-			if (line === "" && inline_html_opener === "") {
-				push_group();
-				continue;
+			if (line === "" && this.inline_html_opener === "") {
+				this.push_group();
+				return;
 			}
 			// Inline HTML
-			if (current_block !== "inline_html") {
-				if (current)
-					blocks.push({block: current, type: current_block})
-				current_block = "inline_html";
-				current = line;
+			if (this.current_block !== "inline_html") {
+				this.push_current();
+				this.current_block = "inline_html";
+				this.start_current(line);
 			} else {
-				current += "\n" + line;
+				this.append_current(line);
 			}
-		} else if (options.latex && (line.startsWith("$$") || current_block === "inline_latex")) {
-			if (current_block !== "inline_latex") {
-				push_group("inline_latex");
-				current = line;
-				continue;
+		} else if (options.latex && (line.startsWith("$$") || this.current_block === "inline_latex")) {
+			if (this.current_block !== "inline_latex") {
+				this.push_group("inline_latex");
+				this.start_current(line);
+				return;
 			} else if (!line.startsWith("$$")) {
-				current += "\n" + line;
+				this.append_current(line);
 			}
 
-			if (line.startsWith("$$") && current_block === "inline_latex") {
-				push_group();
+			if (line.startsWith("$$") && this.current_block === "inline_latex") {
+				this.push_group();
 
 				if (line.length > 3) {
-					current_block = "paragraph";
-					current = line.substring(3);
+					this.current_block = "paragraph";
+					this.start_current(line.substring(3), 3);
 				}
 			}
 		} else if (line.startsWith("#")) {
 			// Push the heading as a block.
-			push_group("heading");
-			current = line;
-			push_group();
+			this.push_group("heading");
+			this.start_current(line);
+			this.push_group();
 		} else if (options.table_of_contents && line.toLowerCase() === "[[toc]]") {
-			push_group("table_of_contents");
-			current = line;
-			push_group();
+			this.push_group("table_of_contents");
+			this.start_current(line);
+			this.push_group();
 		} else if (line.match(HORIZONTAL_RULE_REGEX)) {
-			push_group("horizontal_rule");
-			current = line;
-			push_group();
+			this.push_group("horizontal_rule");
+			this.start_current(line);
+			this.push_group();
 		} else if (line.match(QUOTE_DETECTION_REGEX)) {
-			if (current_block !== "quote") {
-				push_group("quote");
-				current = line;
+			if (this.current_block !== "quote") {
+				this.push_group("quote");
+				this.start_current(line);
 			} else {
-				current += "\n" + line;
+				this.append_current(line);
 			}
-		} else if (options.list && ((found = line.match(LIST_DETECTION_REGEX)) || (current_block.startsWith("list") && (line.startsWith(" ") || line === "")))) {
+		} else if (options.list && ((found = line.match(LIST_DETECTION_REGEX))
+			|| (this.current_block.startsWith("list") && (line.startsWith(" ") || line === "")))) {
 			// List
-			if (!current_block.startsWith("list")) {
-				push_group();
+			if (!this.current_block.startsWith("list")) {
+				this.push_group();
 
 				const ordered = is_list_ordered(found);
 
-				current_block = "list_" + (ordered ? "ordered" : "unordered");
-				current = line;
+				this.current_block = "list_" + (ordered ? "ordered" : "unordered");
+				this.start_current(line);
 			} else {
 				// Ordered/Unordered mixing prevention.
 				if (found && line.match(/^ {2,}/) === null) {
 					const ordered = is_list_ordered(found);
 
-					if (current_block !== ("list_" + (ordered ? "ordered" : "unordered"))) {
-						push_group("list_" + (ordered ? "ordered" : "unordered"));
-						current = line;
-						continue;
+					if (this.current_block !== ("list_" + (ordered ? "ordered" : "unordered"))) {
+						this.push_group("list_" + (ordered ? "ordered" : "unordered"));
+						this.start_current(line);
+						return;
 					}
 				}
-				current += "\n" + line;
+				this.append_current(line);
 			}
 		} else if (options.table && (found = line.match(TABLE_DETECTION_REGEX))) {
-			if (current_block !== "table") {
-				const next = lines[index + 1];
-				if (next && (found = next.match(TABLE_SEPARATOR_REGEX))) {
-					push_group("table");
-					current = line.trimStart();
-					continue;
+			if (this.current_block !== "table") {
+				if (next_line && (found = next_line.match(TABLE_SEPARATOR_REGEX))) {
+					this.push_group("table");
+					this.start_current(line.trimStart(), line.length - line.trimStart().length);
 				} else {
-					do_paragraph(line);
-					continue;
+					this.do_paragraph(line);
 				}
+				return;
 			}
 
 			if ((found = line.match(TABLE_SEPARATOR_REGEX))) {
 				line = line.substring(0, (line.length - found[1].length));
 			}
 
-			current += "\n" + line.trimStart();
+			this.append_current(line.trimStart(), line.length - line.trimStart().length);
 		} else if (line === "") {
-			push_group();
+			this.push_group();
 		} else if (options.doc && (found = line.match(REFERENCE_REGEX)) !== null) {
 			const name = found[1];
 			const url = found[2];
 			const tooltip = found[3];
 			options.doc.ref(name, new md.Reference(url, tooltip));
 		} else {
-			do_paragraph(line);
+			this.do_paragraph(line);
+		}
+	}
+
+	/**
+	 * Creates a copy of this grouper in its current state.
+	 *
+	 * @param options the parser options of the copy
+	 * @param {(block: {block: string, type: string, map: OffsetMap}) => void} consumer the consumer of the copy
+	 * @return {BlockGrouper} the copy
+	 */
+	clone(options, consumer) {
+		const grouper = new BlockGrouper(options, consumer);
+		grouper.current_block = this.current_block;
+		grouper.current = this.current;
+		grouper.indexes = this.indexes.slice();
+		grouper.offsets = this.offsets.slice();
+		grouper.inline_html_opener = this.inline_html_opener;
+		grouper.inline_html_opener_counter = this.inline_html_opener_counter;
+		grouper.front_matter_fence = this.front_matter_fence;
+		return grouper;
+	}
+
+	/**
+	 * Returns whether this grouper is in its initial state, in which case the grouping of the following lines
+	 * doesn't depend on the lines fed before.
+	 *
+	 * @return {boolean} `true` if this grouper is in its initial state, otherwise `false`
+	 */
+	is_clean() {
+		return this.current_block === "none" && this.current === null
+			&& this.inline_html_opener === "" && this.inline_html_opener_counter === 0;
+	}
+
+	/**
+	 * Ends the grouping, the last opened block is given to the consumer.
+	 */
+	end() {
+		if (this.current_block === "front_matter")
+			// Without its closing fence, the front matter is grouped like the rest of the document.
+			this.regroup_front_matter();
+
+		this.push_group();
+	}
+
+	/**
+	 * Checks whether the metadata of the current front matter can be parsed, a diagnostic is reported otherwise.
+	 *
+	 * @return {boolean} `true` if the metadata can be parsed, otherwise `false`
+	 */
+	is_front_matter_valid() {
+		const lines = this.current.split("\n");
+		try {
+			find_front_matter_format(lines[0], this.options.front_matter.formats).parse(lines.slice(1, -1).join("\n"));
+			return true;
+		} catch (error) {
+			get_limiter(this.options).diagnostics.push({type: "front_matter", message: error.message});
+			return false;
 		}
 	}
 
-	push_group();
+	/**
+	 * Groups the lines of the current front matter like the rest of the document.
+	 */
+	regroup_front_matter() {
+		const lines = this.current.split("\n");
+		const offsets = this.offsets;
+		this.current_block = "none";
+		this.current = null;
+		lines.forEach((line, index) => this.feed(line, index + 1 < lines.length ? lines[index + 1] : undefined, offsets[index]));
+	}
+}
+
+/**
+ * Feeds the lines of the given string to the given block grouper.
+ *
+ * @param {string} string the string to group
+ * @param {BlockGrouper} grouper the block grouper
+ * @param {OffsetMap|null} map the map of the string in the source
+ */
+function feed_lines(string, grouper, map = null) {
+	const lines = string.split(LINE_SEPARATOR_REGEX);
+	const line_starts = map ? get_line_starts(string) : null;
+
+	for (let index = 0; index < lines.length; index++) {
+		grouper.feed(lines[index], lines[index + 1], map ? map.offset_at(line_starts[index]) : 0);
+	}
+
+	grouper.end();
+}
 
-	return blocks.content;
+function group_blocks(string, options, map = null) {
+	// The goal is to group lines to block elements.
+	const blocks = [];
+	feed_lines(string, new BlockGrouper(options, block => blocks.push(block)), map);
+	return blocks;
 }
 
 /**
@@ -573,14 +1478,43 @@ function parse_block(block, options = {}) {
 		block = group_blocks(block, options)[0]; // Really bad.
 	}
 
-	let found;
+	const limiter = get_limiter(options);
+	if (!limiter.enter()) {
+		return as_plain_paragraph(block.block, block.map, get_locator(options));
+	}
 
-	switch (block.type) {
-		case "comment":
-			return new md.Comment(block.block.replace(/^\s*<!-?-?/, ""));
+	try {
+		if (limiter.is_exhausted()) {
+			return as_plain_paragraph(block.block, block.map, get_locator(options));
+		}
+
+		limiter.nodes++;
+
+		// The surrounding whitespaces aren't part of the block element, but a closing code fence mapped past its end is.
+		const start = block.block.length - block.block.trimStart().length;
+		const closing = block.map ? block.map.indexes[block.map.indexes.length - 1] : 0;
+		const end = closing > block.block.length ? closing : Math.max(block.block.trimEnd().length, start);
+		return cover_nodes(locate(parse_raw_block(block, options, limiter), block.map, start, end, get_locator(options)), get_locator(options));
+	} finally {
+		limiter.leave();
+	}
+}
+
+function parse_raw_block(block, options, limiter) {
+	let found;
+
+	switch (block.type) {
+		case "comment": {
+			const comment = block.block.replace(/^\s*<!-?-?/, "");
+			const comment_start = block.block.length - comment.length;
+			const node = new md.Comment(comment);
+			node.nodes.forEach(text => locate(text, block.map, comment_start, block.block.length, get_locator(options)));
+			return node;
+		}
 		case "heading": {
 			// Heading
 			let nodes = block.block.split(" ");
+			const text_map = block.map.shift(nodes[0].length + 1);
 			let level;
 			switch (nodes[0].length) {
 				case 1:
@@ -603,39 +1537,56 @@ function parse_block(block, options = {}) {
 					break;
 			}
 			nodes.shift();
-			nodes = parse_nodes(nodes.join(" "), false, options);
-			return new md.Heading(nodes, level);
+
+			const attributes = trailing_attributes(nodes.join(" "), options);
+			nodes = parse_nodes(attributes.text, false, options, text_map);
+			return new md.Heading(nodes, level, attributes.attributes);
 		}
 		case "horizontal_rule":
 			return md.HORIZONTAL_RULE;
-		case "quote":
+		case "quote": {
 			// Quotes
-			return new md.BlockQuote(parse_blocks(
-				block.block.replace(QUOTE_DETECTION_REGEX, "").replace(QUOTE_MULTILINE_REGEX, "\n"),
-				merge_objects(options, {doc: null})
-			).flatMap(block => {
-				if (block instanceof md.Paragraph)
+			const quote = block.map.replace(block.block, QUOTE_DETECTION_REGEX, "");
+			const content = quote.map.replace(quote.string, QUOTE_MULTILINE_REGEX, "\n");
+
+			const alert = content.string.match(ALERT_REGEX);
+			if (options.alert.enabled && alert && md.get_alert_kind(alert[1], options.alert.kinds)) {
+				// Alerts, the kind stands alone on the first line.
+				const alert_content = content.map.replace(content.string, ALERT_REGEX, "");
+				return new md.Alert(alert[1], parse_blocks(alert_content.string, {...options, doc: null}, alert_content.map));
+			}
+
+			return new md.BlockQuote(parse_blocks(content.string, {...options, doc: null}, content.map).flatMap(block => {
+				// The paragraphs with attributes are kept to not lose them.
+				if (block instanceof md.Paragraph && !block.attributes)
 					return block.nodes;
 				else
 					return block;
 			}));
+		}
 		case "code":
 		case "indent_code_block": {
 			// Block code
 			const lines = block.block.split("\n");
 			let language = "";
+			let attributes = null;
+			// The attributes follow the language of fenced code blocks, if any.
+			const info = block.type === "code" && options.attributes ? lines[0].match(FENCE_ATTRIBUTES_REGEX) : null;
+			if (info && (attributes = parse_attributes(info[2])))
+				lines[0] = info[1];
+
 			if (lines[0].split(" ").length === 1) {
 				language = lines[0].replace(/```/, "");
 			} else {
 				lines[0] = lines[0].replace(/```/, "");
 			}
-			return new md.BlockCode(lines.filter(line => !line.startsWith("```")).join("\n"), language);
+			return new md.BlockCode(lines.filter(line => !line.startsWith("```")).join("\n"), language, attributes);
 		}
 		case "inline_html": {
 			// Inline HTML
-			block = purge_inline_html(block.block);
-			const modified_options = merge_objects(options, {inline_html_block: true});
-			return new md.InlineHTML(parse_nodes(block, true, modified_options));
+			const purged = purge_inline_html(block.block);
+			const modified_options = {...options, inline_html_block: true};
+			return new md.InlineHTML(parse_nodes(purged, true, modified_options, map_purged(block.block, purged, block.map)));
 		}
 		case "inline_latex": {
 			// Inline LaTeX
@@ -649,6 +1600,7 @@ function parse_block(block, options = {}) {
 		case "list_unordered": {
 			// List
 			// This becomes a bit difficult.
+			const map = block.map.shift(block.block.length - block.block.trimStart().length);
 			block = block.block.trimStart(); // Bad spaces >:C
 			found = block.match(LIST_DETECTION_REGEX);
 			let ordered = is_list_ordered(found);
@@ -667,33 +1619,66 @@ function parse_block(block, options = {}) {
 				}
 			}
 
-			let current = lines.shift().replace(regex, ""); // First node, so we don't need anything to identify it.
-			const raw_list = []; // The goal is to make a first "raw" list with every part separated.
-			lines.forEach(line => {
+			// First node, so we don't need anything to identify it.
+			const stripped = map.replace(block, regex, "");
+			lines[0] = lines[0].replace(regex, "");
+
+			// The goal is to make a first "raw" list with every part separated.
+			// Each part is given by where it starts and ends in the stripped block.
+			const raw_list = [];
+			let current = {start: 0, end: lines[0].length};
+			let line_start = lines[0].length + 1;
+			lines.slice(1).forEach(line => {
 				found = line.match(LIST_DETECTION_REGEX);
 				if (found) {
-					if (current) {
+					if (current.end !== current.start) {
 						raw_list.push(current);
 					}
-					current = line;
+					current = {start: line_start, end: line_start + line.length};
 				} else {
-					current += "\n" + line;
+					current.end = line_start + line.length;
 				}
+				line_start += line.length + 1;
 			});
 
-			if (current) {
+			if (current.end !== current.start) {
 				raw_list.push(current);
 			}
 
+			const locator = get_locator(options);
+			const parse_entry = (raw_entry, entry_start) => {
+				let entry = stripped.map.shift(entry_start).replace(raw_entry, regex, "");
+				entry = entry.map.replace(entry.string, /\n */g, "\n");
+
+				let checked = "none";
+				if (options.checkbox) {
+					const checkbox = entry.string.match(LIST_CHECKBOX_REGEX);
+					if (checkbox) {
+						entry = {string: entry.string.substring(checkbox[1].length), map: entry.map.shift(checkbox[1].length)};
+						checked = checkbox[2] !== " ";
+					}
+				}
+
+				const list_entry = new md.ListEntry(parse_blocks(entry.string, {...options, doc: null, list: false}, entry.map),
+					[], checked);
+				if (locator) {
+					// The first entry starts with the marker which has been stripped.
+					const start = entry_start === 0 ? map.offset_at(0)
+						: stripped.map.offset_at(entry_start + raw_entry.length - raw_entry.trimStart().length);
+					list_entry.position = locator.position(start, stripped.map.offset_at(entry_start + raw_entry.trimEnd().length));
+				}
+				return cover_nodes(list_entry, locator);
+			};
+
 			// Now with the raw list we build the markdown list.
 			// To do so, we have an array named current which represent the last entry and the index represent the entry "level".
 			// The parent list can be found with the index - 1, if it doesn't exist just go decrease the index.
 
 			current = [];
 
-			options.list = false; // Prevent some weird things.
-
-			raw_list.forEach(raw_entry => {
+			// The entries are parsed with lists disabled to prevent some weird things.
+			raw_list.forEach(raw_part => {
+				const raw_entry = stripped.string.substring(raw_part.start, raw_part.end);
 				let level = raw_entry.match(/^( *)/);
 				if (!level) {
 					level = 0;
@@ -702,21 +1687,18 @@ function parse_block(block, options = {}) {
 				}
 
 				if (level !== 0) {
+					if (limiter.depth + level > limiter.max_depth) {
+						// Each sublist is a nesting level.
+						limiter.report("max_depth");
+						level = limiter.max_depth - limiter.depth;
+					}
+
 					while (!current[level - 1])
 						level--;
 				}
 
 				if (level === 0) {
-					raw_entry = raw_entry.replace(regex, "").replace(/\n */g, "\n");
-					let checked = "none";
-					if (options.checkbox) {
-						const checkbox = raw_entry.match(LIST_CHECKBOX_REGEX);
-						if (checkbox) {
-							raw_entry = raw_entry.substring(checkbox[1].length);
-							checked = checkbox[2] !== " ";
-						}
-					}
-					list.push(new md.ListEntry(parse_blocks(raw_entry, merge_objects(options, {doc: null})), [], checked));
+					list.push(parse_entry(raw_entry, raw_part.start));
 					current = []; // Time to rebuild.
 					current[0] = list.get_last();
 				} else {
@@ -737,40 +1719,43 @@ function parse_block(block, options = {}) {
 					}
 
 					const parent_list = parent.sublists[parent.sublists.length - 1];
-					raw_entry = raw_entry.replace(regex, "").replace(/\n */g, "\n");
-					let checked = "none";
-					if (options.checkbox) {
-						const checkbox = raw_entry.match(LIST_CHECKBOX_REGEX);
-						if (checkbox) {
-							raw_entry = raw_entry.substring(checkbox[1].length);
-							checked = checkbox[2] !== " ";
-						}
-					}
-					parent_list.push(new md.ListEntry(parse_blocks(raw_entry, merge_objects(options, {doc: null})), [], checked));
+					parent_list.push(parse_entry(raw_entry, raw_part.start));
 					current[level] = parent_list.get_last();
 				}
 			});
 
-			options.list = true; // Restore the option.
-
+			locate_sublists(list.nodes);
 			return list;
 		}
 		case "table": {
 			const rows = block.block.split("\n");
 
 			if (rows.length < 2) {
-				const nodes = parse_nodes(block.block, true, options);
+				const nodes = parse_nodes(block.block, true, options, block.map);
 				return new md.Paragraph(nodes);
 			}
 
 			const table = new md.Table();
+			const locator = get_locator(options);
 
+			let row_start = 0;
 			for (const index in rows) {
+				const row_map = block.map.shift(row_start);
+				row_start += rows[index].length + 1;
+
 				let raw_entries = rows[index].split("|");
 				let raw_entries_end = raw_entries.length - 1;
 				if (raw_entries[raw_entries_end] === "" || is_whitespace(raw_entries[raw_entries_end])) {
 					raw_entries_end--;
 				}
+
+				// The index of each entry in the row.
+				const entry_starts = [];
+				raw_entries.reduce((start, entry) => {
+					entry_starts.push(start);
+					return start + entry.length + 1;
+				}, 0);
+				entry_starts.shift();
 				raw_entries = raw_entries.slice(1, raw_entries_end + 1);
 
 				if (index == 1) {
@@ -787,10 +1772,14 @@ function parse_block(block, options = {}) {
 						return md.TableAlignments.NONE;
 					});
 				} else {
-					const table_row = new md.TableRow(table);
-
-					table_row.nodes = raw_entries.map(entry => {
-						return new md.TableEntry(table_row, parse_nodes(entry.trim(), false, options));
+					const table_row = locate(new md.TableRow(table), row_map, 0, rows[index].trimEnd().length, locator);
+
+					table_row.nodes = raw_entries.map((entry, entry_index) => {
+						const content_start = entry_starts[entry_index] + entry.length - entry.trimStart().length;
+						const content = entry.trim();
+						const content_map = row_map.shift(content_start);
+						return locate(new md.TableEntry(table_row, parse_nodes(content, false, options, content_map)),
+							content_map, 0, content.length, locator);
 					});
 
 					table.nodes[index > 1 ? index - 1 : index] = table_row;
@@ -799,17 +1788,150 @@ function parse_block(block, options = {}) {
 
 			return table;
 		}
+		case "front_matter": {
+			// Front matter, between its fences.
+			const lines = block.block.split("\n");
+			const format = find_front_matter_format(lines[0], options.front_matter.formats);
+			const raw = lines.slice(1, -1).join("\n");
+
+			// The metadata has been checked while grouping.
+			return new md.FrontMatter(format.name, format.fence, raw, format.parse(raw));
+		}
 		case "table_of_contents":
 			return new md.TableOfContents();
-		default:
-			return new md.Paragraph(parse_nodes(block.block, true, options));
+		case "definition_list": {
+			// Definition list
+			const list = new md.DefinitionList();
+			const locator = get_locator(options);
+			let description = null;
+			const push_description = () => {
+				if (description !== null)
+					list.push(parse_definition_description(block, description.start, description.end, options));
+				description = null;
+			};
+
+			let start = 0;
+			for (const line of block.block.split("\n")) {
+				const end = start + line.length;
+
+				if (DEFINITION_DESCRIPTION_REGEX.test(line)) {
+					push_description();
+					description = {start: start, end: end};
+				} else if (description !== null && (line === "" || line.startsWith(" ") || line.startsWith("\t"))) {
+					description.end = end;
+				} else if (line.trim() !== "") {
+					push_description();
+
+					const term = line.trim();
+					const map = block.map.shift(start + line.length - line.trimStart().length);
+					list.push(locate(new md.DefinitionTerm(parse_nodes(term, false, options, map)), map, 0, term.length, locator));
+				}
+
+				start = end + 1;
+			}
+			push_description();
+
+			return list;
+		}
+		case "footnote_definition": {
+			// Footnote definition
+			const name = block.block.match(FOOTNOTE_DEFINITION_REGEX)[1];
+			const definition = block.map.replace(block.block, FOOTNOTE_DEFINITION_REGEX, "");
+			const content = definition.map.replace(definition.string, FOOTNOTE_INDENT_REGEX, "\n");
+			return new md.FootnoteDefinition(name, parse_blocks(content.string, {...options, doc: null}, content.map));
+		}
+		default: {
+			const attributes = trailing_attributes(block.block, options, PARAGRAPH_ATTRIBUTES_REGEX);
+			return new md.Paragraph(parse_nodes(attributes.text, true, options, block.map), attributes.attributes);
+		}
 	}
 }
 
-function parse_blocks(string, options = {}) {
-	options = merge_objects(DEFAULT_OPTIONS, options);
+/**
+ * Parses the content of attributes like `#id .class key=value key="value"`.
+ *
+ * @param {string} content the content of the attributes, without the braces
+ * @return {md.Attributes|null} the attributes, or `null` if the content isn't made of attributes
+ */
+function parse_attributes(content) {
+	const attributes = new md.Attributes();
+
+	for (let index = 0; index < content.length; index = ATTRIBUTE_REGEX.lastIndex) {
+		ATTRIBUTE_REGEX.lastIndex = index;
+		const found = ATTRIBUTE_REGEX.exec(content);
+		if (!found)
+			return null;
+
+		if (found[1] !== undefined)
+			attributes.id = found[1];
+		else if (found[2] !== undefined)
+			attributes.classes.push(found[2]);
+		else
+			attributes.values[found[3]] = [found[4], found[5], found[6]].find(value => value !== undefined);
+	}
+
+	return attributes.is_empty() ? null : attributes;
+}
+
+/**
+ * Splits the attributes at the end of the given text, which are separated from it by whitespaces.
+ *
+ * @param {string} text the text
+ * @param options the parser options
+ * @param {RegExp} regex the regular expression matching the attributes, by default they can follow the text on its line
+ * @return {{text: string, attributes: md.Attributes|null}} the text without its attributes, and the attributes if any
+ */
+function trailing_attributes(text, options, regex = TRAILING_ATTRIBUTES_REGEX) {
+	const found = options.attributes ? text.match(regex) : null;
+	const attributes = found ? parse_attributes(found[1]) : null;
+	if (!attributes)
+		return {text: text, attributes: null};
+
+	return {text: text.substring(0, found.index), attributes: attributes};
+}
+
+/**
+ * Parses the description of a definition list spanning the given part of the raw block.
+ *
+ * @param {{block: string, map: OffsetMap}} block the raw definition list block
+ * @param {number} start the index of the description marker in the raw block
+ * @param {number} end the end index of the description in the raw block
+ * @param options the parser options
+ * @return {md.DefinitionDescription} the description
+ */
+function parse_definition_description(block, start, end, options) {
+	const raw = block.block.substring(start, end).trimEnd();
+	const map = block.map.shift(start);
+	const description = map.replace(raw, DEFINITION_DESCRIPTION_REGEX, "");
+	const content = description.map.replace(description.string, DEFINITION_INDENT_REGEX, "\n");
+
+	const nodes = parse_blocks(content.string, {...options, doc: null}, content.map);
+	return locate(new md.DefinitionDescription(nodes), map, 0, raw.length, get_locator(options));
+}
 
-	const blocks = group_blocks(string, options);
+/**
+ * Sets the positions of the sublists of the given list entries, a sublist spans its entries
+ * and an entry spans its sublists.
+ *
+ * @param {md.ListEntry[]} entries the list entries
+ */
+function locate_sublists(entries) {
+	for (const entry of entries) {
+		for (const sublist of entry.sublists) {
+			locate_sublists(sublist.nodes);
+
+			const first = sublist.nodes[0];
+			const last = sublist.nodes[sublist.nodes.length - 1];
+			if (entry.position && first.position && last.position) {
+				sublist.position = {start: {...first.position.start}, end: {...last.position.end}};
+				entry.position = {start: entry.position.start, end: {...last.position.end}};
+			}
+		}
+	}
+}
+
+function parse_blocks(string, options, map = null) {
+	const blocks = group_blocks(string, options, map);
 
 	// So we have our blocks, now we can parse the blocks individually.
 	// Identifying which block is what is kind of easy as you just have to see what is its beginning
@@ -819,35 +1941,935 @@ function parse_blocks(string, options = {}) {
 }
 
 export const parse_blocks_generator = function*(string, options = {}) {
-	options = merge_objects(DEFAULT_OPTIONS, options);
-	const blocks = group_blocks(string, options);
-	for (const block of blocks) {
-		yield parse_block(block, options)
+	options = complete_options(options);
+	options.limiter = new ParseLimiter(options, options.doc instanceof md.MDDocument ? options.doc.diagnostics : []);
+	options.locator = new SourceLocator(get_line_starts(string));
+
+	const split = options.limiter.split(string);
+	const blocks = [];
+	const grouper = new BlockGrouper(options, block => blocks.push(block));
+	const lines = split.source.split(LINE_SEPARATOR_REGEX);
+	let rest_start = split.source.length;
+
+	for (let index = 0; index <= lines.length; index++) {
+		if (index === lines.length) {
+			grouper.end();
+		} else if (grouper.is_clean() && index !== 0 && options.limiter.is_exhausted()) {
+			// Once exhausted, the remaining lines aren't grouped either.
+			rest_start = options.locator.line_starts[index];
+			break;
+		} else {
+			grouper.feed(lines[index], lines[index + 1], options.locator.line_starts[index]);
+		}
+
+		// Blocks are yielded as soon as they are grouped so the whole string doesn't have to be grouped first.
+		while (blocks.length !== 0) {
+			yield parse_block(blocks.shift(), options);
+		}
+	}
+
+	const rest = string.substring(rest_start);
+	if (rest !== "") {
+		yield as_plain_paragraph(rest, new OffsetMap([0], [rest_start]), options.locator);
+	}
+}
+
+const SPECULATIVE_BLOCK_TYPES = ["paragraph", "heading", "quote", "list_ordered", "list_unordered", "table"];
+
+/**
+ * Closes the inline code and the delimiters which are still open at the end of the given text.
+ *
+ * @param {string} text the text
+ * @return {string} the text with its open inlines closed
+ */
+function close_open_inlines(text) {
+	const open = [];
+
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+
+		if (char === "\\") {
+			i++;
+			continue;
+		}
+
+		let run = 1;
+		while (text[i + run] === char) {
+			run++;
+		}
+
+		if (char === "`") {
+			const end = text.indexOf("`".repeat(run), i + run);
+			if (end === -1) {
+				// Everything after an open inline code is code.
+				return text + "`".repeat(run) + open.reverse().join("");
+			}
+
+			i = end + run - 1;
+			continue;
+		} else if (char === "*" || char === "_" || (run >= 2 && (char === "~" || char === "|" || char === "="))) {
+			const delimiter = char.repeat(char === "*" || char === "_" ? Math.min(run, 3) : 2);
+			const index = open.lastIndexOf(delimiter);
+
+			if (index !== -1) {
+				open.splice(index);
+			} else if (i + run < text.length && !is_whitespace(text[i + run])) {
+				// Like an opening delimiter, must be followed by something.
+				open.push(delimiter);
+			}
+		}
+
+		i += run - 1;
 	}
+
+	return text + open.reverse().join("");
 }
 
-function parse_nodes(line, allow_linebreak, options = {}) {
-	options = merge_objects(DEFAULT_OPTIONS, options);
+/**
+ * Represents a push-based Markdown parser.
+ *
+ * The source is written chunk by chunk and each block element is emitted as soon as it is final,
+ * chunk boundaries are allowed anywhere, including in the middle of a line or of a `\r\n` sequence.
+ *
+ * With the `speculative` option, the trailing open construct is also emitted as if it were closed:
+ * an open code fence is a code block, unclosed emphasis is closed, and so on.
+ * Those block elements have their `provisional` property set to `true`
+ * and are meant to be replaced by what the next write or the end of the stream emits.
+ * An open code fence is kept up to date line by line, the other open constructs are parsed again on each write.
+ *
+ * @version 1.8.0
+ * @since 1.8.0
+ */
+export class StreamingParser {
+	/* Class attributes:
+	options: object;
+	doc: MDDocument;
+	ended: boolean;
+	length: number;
+	overflow: string;
+	buffer: string;
+	buffer_offset: number;
+	pending_line: string|null;
+	pending_offset: number;
+	open_code: {start: number, fence: string, code: string|null, end: number}|null;
+	*/
+
+	/**
+	 * @param options the parser options
+	 * @param {md.MDDocument|null} doc the document to fill, if `null` a new document is created
+	 */
+	constructor(options = {}, doc = null) {
+		this.options = complete_options(options);
+		this.doc = doc instanceof md.MDDocument ? doc : new md.MDDocument();
+		this.options.doc = this.doc;
+		this.options.limiter = new ParseLimiter(this.options, this.doc.diagnostics);
+		// The lines are added as they are known.
+		this.options.locator = new SourceLocator();
+		this.ended = false;
+
+		this.length = 0;
+		this.overflow = "";
+		this.buffer = "";
+		this.buffer_offset = 0;
+		this.scan_index = 0;
+		this.pending_line = null;
+		this.pending_offset = 0;
+		this.open_code = null;
+		this.grouped = [];
+		this.grouper = new BlockGrouper(this.options, block => this.grouped.push(block));
+	}
 
+	/**
+	 * Writes a chunk of the Markdown source.
+	 *
+	 * @param {string} chunk the chunk to write
+	 * @return {md.Node[]} the block elements which became final with this chunk
+	 */
+	write(chunk) {
+		if (this.ended) {
+			throw new Error("lib.md ;; StreamingParser#write(): cannot write after the end of the stream.");
+		}
+
+		this.buffer += this.limit(chunk);
+		this.consume_lines(false);
+
+		const blocks = this.flush();
+		if (this.options.speculative) {
+			blocks.push(...this.speculate());
+		}
+		return blocks;
+	}
+
+	/**
+	 * Parses what has been written but isn't final yet as if the stream ended with the trailing open construct closed.
+	 *
+	 * The state of this parser isn't changed and the returned block elements aren't pushed in the document.
+	 *
+	 * @return {md.Node[]} the provisional block elements
+	 */
+	speculate() {
+		if (this.ended) {
+			return [];
+		} else if (this.open_code !== null && this.pending_line === null && !this.buffer.startsWith("```") && !this.buffer.includes("\r")) {
+			return [this.speculate_open_code()];
+		}
+
+		const raw = [];
+		// References are ignored as they would be registered before being complete,
+		// and the limits apply to the provisional block elements independently.
+		const options = {...this.options, doc: new ReferenceRecorder(), limiter: new ParseLimiter(this.options)};
+		const grouper = this.grouper.clone(options, block => raw.push(block));
+
+		const lines = this.buffer.split(LINE_SEPARATOR_REGEX);
+		const offsets = get_line_starts(this.buffer).map(start => this.buffer_offset + start);
+		if (this.pending_line !== null) {
+			lines.unshift(this.pending_line);
+			offsets.unshift(this.pending_offset);
+		}
+
+		let partial = lines.pop();
+		lines.forEach((line, index) => grouper.feed(line, index + 1 < lines.length ? lines[index + 1] : partial, offsets[index]));
+
+		if (partial !== "") {
+			if (grouper.current_block === "table" && partial.trim().startsWith("|") && !partial.trim().endsWith("|")) {
+				// Complete the row being written.
+				partial += " |";
+			}
+
+			// The line isn't the last one of the stream, which allows opening fences.
+			grouper.feed(partial, null, offsets[lines.length]);
+		}
+		grouper.end();
+
+		if (raw.length !== 0 && SPECULATIVE_BLOCK_TYPES.includes(raw[raw.length - 1].type)) {
+			const last = raw[raw.length - 1];
+			raw[raw.length - 1] = {...last, block: close_open_inlines(last.block)};
+		}
+
+		return raw.map(block => {
+			const parsed = parse_block(block, options);
+			parsed.provisional = true;
+			return parsed;
+		});
+	}
+
+	/**
+	 * Creates the provisional code block of the open code fence, without parsing its lines again.
+	 *
+	 * @return {md.BlockCode} the provisional code block
+	 */
+	speculate_open_code() {
+		const open_code = this.open_code;
+		const partial = this.buffer;
+		// Only the opening fence needs to be parsed, it may be kept as the first line of code.
+		const fence = parse_raw_block({block: open_code.fence, type: "code", map: null}, this.options, null);
+
+		let code = open_code.code;
+		if (partial !== "")
+			code = code === null ? partial : code + "\n" + partial;
+		if (fence.code !== "")
+			code = code === null ? fence.code : fence.code + "\n" + code;
+
+		const trimmed = partial.trimEnd();
+		const block = new md.BlockCode(code === null ? "" : code, fence.language, fence.attributes);
+		block.position = this.options.locator.position(open_code.start, trimmed !== "" ? this.buffer_offset + trimmed.length : open_code.end);
+		block.provisional = true;
+		return block;
+	}
+
+	/**
+	 * Ends the Markdown source, the last opened block is closed.
+	 *
+	 * @param {string} chunk an optional last chunk to write
+	 * @return {md.Node[]} the remaining block elements
+	 */
+	end(chunk = "") {
+		if (this.ended) {
+			return [];
+		}
+
+		this.buffer += this.limit(chunk);
+		this.consume_lines(true);
+		this.ended = true;
+
+		// What remains in the buffer is the last line, even if it's empty.
+		this.push_line(this.buffer, this.buffer_offset);
+		this.buffer = "";
+
+		if (this.pending_line !== null) {
+			this.feed_line(this.pending_line, undefined, this.pending_offset);
+			this.pending_line = null;
+		}
+		this.grouper.end();
+
+		const blocks = this.flush();
+		if (this.overflow !== "") {
+			const overflow_offset = this.length - this.overflow.length;
+			get_line_starts(this.overflow).slice(1)
+				.forEach(start => this.options.locator.line_starts.push(overflow_offset + start));
+
+			const paragraph = as_plain_paragraph(this.overflow, new OffsetMap([0], [overflow_offset]), this.options.locator);
+			this.doc.push(paragraph);
+			blocks.push(paragraph);
+		}
+		return blocks;
+	}
+
+	limit(chunk) {
+		const split = this.options.limiter.split(chunk, this.length);
+		this.length += chunk.length;
+		this.overflow += split.rest;
+		return split.source;
+	}
+
+	consume_lines(final) {
+		const regex = new RegExp(LINE_SEPARATOR_REGEX, "g");
+		regex.lastIndex = this.scan_index;
+
+		let start = 0;
+		let found;
+		while ((found = regex.exec(this.buffer))) {
+			if (!final && found[0] === "\r" && found.index === this.buffer.length - 1) {
+				// Might be the first half of a \r\n sequence, wait for the next chunk.
+				break;
+			}
+
+			this.push_line(this.buffer.substring(start, found.index), this.buffer_offset + start);
+			start = found.index + found[0].length;
+			this.options.locator.line_starts.push(this.buffer_offset + start);
+		}
+
+		this.buffer = this.buffer.substring(start);
+		this.buffer_offset += start;
+		this.scan_index = this.buffer.endsWith("\r") ? this.buffer.length - 1 : this.buffer.length;
+	}
+
+	push_line(line, offset) {
+		if (this.pending_line !== null) {
+			this.feed_line(this.pending_line, line, this.pending_offset);
+			this.pending_line = null;
+		}
+
+		if (this.grouper.needs_lookahead(line)) {
+			this.pending_line = line;
+			this.pending_offset = offset;
+		} else {
+			this.feed_line(line, null, offset);
+		}
+	}
+
+	feed_line(line, next_line, offset) {
+		const grouper = this.grouper;
+		grouper.feed(line, next_line, offset);
+
+		if (!this.options.speculative || grouper.current_block !== "code" || grouper.current === null) {
+			this.open_code = null;
+		} else if (this.open_code === null || this.open_code.start !== grouper.offsets[0]) {
+			this.open_code = {start: grouper.offsets[0], fence: line, code: null, end: offset + line.trimEnd().length};
+		} else {
+			// The lines are appended without going through the whole code again.
+			this.open_code.code = this.open_code.code === null ? line : this.open_code.code + "\n" + line;
+			if (line.trimEnd() !== "")
+				this.open_code.end = offset + line.trimEnd().length;
+		}
+	}
+
+	flush() {
+		const blocks = this.grouped.map(block => parse_block(block, this.options));
+		this.grouped = [];
+		blocks.forEach(block => this.doc.push(block));
+		return blocks;
+	}
+}
+
+// Associates the block elements enqueued by the parse streams with the document they belong to.
+const STREAM_DOCUMENTS = new WeakMap();
+
+/**
+ * Gets the document filled by the parse stream which enqueued the given block element.
+ *
+ * @param {md.Node} block the block element
+ * @return {md.MDDocument|null} the document, or `null` if the block element doesn't come from a parse stream
+ * @see create_parse_stream
+ * @since 1.8.0
+ */
+export function get_stream_document(block) {
+	const doc = STREAM_DOCUMENTS.get(block);
+	return doc ? doc : null;
+}
+
+/**
+ * Creates a stream which parses the Markdown source it receives into block elements.
+ *
+ * Each block element is enqueued as soon as it is final, see {@link StreamingParser}.
+ * The document being filled is the `doc` property of the stream, and can be found from its block elements
+ * with {@link get_stream_document}, so a render stream piped after this one resolves the references
+ * and the table of contents against it, see `md.create_render_stream`.
+ *
+ * @param options the parser options
+ * @param {md.MDDocument|null} doc the document to fill, if `null` a new document is created
+ * @return {TransformStream<string, md.Node> & {doc: md.MDDocument}} the parse stream
+ * @since 1.8.0
+ */
+export function create_parse_stream(options = {}, doc = null) {
+	const parser = new StreamingParser(options, doc);
+	const enqueue = (block, controller) => {
+		// The horizontal rules are shared by all the documents.
+		if (block !== md.HORIZONTAL_RULE)
+			STREAM_DOCUMENTS.set(block, parser.doc);
+		controller.enqueue(block);
+	};
+
+	const stream = new TransformStream({
+		transform(chunk, controller) {
+			parser.write(chunk).forEach(block => enqueue(block, controller));
+		},
+		flush(controller) {
+			parser.end().forEach(block => enqueue(block, controller));
+		}
+	});
+	stream.doc = parser.doc;
+	return stream;
+}
+
+/**
+ * Parses a Markdown document from the given asynchronous source, without buffering the whole source first.
+ *
+ * Each block element is yielded as soon as it is final, the parsed document with its references is returned at the end.
+ *
+ * @param {AsyncIterable<string|Uint8Array>|Iterable<string|Uint8Array>} source the Markdown source, bytes are decoded as UTF-8
+ * @param options the parser options
+ * @return {AsyncGenerator<md.Node, md.MDDocument>} the block elements generator
+ * @since 1.8.0
+ */
+export async function* parse_async(source, options = {}) {
+	const parser = new StreamingParser(options);
+	let decoder = null;
+
+	for await (const chunk of source) {
+		if (typeof chunk === "string") {
+			// Flush what the decoder may still hold to keep the source order.
+			yield* parser.write(decoder ? decoder.decode() + chunk : chunk);
+		} else {
+			if (!decoder)
+				decoder = new TextDecoder("utf-8");
+
+			yield* parser.write(decoder.decode(chunk, { stream: true }));
+		}
+	}
+
+	yield* parser.end(decoder ? decoder.decode() : "");
+
+	return parser.doc;
+}
+
+/*
+ * Incremental parsing
+ */
+
+// Associates the documents produced by reparse with how their source was grouped.
+const SOURCE_MAPS = new WeakMap();
+
+/**
+ * Records the references defined while grouping a segment of the source.
+ */
+class ReferenceRecorder {
+	constructor() {
+		this.references = [];
+	}
+
+	ref(name, reference) {
+		this.references.push({name: name, ref: reference});
+		return this;
+	}
+}
+
+/**
+ * Returns the index of the line where each line of the given string starts.
+ *
+ * @param {string} string the string
+ * @return {number[]} the line start offsets
+ */
+function get_line_starts(string) {
+	const starts = [0];
+	const regex = new RegExp(LINE_SEPARATOR_REGEX, "g");
+
+	let found;
+	while ((found = regex.exec(string))) {
+		starts.push(found.index + found[0].length);
+	}
+
+	return starts;
+}
+
+/**
+ * Returns the index of the line containing the given offset.
+ *
+ * @param {number[]} line_starts the line start offsets
+ * @param {number} offset the offset
+ * @return {number} the line index
+ */
+function get_line_at(line_starts, offset) {
+	let low = 0;
+	let high = line_starts.length - 1;
+
+	while (low < high) {
+		const middle = (low + high + 1) >> 1;
+		if (line_starts[middle] <= offset)
+			low = middle;
+		else
+			high = middle - 1;
+	}
+
+	return low;
+}
+
+/**
+ * Groups the given lines into segments, a new segment starts at each line where the grouper is clean.
+ *
+ * @param {string[]} lines the lines
+ * @param {number[]} line_starts the line start offsets
+ * @param {number} from the index of the first line to group, the grouper must be clean there
+ * @param options the parser options
+ * @param {(line: number) => boolean} should_stop called at the start of each segment, returns `true` to stop the grouping
+ * @return {{segments: object[], end: number}} the segments and the index of the line where the grouping stopped
+ */
+function group_segments(lines, line_starts, from, options, should_stop = _ => false) {
+	const segments = [];
+	const recorder = new ReferenceRecorder();
+	let segment = null;
+
+	const grouper = new BlockGrouper({...options, doc: recorder}, block => segment.raw.push(block));
+
+	let index;
+	for (index = from; index < lines.length; index++) {
+		if (grouper.is_clean()) {
+			if (index !== from && should_stop(index))
+				return {segments: segments, end: index};
+
+			segment = {start: index, length: 0, raw: [], blocks: [], references: []};
+			recorder.references = segment.references;
+			segments.push(segment);
+		}
+
+		grouper.feed(lines[index], lines[index + 1], line_starts[index]);
+		segment.length++;
+	}
+
+	grouper.end();
+
+	return {segments: segments, end: index};
+}
+
+function is_same_raw_block(a, b) {
+	if (a.type !== b.type || a.block !== b.block)
+		return false;
+
+	// The block elements hold their positions, so the raw blocks must also be laid out the same way in the source.
+	const delta = b.map.offsets[0] - a.map.offsets[0];
+	return a.map.indexes.length === b.map.indexes.length
+		&& a.map.indexes.every((index, i) => index === b.map.indexes[i] && a.map.offsets[i] + delta === b.map.offsets[i]);
+}
+
+/**
+ * Clones the given value with the source positions of its nodes moved, the nodes and arrays are cloned,
+ * other values and the shared nodes without position are kept as is.
+ *
+ * @param value the value
+ * @param {function} move the function which moves a source position
+ * @param {Map} clones the clones of the nodes already cloned, to keep the references between nodes
+ * @return the moved clone of the value
+ */
+function clone_moved(value, move, clones) {
+	if (Array.isArray(value))
+		return value.map(item => clone_moved(item, move, clones));
+	if (!(value instanceof md.Node) || value === md.LINEBREAK)
+		return value;
+	if (clones.has(value))
+		return clones.get(value);
+
+	const clone = Object.create(Object.getPrototypeOf(value));
+	clones.set(value, clone);
+	for (const key of Object.keys(value)) {
+		clone[key] = clone_moved(value[key], move, clones);
+	}
+
+	if (value.position)
+		clone.position = move(value.position);
+	return clone;
+}
+
+/**
+ * Moves the given block element in the source if needed.
+ *
+ * The block elements of the previous document are left untouched, a moved block element is cloned.
+ *
+ * @param {md.Node} block the block element
+ * @param {number} delta how many characters the block element moved
+ * @param {SourceLocator} locator the locator of the new source
+ * @return {md.Node} the block element, or its moved clone
+ */
+function move_block(block, delta, locator) {
+	if (!block.position)
+		return block;
+
+	// Lines may have been added or removed before the block element even if its offset didn't change.
+	const start = locator.point(block.position.start.offset + delta);
+	const line_delta = start.line - block.position.start.line;
+	if (delta === 0 && line_delta === 0)
+		return block;
+
+	let move;
+	if (start.column === block.position.start.column) {
+		// The whole lines of the block element moved, so the columns are the same.
+		const move_point = point => ({offset: point.offset + delta, line: point.line + line_delta, column: point.column});
+		move = position => ({start: move_point(position.start), end: move_point(position.end)});
+	} else
+		move = position => locator.position(position.start.offset + delta, position.end.offset + delta);
+
+	return clone_moved(block, move, new Map());
+}
+
+/**
+ * Reuses the given block element for the same raw block as the one it has been parsed from, moved in the source.
+ *
+ * @param {md.Node} block the block element
+ * @param {object} previous_raw the raw block the block element has been parsed from
+ * @param {object} raw the raw block at its new place
+ * @param {SourceLocator} locator the locator of the new source
+ * @return {md.Node} the block element
+ */
+function reuse_block(block, previous_raw, raw, locator) {
+	return move_block(block, raw.map.offsets[0] - previous_raw.map.offsets[0], locator);
+}
+
+/**
+ * Gets how the source of the given document was grouped, re-grouping the source if unknown.
+ *
+ * @param {md.MDDocument} doc the document
+ * @param {string[]} lines the lines of the source of the document
+ * @param {number[]} line_starts the line start offsets of the source of the document
+ * @param options the parser options
+ * @return {object[]|null} the segments, or `null` if they cannot match the blocks of the document
+ */
+function get_source_map(doc, lines, line_starts, options) {
+	const known = SOURCE_MAPS.get(doc);
+	if (known && known.blocks.length === doc.blocks.length && known.blocks.every((block, index) => block === doc.blocks[index]))
+		return known.segments;
+
+	const segments = group_segments(lines, line_starts, 0, options).segments;
+
+	let index = 0;
+	for (const segment of segments) {
+		segment.blocks = doc.blocks.slice(index, index + segment.raw.length);
+		index += segment.raw.length;
+	}
+
+	if (index !== doc.blocks.length)
+		return null;
+
+	return segments;
+}
+
+/**
+ * Re-parses a Markdown document after an edit of its source.
+ *
+ * Only the blocks touched by the edit are grouped and parsed again, unchanged block elements are reused.
+ * The previous document is left untouched: the unchanged block elements which moved in the source are cloned
+ * with their new source positions, the other ones are reused as is.
+ *
+ * @param {md.MDDocument} previous_doc the document parsed from the previous source
+ * @param {string} previous_text the previous source
+ * @param {{offset: number, delete_count: number, insert: string}} edit the edit of the previous source
+ * @param options the parser options, which must be the same as the ones used to parse the previous document
+ * @return {{doc: md.MDDocument, text: string, changed: number[]}} the new document, the new source,
+ * and the indices of the block elements of the new document which aren't reused from the previous document
+ * @since 1.8.0
+ */
+export function reparse(previous_doc, previous_text, edit, options = {}) {
+	options = complete_options(options);
+
+	const offset = edit.offset;
+	const delete_count = edit.delete_count ? edit.delete_count : 0;
+	const insert = edit.insert ? edit.insert : "";
+
+	if (offset < 0 || delete_count < 0 || offset + delete_count > previous_text.length) {
+		throw new Error(`lib.md ;; reparse(): the edit (offset: ${offset}, delete_count: ${delete_count}) is out of the source bounds.`);
+	}
+
+	const text = previous_text.substring(0, offset) + insert + previous_text.substring(offset + delete_count);
+
+	const diagnostics = [];
+	options.limiter = new ParseLimiter(options, diagnostics);
+	options.locator = new SourceLocator(get_line_starts(text));
+	if (text.length > options.limiter.max_length) {
+		const doc = parse(text, options);
+		return {doc: doc, text: text, changed: [...doc.blocks.keys()]};
+	}
+
+	const previous_lines = previous_text.split(LINE_SEPARATOR_REGEX);
+	const lines = text.split(LINE_SEPARATOR_REGEX);
+	const line_delta = lines.length - previous_lines.length;
+	const previous_line_starts = get_line_starts(previous_text);
+
+	const segments = get_source_map(previous_doc, previous_lines, previous_line_starts, options);
+
+	if (!segments) {
+		// The document has been modified since it has been parsed, so nothing can be reused.
+		const result = group_segments(lines, options.locator.line_starts, 0, options);
+		result.segments.forEach(segment => segment.blocks = segment.raw.map(block => parse_block(block, {...options, doc: null})));
+
+		const count = result.segments.reduce((count, segment) => count + segment.blocks.length, 0);
+		return finish_reparse(text, result.segments, [...Array(count).keys()], diagnostics);
+	}
+
+	// Lines before the edit are unchanged, and so are the ones after the edit but they may be shifted.
+	const unchanged_before = get_line_at(previous_line_starts, offset);
+	const unchanged_after = get_line_at(previous_line_starts, offset + delete_count) + 1;
+
+	// The line before the edit may look ahead at the edited line, so restart from the segment containing it.
+	let restart = 0;
+	while (restart + 1 < segments.length && segments[restart + 1].start <= unchanged_before - 1) {
+		restart++;
+	}
+
+	const segment_starts = new Map();
+	segments.forEach((segment, index) => segment_starts.set(segment.start, index));
+
+	let resync = segments.length;
+	const result = group_segments(lines, options.locator.line_starts, segments[restart].start, options, line => {
+		const previous_line = line - line_delta;
+		if (previous_line >= unchanged_after && segment_starts.has(previous_line)) {
+			resync = segment_starts.get(previous_line);
+			return true;
+		}
+		return false;
+	});
+
+	const replaced = segments.slice(restart, resync);
+	const previous_raw = replaced.flatMap(segment => segment.raw);
+	const previous_blocks = replaced.flatMap(segment => segment.blocks);
+	const new_raw = result.segments.flatMap(segment => segment.raw);
+
+	// Reuse the block elements whose raw block is the same at the start and at the end of the re-grouped part.
+	let same_start = 0;
+	while (same_start < previous_raw.length && same_start < new_raw.length
+		&& is_same_raw_block(previous_raw[same_start], new_raw[same_start])) {
+		same_start++;
+	}
+
+	let same_end = 0;
+	while (same_end < previous_raw.length - same_start && same_end < new_raw.length - same_start
+		&& is_same_raw_block(previous_raw[previous_raw.length - 1 - same_end], new_raw[new_raw.length - 1 - same_end])) {
+		same_end++;
+	}
+
+	let index = 0;
+	for (const segment of result.segments) {
+		segment.blocks = segment.raw.map(block => {
+			let parsed;
+			if (index < same_start) {
+				parsed = reuse_block(previous_blocks[index], previous_raw[index], block, options.locator);
+			} else if (index >= new_raw.length - same_end) {
+				const previous = previous_blocks.length - (new_raw.length - index);
+				parsed = reuse_block(previous_blocks[previous], previous_raw[previous], block, options.locator);
+			} else
+				parsed = parse_block(block, {...options, doc: null});
+
+			index++;
+			return parsed;
+		});
+	}
+
+	const kept = segments.slice(0, restart);
+	const delta = insert.length - delete_count;
+	const shifted = segments.slice(resync).map(segment => {
+		return {
+			...segment,
+			blocks: segment.blocks.map(block => move_block(block, delta, options.locator)),
+			start: segment.start + line_delta,
+			raw: segment.raw.map(raw => ({...raw, map: raw.map.translate(delta)}))
+		};
+	});
+
+	const first_changed = kept.reduce((count, segment) => count + segment.blocks.length, 0) + same_start;
+	const changed = [];
+	for (let i = first_changed; i < first_changed + new_raw.length - same_start - same_end; i++) {
+		changed.push(i);
+	}
+
+	return finish_reparse(text, kept.concat(result.segments, shifted), changed, diagnostics);
+}
+
+/**
+ * Represents a reusable Markdown parser.
+ *
+ * The options are validated and frozen once at construction, each parsing then works on its own state,
+ * so a single parser can parse many documents, including concurrently.
+ *
+ * @version 1.8.0
+ * @since 1.8.0
+ */
+export class Parser {
+	/* Class attributes:
+	options: object;
+	*/
+
+	/**
+	 * @param options the parser options
+	 * @throws {Error} if an option is unknown or of the wrong type
+	 */
+	constructor(options = {}) {
+		this.options = compile_options(DEFAULT_OPTIONS, options, "Parser");
+	}
+
+	/**
+	 * Creates the options of a single parsing, which shares the frozen options.
+	 *
+	 * @param extra the state specific to the parsing
+	 * @return the options of the parsing
+	 */
+	create_context(extra = {}) {
+		return { ...this.options, [COMPLETE_OPTIONS]: true, ...extra };
+	}
+
+	/**
+	 * Parses the Markdown document from the given string.
+	 *
+	 * @param {string} string the Markdown source
+	 * @return {md.MDDocument} the parsed document
+	 */
+	parse(string) {
+		return parse(string, this.create_context());
+	}
+
+	/**
+	 * Parses the block elements of the given string one by one.
+	 *
+	 * @param {string} string the Markdown source
+	 * @return {Generator<md.Node>} the block elements generator
+	 */
+	parse_blocks(string) {
+		return parse_blocks_generator(string, this.create_context());
+	}
+
+	/**
+	 * Creates a streaming parser using the options of this parser.
+	 *
+	 * @param {md.MDDocument|null} doc the document to fill, if `null` a new document is created
+	 * @return {StreamingParser} the streaming parser
+	 */
+	create_streaming_parser(doc = null) {
+		return new StreamingParser(this.create_context(), doc);
+	}
+
+	/**
+	 * Creates a stream which parses the Markdown source it receives into block elements.
+	 *
+	 * @param {md.MDDocument|null} doc the document to fill, if `null` a new document is created
+	 * @return {TransformStream<string, md.Node> & {doc: md.MDDocument}} the parse stream
+	 * @see create_parse_stream
+	 */
+	create_parse_stream(doc = null) {
+		return create_parse_stream(this.create_context(), doc);
+	}
+
+	/**
+	 * Parses a Markdown document from the given asynchronous source.
+	 *
+	 * @param {AsyncIterable<string|Uint8Array>|Iterable<string|Uint8Array>} source the Markdown source
+	 * @return {AsyncGenerator<md.Node, md.MDDocument>} the block elements generator
+	 * @see parse_async
+	 */
+	parse_async(source) {
+		return parse_async(source, this.create_context());
+	}
+
+	/**
+	 * Re-parses a Markdown document previously parsed by this parser after an edit of its source.
+	 *
+	 * @param {md.MDDocument} previous_doc the document parsed from the previous source
+	 * @param {string} previous_text the previous source
+	 * @param {{offset: number, delete_count: number, insert: string}} edit the edit of the previous source
+	 * @return {{doc: md.MDDocument, text: string, changed: number[]}} the new document, the new source,
+	 * and the indices of the block elements of the new document which aren't reused from the previous document
+	 * @see reparse
+	 */
+	reparse(previous_doc, previous_text, edit) {
+		return reparse(previous_doc, previous_text, edit, this.create_context());
+	}
+}
+
+function finish_reparse(text, segments, changed, diagnostics) {
+	const doc = new md.MDDocument();
+	doc.diagnostics = diagnostics;
+
+	for (const segment of segments) {
+		segment.references.forEach(reference => doc.ref(reference.name, reference.ref));
+		segment.blocks.forEach(block => doc.push(block));
+	}
+
+	SOURCE_MAPS.set(doc, {blocks: doc.blocks.slice(), segments: segments});
+
+	return {doc: doc, text: text, changed: changed};
+}
+
+/**
+ * Tries to parse the attributes following a link or an image at the given index.
+ *
+ * @param {InlineScanner} scanner the inline scanner
+ * @param {number} start the index following the link or the image
+ * @param options the parser options
+ * @return {{attributes: md.Attributes|null, skip: number}} the attributes if any, and their length
+ */
+function attributes_at(scanner, start, options) {
+	const found = options.attributes ? scanner.match_at(ATTRIBUTES_REGEX, start) : null;
+	const attributes = found ? parse_attributes(found[1]) : null;
+	return attributes ? {attributes: attributes, skip: found[0].length} : {attributes: null, skip: 0};
+}
+
+function parse_nodes(line, allow_linebreak, options, map = null) {
+	const locator = get_locator(options);
+	const limiter = get_limiter(options);
+	if (!limiter.enter()) {
+		return [locate(new md.Text(line), map, 0, line.length, locator)];
+	}
+
+	const scanner = new InlineScanner(line);
 	const nodes = [];
 	let index = 0;
 
+	// Pushes the given node spanning from the current index to the given end index.
+	const push = (node, end) => nodes.push(locate(node, map, index, end, locator));
+
 	const word = {
 		word: "",
+		start: 0,
 		add: function (text) {
+			if (this.word === "")
+				this.start = index;
 			this.word += text;
 		},
 		push_text_if_present: function (nodes) {
+			const count = nodes.length;
 			this.word = push_text_if_present(this.word, nodes);
+			if (nodes.length !== count)
+				locate(nodes[count], map, this.start, index, locator);
 		}
 	};
 
 	while (index < line.length) {
 		const char = line[index];
 
+		if (limiter.is_exhausted(nodes.length)) {
+			word.add(line.substring(index));
+			index = line.length;
+			break;
+		}
+
 		let result;
 		if (char === "\\" && options.allow_escape) {
-			if ((result = line.substring(index).match(ESCAPED_UNICODE))) {
+			if ((result = scanner.match_at(ESCAPED_UNICODE, index))) {
 				let code = result[1];
 				if (!code) code = result[2];
 				if (!code) code = result[3];
@@ -866,12 +2888,16 @@ function parse_nodes(line, allow_linebreak, options = {}) {
 				}
 			}
 		} else if (char === "<" &&
-			((result = line.substring(index).match(INLINE_HTML_BR_REGEX))
-				|| (options.inline_html_block && (result = line.substring(index).match(INLINE_HTML_SKIP_REGEX)))
-				|| (result = html.parse_comment(line.substring(index))))) {
+			((result = scanner.match_at(INLINE_HTML_BR_REGEX, index))
+				|| (options.inline_html_block && (result = scanner.html_tag_at(index)))
+				|| (line.startsWith("<!--", index) && (result = html.parse_comment(line.substring(index)))))) {
 			if (result.comment) {
 				word.push_text_if_present(nodes);
-				nodes.push(new md.Comment(result.comment.content));
+				const comment = new md.Comment(result.comment.content);
+				// An unterminated comment goes up to the end of the line.
+				const comment_end = index + result.length - (line.startsWith("-->", index + result.length - "-->".length) ? "-->".length : 0);
+				comment.nodes.forEach(text => locate(text, map, index + "<!--".length, Math.max(comment_end, index + "<!--".length), locator));
+				push(comment, index + result.length);
 				index += result.length - 1;
 			} else if ((result[1] === "br" || result[2] === "br") && !options.inline_html_block) {
 				word.push_text_if_present(nodes);
@@ -883,16 +2909,16 @@ function parse_nodes(line, allow_linebreak, options = {}) {
 				word.add(result[0]);
 				index += result[0].length - 1;
 			}
-		} else if (char === "`" && (result = try_parse_inline_code(line, index))) {
+		} else if (char === "`" && (result = scanner.inline_code_at(index))) {
 			// Inline code
 			word.push_text_if_present(nodes);
-			nodes.push(result.el);
+			push(result.el, index + result.skip);
 			index += result.skip;
 			continue;
-		} else if (options.latex && char === "$" && (result = try_parse_tag(line, index, "$", 1))) {
+		} else if (options.latex && char === "$" && (result = scanner.tag_at(index, "$", 1))) {
 			// Inline Latex
 			word.push_text_if_present(nodes);
-			nodes.push(new md.InlineLatex(result.tag, false));
+			push(new md.InlineLatex(result.tag, false), index + result.skip);
 			index += result.skip;
 			continue;
 		} else if (char === " " && line[index + 1] === " " && line[index + 2] === "\n" && allow_linebreak) {
@@ -908,85 +2934,97 @@ function parse_nodes(line, allow_linebreak, options = {}) {
 				nodes.push(md.LINEBREAK);
 			} else word.add(" ");
 		} else if (char === ":" && options.emoji.enabled
-			&& (result = try_parse_emoji(line, index))
+			&& (result = scanner.emoji_at(index))
 			&& options.emoji.dictionary.includes(result.el.content)) {
 			word.push_text_if_present(nodes);
-			nodes.push(result.el);
+			push(result.el, index + result.skip);
 			index += result.skip;
 			continue;
-		} else if (char === "!" && (result = try_parse_link(line, index + 1))) {
+		} else if (char === "!" && (result = scanner.link_at(index + 1))) {
 			// Image
 			word.push_text_if_present(nodes);
 
 			const alt = result.title;
-			nodes.push(new md.Image(result.url, alt, result.tooltip, result.ref_name));
+			const attributes = attributes_at(scanner, index + result.skip + 1, options);
+			const image = new md.Image(result.url, alt, result.tooltip, result.ref_name, attributes.attributes);
+			image.nodes.forEach(text => locate(text, map, index + 2, index + 2 + alt.length, locator));
+			push(image, index + result.skip + 1 + attributes.skip);
+
+			index += result.skip + 1 + attributes.skip;
+			continue;
+		} else if (char === "[" && options.footnote && (result = scanner.match_at(FOOTNOTE_REFERENCE_REGEX, index))) {
+			// Footnote reference
+			word.push_text_if_present(nodes);
+
+			push(new md.FootnoteReference(result[1]), index + result[0].length);
 
-			index += result.skip + 1;
+			index += result[0].length;
 			continue;
-		} else if (char === "[" && options.link && (result = try_parse_link(line, index))) {
+		} else if (char === "[" && options.link && (result = scanner.link_at(index))) {
 			// Link
 			word.push_text_if_present(nodes);
 
-			const title = parse_nodes(result.title, false, options);
-			nodes.push(new md.Link(result.url, title, result.tooltip, result.ref_name));
+			const title = parse_nodes(result.title, false, options, shift_map(map, index + 1));
+			const attributes = attributes_at(scanner, index + result.skip, options);
+			push(new md.Link(result.url, title, result.tooltip, result.ref_name, attributes.attributes), index + result.skip + attributes.skip);
 
-			index += result.skip;
+			index += result.skip + attributes.skip;
 			continue;
-		} else if (char === "|" && options.spoiler && (result = try_parse_tag(line, index, "|", 2))) {
+		} else if (char === "|" && options.spoiler && (result = scanner.tag_at(index, "|", 2))) {
 			// Spoiler
 			word.push_text_if_present(nodes);
 
-			nodes.push(new md.Spoiler(parse_nodes(result.tag, false, options)));
+			push(new md.Spoiler(parse_nodes(result.tag, false, options, shift_map(map, index + 2))), index + result.skip);
 
 			index += result.skip;
 			continue;
-		} else if (char === "~" && (result = try_parse_tag(line, index, "~", 2))) {
+		} else if (char === "~" && (result = scanner.tag_at(index, "~", 2))) {
 			// Strikethrough
 			word.push_text_if_present(nodes);
 
-			nodes.push(new md.Strikethrough(parse_nodes(result.tag, true, options)));
+			push(new md.Strikethrough(parse_nodes(result.tag, true, options, shift_map(map, index + 2))), index + result.skip);
 
 			index += result.skip;
 			continue;
-		} else if (char === "*" && (result = try_parse_possible_tags(line, index, "*", 2))) {
+		} else if (char === "*" && (result = scanner.possible_tags_at(index, "*", 2))) {
 			// Bold or italic
 			word.push_text_if_present(nodes);
 
-			const content = parse_nodes(result.tag, true, options);
+			const content = parse_nodes(result.tag, true, options, shift_map(map, index + result.delimiter_repeat));
 			if (result.delimiter_repeat === 2)
-				nodes.push(new md.Bold(content));
+				push(new md.Bold(content), index + result.skip);
 			else
-				nodes.push(new md.Italic(content));
+				push(new md.Italic(content), index + result.skip);
 
 			index += result.skip;
 			continue;
-		} else if (char === "_" && (result = try_parse_possible_tags(line, index, "_", 2))) {
+		} else if (char === "_" && (result = scanner.possible_tags_at(index, "_", 2))) {
 			// Underline or italic
 			word.push_text_if_present(nodes);
 
-			const content = parse_nodes(result.tag, true, options);
+			const content = parse_nodes(result.tag, true, options, shift_map(map, index + result.delimiter_repeat));
 			if (result.delimiter_repeat === 2) {
 				if (options.underline)
-					nodes.push(new md.Underline(content));
+					push(new md.Underline(content), index + result.skip);
 				else
-					nodes.push(new md.Bold(content)); // In the true Markdown standard it's bold, but personally I prefer underline.
+					push(new md.Bold(content), index + result.skip); // In the true Markdown standard it's bold, but personally I prefer underline.
 			} else
-				nodes.push(new md.Italic(content));
+				push(new md.Italic(content), index + result.skip);
 
 			index += result.skip;
 			continue;
-		} else if (options.highlight && char === "=" && (result = try_parse_tag(line, index, "=", 2))) {
+		} else if (options.highlight && char === "=" && (result = scanner.tag_at(index, "=", 2))) {
 			// Highlight
 			word.push_text_if_present(nodes);
 
-			nodes.push(new md.Highlight(parse_nodes(result.tag, true, options)));
+			push(new md.Highlight(parse_nodes(result.tag, true, options, shift_map(map, index + 2))), index + result.skip);
 
 			index += result.skip;
 			continue;
-		} else if (options.auto_link && (result = try_parse_url(line, index))) {
+		} else if (options.auto_link && (result = scanner.url_at(index))) {
 			word.push_text_if_present(nodes);
 
-			nodes.push(new md.InlineLink(result));
+			push(new md.InlineLink(result), index + result.length);
 
 			index += result.length;
 			continue;
@@ -1003,5 +3041,8 @@ function parse_nodes(line, allow_linebreak, options = {}) {
 	if (allow_linebreak && line.endsWith("  ")) {
 		nodes.push(md.LINEBREAK);
 	}
+
+	limiter.nodes += nodes.length;
+	limiter.leave();
 	return nodes;
 }
@@ -8,10 +8,18 @@
  */
 
 import * as md from "./markdown.mjs";
+import { diff } from "./diff.mjs";
+import { get_stream_document } from "./parser.mjs";
 import * as html from "../html.mjs";
-import { merge_objects } from "../utils.mjs";
+import { compile_options, merge_objects } from "../utils.mjs";
 
 const DEFAULT_OPTIONS = {
+	alert: {
+		class_name: "alert",
+		title_class_name: "alert_title",
+		icon: null,
+		titles: {}
+	},
 	block_code: {
 		class_name: "block_code",
 		highlighter: null
@@ -23,7 +31,17 @@ const DEFAULT_OPTIONS = {
 	code: {
 		process: el => el.as_html()
 	},
+	diff: {
+		moved_class_name: "moved"
+	},
 	emoji: null,
+	footnote: {
+		class_name: "footnotes",
+		back_reference_class_name: "footnote_back_reference"
+	},
+	heading: {
+		slugger: () => new md.Slugger()
+	},
 	highlight: {
 		enable: true
 	},
@@ -36,6 +54,7 @@ const DEFAULT_OPTIONS = {
 	},
 	latex: {
 		render: null,
+		katex: null,
 		error_classes: ["error"]
 	},
 	strikethrough: {
@@ -54,7 +73,11 @@ const DEFAULT_OPTIONS = {
 		image_class_name: "spoiler_img",
 		hidden_class_name: "spoiler_hidden"
 	},
-	parent: null
+	reference: {
+		patch: null
+	},
+	parent: null,
+	patch: false
 }
 
 const ATTRIBUTES_RULES = {
@@ -63,14 +86,53 @@ const ATTRIBUTES_RULES = {
 	a: [ "href" ]
 }
 
+/**
+ * The attributes which can't be set by the attributes of Markdown elements, as the targets come from the links and images themselves.
+ */
+const URL_ATTRIBUTES = [ "href", "src" ];
+
+function is_allowed_attribute(tag_name, name) {
+	return ATTRIBUTES_RULES["*"].includes(name) || (ATTRIBUTES_RULES[tag_name] && ATTRIBUTES_RULES[tag_name].includes(name));
+}
+
 function sanitize_raw(node) {
 	if (node instanceof html.Text) return node;
 
-	node.attributes = node.attributes.filter(attribute => ATTRIBUTES_RULES["*"].includes(attribute.name)
-		|| (ATTRIBUTES_RULES[node.tag.name] && ATTRIBUTES_RULES[node.tag.name].includes(attribute.name)));
+	node.attributes = node.attributes.filter(attribute => is_allowed_attribute(node.tag.name, attribute.name));
 	return node;
 }
 
+/**
+ * Applies the attributes of a Markdown element to the HTML element it is rendered as.
+ *
+ * The attributes are filtered like the raw HTML ones, the classes are added to the existing ones
+ * and the other attributes don't replace the ones set by the renderer.
+ *
+ * @param {html.Element} element the HTML element
+ * @param {md.Attributes|null} attributes the attributes of the Markdown element
+ * @return {html.Element} the HTML element
+ */
+function apply_attributes(element, attributes) {
+	if (!attributes)
+		return element;
+
+	const apply = (name, value) => {
+		if (is_allowed_attribute(element.tag.name, name) && !URL_ATTRIBUTES.includes(name) && !element.get_attr(name))
+			element.attr(name, value);
+	};
+
+	if (attributes.id !== null)
+		apply("id", attributes.id);
+	attributes.classes.forEach(name => element.attr("class").add(name));
+	Object.entries(attributes.values).forEach(([name, value]) => apply(name, value));
+	return element;
+}
+
+/**
+ * Marks the options which are already completed with the default options, like the ones of a {@link Renderer}.
+ */
+const COMPLETE_OPTIONS = Symbol("complete_options");
+
 function merge_default_options(options) {
 	return merge_objects(DEFAULT_OPTIONS, options);
 }
@@ -82,10 +144,8 @@ function fill_element(element, nodes) {
 function render_simple(markdown, node, options, el_name, allow_linebreak = false) {
 	const element = html.create_element(el_name);
 
-	const tmp = options.should_escape;
-	options.should_escape = true;
-	render_inline(markdown, node.nodes, options, allow_linebreak).forEach(node => element.append_child(node));
-	options.should_escape = tmp;
+	render_inline(markdown, node.nodes, { ...options, should_escape: true }, allow_linebreak)
+		.forEach(node => element.append_child(node));
 
 	return element;
 }
@@ -119,6 +179,92 @@ function render_latex(node, options) {
 		return template;
 }
 
+function find_reference(markdown, node, element, options) {
+	if (!node.ref_name)
+		return node.ref;
+
+	const ref = markdown.references.find(ref => ref.name === node.ref_name);
+	if (ref) {
+		return ref.ref;
+	} else if (options.pending_references) {
+		// The reference may still be defined later in a streamed document, render a placeholder.
+		element.attr("data-ref", node.ref_name);
+		options.pending_references.add(node.ref_name);
+	}
+
+	return undefined;
+}
+
+/**
+ * Returns the footnote referenced by the given reference, the footnotes of the document are computed once per rendering,
+ * they are computed again if the reference is new, like when the document is streamed.
+ *
+ * @param {md.MDDocument} markdown the markdown document
+ * @param {md.FootnoteReference} reference the footnote reference
+ * @param options the render options
+ * @return {{name: string, number: number, definition: md.FootnoteDefinition, references: md.FootnoteReference[]}|null}
+ * the footnote with its number, or `null` if it isn't defined
+ */
+function get_footnote(markdown, reference, options) {
+	let footnotes = options.footnotes.get(markdown);
+	if (!footnotes || (reference && !footnotes.some(footnote => footnote.references.includes(reference)))) {
+		footnotes = markdown.get_footnotes().map((footnote, index) => ({ ...footnote, number: index + 1 }));
+		options.footnotes.set(markdown, footnotes);
+	}
+
+	return number_footnote(footnotes.find(footnote => footnote.references.includes(reference)) || null, options);
+}
+
+/**
+ * Numbers the given footnote for good when the document is streamed, as the references already written can't be renumbered.
+ *
+ * @param footnote the footnote, or `null`
+ * @param options the render options
+ * @return the footnote with its streamed number if the document is streamed
+ */
+function number_footnote(footnote, options) {
+	const numbers = options.footnote_numbers;
+	if (!footnote || !numbers)
+		return footnote;
+
+	if (!numbers.has(footnote.name))
+		numbers.set(footnote.name, numbers.size + 1);
+	return { ...footnote, number: numbers.get(footnote.name) };
+}
+
+/**
+ * Renders a placeholder for the given footnote reference whose definition isn't known yet in a streamed document.
+ *
+ * @param {md.MDDocument} markdown the markdown document
+ * @param {md.FootnoteReference} reference the footnote reference
+ * @param options the render options
+ * @return {html.Element} the placeholder
+ */
+function render_footnote_placeholder(markdown, reference, options) {
+	const name = reference.name.toLowerCase();
+	let index = 0;
+	let found = false;
+	md.walk(markdown, {
+		enter(node) {
+			if (node === reference)
+				found = true;
+			else if (!found && node instanceof md.FootnoteReference && node.name.toLowerCase() === name)
+				index++;
+		}
+	});
+
+	options.pending_footnotes.add(name);
+	const link = html.create_element("a")
+		.with_attr("id", get_footnote_reference_id({ name: name }, index))
+		.with_attr("data-footnote", name)
+		.with_child(reference.toString());
+	return html.create_element("sup").with_child(link);
+}
+
+function get_footnote_reference_id(footnote, index) {
+	return `fnref-${footnote.name}` + (index !== 0 ? `-${index + 1}` : "");
+}
+
 function render_inline(markdown, nodes, options, allow_linebreak = false) {
 	return nodes.flatMap(node => {
 		if (node instanceof md.Emoji) {
@@ -146,12 +292,7 @@ function render_inline(markdown, nodes, options, allow_linebreak = false) {
 			const element = html.create_element("img");
 			element.alt(node.get_nodes_as_string());
 
-			let ref = node.ref;
-			if (node.ref_name) {
-				ref = markdown.references.find(ref => ref.name === node.ref_name);
-				if (ref)
-					ref = ref.ref;
-			}
+			const ref = find_reference(markdown, node, element, options);
 			if (ref) {
 				element.src(ref.url);
 				if (ref.has_tooltip()) {
@@ -161,16 +302,11 @@ function render_inline(markdown, nodes, options, allow_linebreak = false) {
 
 			element.attr("class", options.image.class_name);
 
-			return element;
+			return apply_attributes(element, node.attributes);
 		} else if (node instanceof md.Link) {
 			const element = html.create_element("a");
 
-			let ref = node.ref;
-			if (node.ref_name) {
-				ref = markdown.references.find(ref => ref.name === node.ref_name);
-				if (ref)
-					ref = ref.ref;
-			} 
+			const ref = find_reference(markdown, node, element, options);
 			if (ref) {
 				element.href(ref.url);
 				if (ref.has_tooltip()) {
@@ -180,7 +316,20 @@ function render_inline(markdown, nodes, options, allow_linebreak = false) {
 
 			fill_element(element, render_inline(markdown, node.nodes, options, false));
 
-			return element;
+			return apply_attributes(element, node.attributes);
+		} else if (node instanceof md.FootnoteReference) {
+			const footnote = get_footnote(markdown, node, options);
+			if (!footnote && options.pending_footnotes)
+				// The footnote may still be defined later in a streamed document, render a placeholder.
+				return render_footnote_placeholder(markdown, node, options);
+			else if (!footnote)
+				return new html.Text(node.toString());
+
+			const link = html.create_element("a")
+				.with_attr("href", `#fn-${footnote.name}`)
+				.with_attr("id", get_footnote_reference_id(footnote, footnote.references.indexOf(node)))
+				.with_child(footnote.number.toString());
+			return html.create_element("sup").with_child(link);
 		} else if (node instanceof md.Bold || (!options.underline.enable && node instanceof md.Underline)) {
 			return render_simple(markdown, node, options, "b", allow_linebreak);
 		} else if (node instanceof md.Italic) {
@@ -247,24 +396,56 @@ function render_inline(markdown, nodes, options, allow_linebreak = false) {
 	}).filter(node => node !== null && node !== undefined);
 }
 
+/**
+ * Returns the identifier of the given heading, unique in the document.
+ *
+ * The identifiers of the headings of the document are generated once and kept for the rest of the rendering,
+ * only the identifiers of the headings of the blocks added since are generated, like when the document is streamed.
+ * If the heading still isn't known, the document has been modified so all the identifiers are generated again.
+ *
+ * @param {md.MDDocument} markdown the markdown document
+ * @param {md.Heading} heading the heading
+ * @param options the render options
+ * @return {string} the identifier
+ */
+function get_heading_id(markdown, heading, options) {
+	const generate = state => {
+		const added = new md.MDDocument(markdown.blocks.slice(state.blocks));
+		added.get_heading_ids(state.slugger).forEach((id, known) => state.ids.set(known, id));
+		state.blocks = markdown.blocks.length;
+		return state;
+	};
+
+	let state = options.heading_ids.get(markdown);
+	if (state && !state.ids.has(heading) && state.blocks < markdown.blocks.length)
+		generate(state);
+	if (!state || !state.ids.has(heading)) {
+		state = generate({ ids: new Map(), slugger: options.heading.slugger(), blocks: 0 });
+		options.heading_ids.set(markdown, state);
+	}
+
+	return state.ids.has(heading) ? state.ids.get(heading) : heading.get_id(options.heading.slugger());
+}
+
 function render_blocks(markdown, blocks, parent, options) {
 	blocks.forEach(block => {
 		if (block instanceof md.Heading) {
 			const heading = html.create_element(block.level)
-				.with_attr("id", block.get_id());
+				.with_attr("id", get_heading_id(markdown, block, options));
 
 			render_inline(markdown, block.nodes, options, false).forEach(node => heading.append_child(node));
 
-			parent.append_child(heading);
+			parent.append_child(apply_attributes(heading, block.attributes));
 		} else if (block instanceof md.Paragraph) {
-			if (options.paragraph_as_text) {
+			// The paragraphs with attributes need an element to apply them.
+			if (options.paragraph_as_text && !block.attributes) {
 				render_inline(markdown, block.nodes, options, true).forEach(node => parent.append_child(node));
 			} else {
 				const paragraph = html.create_element("p");
 
 				render_inline(markdown, block.nodes, options, true).forEach(node => paragraph.append_child(node));
 
-				parent.append_child(paragraph);
+				parent.append_child(apply_attributes(paragraph, block.attributes));
 			}
 		} else if (block instanceof md.BlockCode) {
 			const code = html.create_element("code");
@@ -284,9 +465,9 @@ function render_blocks(markdown, blocks, parent, options) {
 				code.append_child(new html.Text(block.code, html.TextMode.CODE));
 			}
 
-			const pre = html.create_element("pre")
+			const pre = apply_attributes(html.create_element("pre")
 				.with_attr("class", language_class)
-				.with_child(code.with_attr("class", language_class));
+				.with_child(code.with_attr("class", language_class)), block.attributes);
 
 			if (options.block_code.class_name) {
 				parent.append_child(html.create_element("div")
@@ -308,9 +489,11 @@ function render_blocks(markdown, blocks, parent, options) {
 			}
 
 			parent.append_child(quote);
+		} else if (block instanceof md.Alert) {
+			parent.append_child(render_alert(markdown, block, options));
 		} else if (block instanceof md.InlineHTML) {
 			if (options.inline_html.enable) {
-				html.parse_nodes(render_inline(markdown, block.nodes, merge_objects(options, { should_escape: false }), true).map(node => {
+				html.parse_nodes(render_inline(markdown, block.nodes, { ...options, should_escape: false }, true).map(node => {
 					if (typeof node === "string") {
 						return node;
 					} else {
@@ -336,6 +519,8 @@ function render_blocks(markdown, blocks, parent, options) {
 				return;
 			}
 			parent.append_child(element);
+		} else if (block instanceof md.DefinitionList) {
+			parent.append_child(render_definition_list(markdown, block, options));
 		} else if (block instanceof md.List) {
 			parent.append_child(render_list(markdown, block, options));
 		} else if (block instanceof md.Table) {
@@ -359,13 +544,95 @@ function render_blocks(markdown, blocks, parent, options) {
 			options.table.process(table.with_child(thead).with_child(tbody));
 			parent.append_child(table);
 		} else if (block instanceof md.TableOfContents) {
-			parent.append_child(render_list(markdown, block.as_list(markdown), options));
+			parent.append_child(render_list(markdown, block.as_list(markdown, options.heading.slugger()), options));
+		} else if (block instanceof md.FootnoteDefinition) {
+			// Footnote definitions are rendered in the footnotes section.
+		} else if (block instanceof md.FrontMatter) {
+			// The front matter is metadata, it isn't rendered.
 		} else if (block.as_html) {
 			parent.append_child(block.as_html());
 		}
 	});
 }
 
+/**
+ * Renders the footnotes section of the document, where the footnotes are listed in the order of their first reference
+ * with a link back to each of their references.
+ *
+ * @param {md.MDDocument} markdown the markdown document
+ * @param options the render options
+ * @return {html.Element|null} the footnotes section, or `null` if the document doesn't reference any footnote
+ */
+function render_footnotes(markdown, options) {
+	get_footnote(markdown, null, options);
+	let footnotes = options.footnotes.get(markdown);
+	if (options.footnote_numbers) {
+		// Only the footnotes which have been written are listed, in the order they've been numbered in.
+		footnotes = footnotes.filter(footnote => options.footnote_numbers.has(footnote.name))
+			.map(footnote => number_footnote(footnote, options))
+			.sort((a, b) => a.number - b.number);
+	}
+	if (footnotes.length === 0)
+		return null;
+
+	const list = html.create_element("ol");
+	footnotes.forEach(footnote => {
+		const item = html.create_element("li").with_attr("id", `fn-${footnote.name}`);
+		render_blocks(markdown, footnote.definition.nodes, item, options);
+
+		// The links back go at the end of the last paragraph if there's one.
+		const last = item.children[item.children.length - 1];
+		const target = last instanceof html.Element && last.tag.name === "p" ? last : item;
+		footnote.references.forEach((_, index) => {
+			const back_reference = html.create_element("a")
+				.with_attr("href", "#" + get_footnote_reference_id(footnote, index))
+				.with_attr("class", options.footnote.back_reference_class_name)
+				.with_child("↩");
+			if (index !== 0)
+				back_reference.append_child(html.create_element("sup").with_child((index + 1).toString()));
+
+			target.append_child(" ");
+			target.append_child(back_reference);
+		});
+
+		list.append_child(item);
+	});
+
+	return html.create_element("section").with_attr("class", options.footnote.class_name).with_child(list);
+}
+
+/**
+ * Renders the given alert as a container with the class of its kind, starting with its title.
+ *
+ * The title is taken from the `titles` option object by kind, or else is the default title of the kind,
+ * and the `icon` option may return an HTML node to put before it.
+ *
+ * @param {md.MDDocument} markdown the Markdown document
+ * @param {md.Alert} alert the alert
+ * @param options the render options
+ * @return {html.Element} the rendered alert
+ */
+function render_alert(markdown, alert, options) {
+	// The kind may be a custom one of the parser.
+	let title_text = options.alert.titles[alert.kind];
+	if (title_text === undefined)
+		title_text = md.get_alert_kind(alert.kind, [alert.kind]).title;
+
+	const title = html.create_element("p").with_attr("class", options.alert.title_class_name);
+	if (options.alert.icon) {
+		const icon = options.alert.icon(alert.kind);
+		if (icon)
+			title.append_child(icon);
+	}
+	title.append_child(title_text);
+
+	const container = html.create_element("div")
+		.with_attr("class", [options.alert.class_name, `${options.alert.class_name}_${alert.kind}`])
+		.with_child(title);
+	render_blocks(markdown, alert.nodes, container, { ...options, paragraph_as_text: false });
+	return container;
+}
+
 function render_list(markdown, list, options, level = 0) {
 	if (level > 3)
 		level = 3;
@@ -386,20 +653,16 @@ function render_list(markdown, list, options, level = 0) {
 				.with_attr("style", { "list-style-type": "none", margin: "0 0.2em 0 -1.3em" });
 
 			if (entry.checked)
-				checkbox.attr("checked");
+				checkbox.with_attr("checked");
 
 			if (options.checkbox.disabled_property) {
-				checkbox.attr("disabled");
+				checkbox.with_attr("disabled");
 			}
 
 			li.append_child(checkbox);
 		}
 
-		options.paragraph_as_text = true;
-
-		render_blocks(markdown, entry.nodes, li, options);
-
-		options.paragraph_as_text = false;
+		render_blocks(markdown, entry.nodes, li, { ...options, paragraph_as_text: true });
 
 		entry.sublists.map(sublist => render_list(markdown, sublist, options, level + 1))
 			.forEach(sublist => li.append_child(sublist));
@@ -410,6 +673,25 @@ function render_list(markdown, list, options, level = 0) {
 	return html_list;
 }
 
+function render_definition_list(markdown, list, options) {
+	const html_list = html.create_element("dl");
+
+	list.nodes.forEach(node => {
+		if (node instanceof md.DefinitionTerm) {
+			const dt = html.create_element("dt");
+			render_inline(markdown, node.nodes, options, false).forEach(child => dt.append_child(child));
+			html_list.append_child(dt);
+		} else {
+			// A description made of a single paragraph is rendered as text, like the list entries.
+			const dd = html.create_element("dd");
+			render_blocks(markdown, node.nodes, dd, { ...options, paragraph_as_text: node.nodes.length === 1 });
+			html_list.append_child(dd);
+		}
+	});
+
+	return html_list;
+}
+
 function render_table_row(markdown, row, head, options) {
 	const tr = html.create_element("tr");
 	const data_type = head ? "th" : "td";
@@ -426,30 +708,93 @@ function render_table_row(markdown, row, head, options) {
 	return tr;
 }
 
+function normalize_options(options) {
+	if (typeof options.inline_html === "boolean") {
+		options = {
+			...options,
+			inline_html: {
+				enable: options.inline_html,
+				disallowed_tags: DEFAULT_OPTIONS.inline_html.disallowed_tags
+			}
+		};
+	}
+
+	if (options.latex && !options.latex.render && options.latex.katex) {
+		const katex = options.latex.katex;
+		options = {
+			...options,
+			latex: {
+				...options.latex,
+				render: node => katex.renderToString(node.raw, { displayMode: node.display_mode, output: "html" })
+			}
+		};
+	}
+
+	return options;
+}
+
+function prepare_options(options) {
+	if (!options[COMPLETE_OPTIONS])
+		options = merge_default_options(normalize_options(options));
+	options.should_escape = true;
+	options.heading_ids = new WeakMap();
+	options.footnotes = new WeakMap();
+
+	return options;
+}
+
+function render_blocks_to_html(markdown, blocks, options) {
+	let parent;
+	if (options.parent && options.parent instanceof html.Element) {
+		parent = options.parent;
+	} else {
+		parent = html.create_element("div");
+	}
+
+	render_blocks(markdown, blocks, parent, options);
+
+	parent.purge_empty_children();
+
+	return parent;
+}
+
 /**
  * Renders the markdown document as HTML.
  *
+ * The footnotes are numbered in the order of their first reference and rendered in a section at the end of the document.
+ *
  * @param {md.MDDocument} markdown the markdown document
  * @param options
  * @return {html.Element} the rendered document as a HTML element
  */
  export function render_to_html(markdown, options = {}) {
-	options = merge_default_options(options);
-	options.should_escape = true;
+	options = prepare_options(options);
 
-	if (typeof options.inline_html === "boolean") {
-		const enable = options.inline_html;
-		options.inline_html = {
-			enable: enable,
-			disallowed_tags: DEFAULT_OPTIONS.inline_html.disallowed_tags
-		}
+	const parent = render_blocks_to_html(markdown, markdown.blocks, options);
+	const footnotes = render_footnotes(markdown, options);
+	if (footnotes) {
+		footnotes.purge_empty_children();
+		parent.append_child(footnotes);
 	}
+	return parent;
+ }
 
-	if (!options.latex.render) {
-		if (options.latex.katex) {
-			options.latex.render = node => options.latex.katex.renderToString(node.raw, { displayMode: node.display_mode, output: "html" });
-		}
-	}
+/**
+ * Renders the changes between two versions of a markdown document as HTML, see {@link diff}.
+ *
+ * The blocks are rendered in the order of the new document, the inserted blocks are wrapped in `<ins>` elements
+ * and the removed blocks in `<del>` elements where they were.
+ * The modified blocks are rendered as their old version in a `<del>` element followed by their new version in an `<ins>` element,
+ * and the moved blocks are marked at both places with the `diff.moved_class_name` class.
+ *
+ * @param {md.MDDocument} old_doc the old markdown document
+ * @param {md.MDDocument} new_doc the new markdown document
+ * @param options
+ * @return {html.Element} the rendered changes as a HTML element
+ * @since 1.8.0
+ */
+export function render_diff_to_html(old_doc, new_doc, options = {}) {
+	options = prepare_options(options);
 
 	let parent;
 	if (options.parent && options.parent instanceof html.Element) {
@@ -458,16 +803,473 @@ function render_table_row(markdown, row, head, options) {
 		parent = html.create_element("div");
 	}
 
-	render_blocks(markdown, markdown.blocks, parent, options);
+	function render_change(tag, markdown, block, class_name = "") {
+		const element = html.create_element(tag);
+		if (class_name)
+			element.attr("class", class_name);
+
+		render_blocks(markdown, [block], element, options);
+		parent.append_child(element);
+	}
+
+	const old_changes = new Map();
+	const new_changes = new Map();
+	diff(old_doc, new_doc).forEach(change => {
+		if (change.old_index !== undefined)
+			old_changes.set(change.old_index, change);
+		if (change.new_index !== undefined)
+			new_changes.set(change.new_index, change);
+	});
+
+	// The unchanged blocks are in the same order in both documents, the changed old blocks are rendered before the next one.
+	let old_index = 0;
+	function render_old_changes() {
+		for (; old_index < old_doc.blocks.length && old_changes.has(old_index); old_index++) {
+			const change = old_changes.get(old_index);
+
+			if (change.type === "block_removed")
+				render_change("del", old_doc, change.block);
+			else if (change.type === "block_moved")
+				render_change("del", old_doc, change.block, options.diff.moved_class_name);
+		}
+	}
+
+	new_doc.blocks.forEach((block, new_index) => {
+		render_old_changes();
+
+		const change = new_changes.get(new_index);
+		if (!change) {
+			render_blocks(new_doc, [block], parent, options);
+			old_index++;
+		} else if (change.type === "block_moved") {
+			render_change("ins", new_doc, block, options.diff.moved_class_name);
+		} else {
+			if (change.type === "block_modified")
+				render_change("del", old_doc, change.old_block);
+			render_change("ins", new_doc, block);
+		}
+	});
+	render_old_changes();
 
 	parent.purge_empty_children();
 
 	return parent;
- }
+}
+
+/**
+ * Represents a renderer which serializes Markdown block elements to HTML one at a time.
+ *
+ * Links and images using a reference which isn't defined yet are rendered as placeholders with a `data-ref` attribute.
+ * Footnote references whose definition isn't known yet are rendered as placeholders with a `data-footnote` attribute.
+ * Once the definitions are known, the placeholders can be fixed up using the table given by {@link StreamingRenderer#take_fixups}.
+ * Footnotes are numbered in the order they're first written, and the footnotes section is given by {@link StreamingRenderer#render_footnotes}.
+ *
+ * @version 1.8.0
+ * @since 1.8.0
+ */
+export class StreamingRenderer {
+	/* Class attributes:
+	markdown: md.MDDocument;
+	fill_document: boolean;
+	options: object;
+	pending_references: Set<string>;
+	pending_footnotes: Set<string>;
+	has_new_footnotes: boolean;
+	*/
+
+	/**
+	 * @param {md.MDDocument|null} markdown the document against which references and the table of contents are resolved,
+	 * if `null` a document made of the written blocks is used
+	 * @param options the render options
+	 */
+	constructor(markdown = null, options = {}) {
+		this.fill_document = !(markdown instanceof md.MDDocument);
+		this.markdown = this.fill_document ? new md.MDDocument() : markdown;
+		this.pending_references = new Set();
+		this.pending_footnotes = new Set();
+		this.has_new_footnotes = false;
+		this.options = prepare_options({
+			...options, doc: null, parent: null,
+			pending_references: this.pending_references, pending_footnotes: this.pending_footnotes, footnote_numbers: new Map()
+		});
+	}
+
+	/**
+	 * Renders the given block element.
+	 *
+	 * @param {md.Node} block the block element
+	 * @return {string} the block element as HTML
+	 */
+	write(block) {
+		if (this.fill_document)
+			this.markdown.push(block);
+		md.walk(block, {
+			enter: node => {
+				if (node instanceof md.FootnoteDefinition)
+					this.has_new_footnotes = true;
+			}
+		});
+
+		return render_blocks_to_html(this.markdown, [block], this.options).inner_html();
+	}
+
+	/**
+	 * Takes the fix-ups of the placeholders whose reference or footnote has been defined since the last call.
+	 *
+	 * The fix-ups of footnote placeholders have the number of the footnote as `footnote`.
+	 *
+	 * @return {{name: string, url: string, tooltip: string|null, footnote?: number}[]} the fix-up table
+	 */
+	take_fixups() {
+		const fixups = [];
+
+		for (const name of this.pending_references) {
+			const reference = this.markdown.references.find(ref => ref.name === name);
+
+			if (reference) {
+				fixups.push({ name: name, url: reference.ref.url, tooltip: reference.ref.has_tooltip() ? reference.ref.tooltip : null });
+				this.pending_references.delete(name);
+			}
+		}
+
+		if (this.has_new_footnotes && this.pending_footnotes.size !== 0) {
+			const footnotes = this.markdown.get_footnotes();
+
+			for (const name of this.pending_footnotes) {
+				const footnote = footnotes.find(footnote => footnote.name === name);
+
+				if (footnote) {
+					const number = get_footnote(this.markdown, footnote.references[0], this.options).number;
+					fixups.push({ name: name, url: `#fn-${name}`, tooltip: null, footnote: number });
+					this.pending_footnotes.delete(name);
+				}
+			}
+		}
+		this.has_new_footnotes = false;
+
+		return fixups;
+	}
+
+	/**
+	 * Ends the rendering.
+	 *
+	 * @return {{name: string, url: string, tooltip: string|null, footnote?: number}[]} the last fix-up table,
+	 * placeholders of references and footnotes which are never defined stay as is
+	 */
+	end() {
+		return this.take_fixups();
+	}
+
+	/**
+	 * Renders the footnotes section of the footnotes written so far, it's meant to be called once the rendering has ended.
+	 *
+	 * @return {string} the footnotes section as HTML, or an empty string if no footnote has been written
+	 */
+	render_footnotes() {
+		const footnotes = render_footnotes(this.markdown, this.options);
+		if (!footnotes)
+			return "";
+
+		footnotes.purge_empty_children();
+		return footnotes.html();
+	}
+}
+
+/**
+ * Renders the given fix-up table as a script patching the reference and footnote placeholders which precede it.
+ *
+ * It can be used as the `reference.patch` option of {@link create_render_stream},
+ * as long as the page is allowed to run inline scripts.
+ *
+ * @param {{name: string, url: string, tooltip: string|null, footnote?: number}[]} fixups the fix-up table
+ * @return {string} the patch as HTML
+ * @since 1.8.0
+ */
+export function render_reference_patch(fixups) {
+	// Escapes < so the JSON can never close the script element.
+	const to_table = fixups => JSON.stringify(fixups.map(fixup => [fixup.name, fixup]))
+		.replace(/</g, "\\u003c");
+	const references = to_table(fixups.filter(fixup => fixup.footnote === undefined));
+	const footnotes = to_table(fixups.filter(fixup => fixup.footnote !== undefined));
+
+	return `<script>((references, footnotes) => {
+	const parent = document.currentScript.parentNode;
+	for (const el of parent.querySelectorAll("[data-ref]")) {
+		const fixup = references.get(el.getAttribute("data-ref"));
+		if (!fixup) continue;
+		el.setAttribute(el.tagName === "IMG" ? "src" : "href", fixup.url);
+		if (fixup.tooltip) el.setAttribute("title", fixup.tooltip);
+		el.removeAttribute("data-ref");
+	}
+	for (const el of parent.querySelectorAll("[data-footnote]")) {
+		const fixup = footnotes.get(el.getAttribute("data-footnote"));
+		if (!fixup) continue;
+		el.setAttribute("href", fixup.url);
+		el.textContent = fixup.footnote;
+		el.removeAttribute("data-footnote");
+	}
+})(new Map(${references}), new Map(${footnotes}));</script>\n`;
+}
+
+/**
+ * Creates a stream which renders the Markdown block elements it receives as HTML.
+ *
+ * Each block element is rendered as soon as it is received, see {@link StreamingRenderer}.
+ * References and the table of contents are resolved against `doc` if specified in the options,
+ * else against the document filled by the `md.parser.create_parse_stream` which enqueued the blocks,
+ * else against the blocks received so far.
+ * Once the definition of a reference used earlier arrives, a patch created by the `reference.patch` option is enqueued if it is set,
+ * for example {@link render_reference_patch}, otherwise the placeholders stay as is.
+ * The same goes for the footnotes, whose section is enqueued once the stream ends.
+ *
+ * @param options the render options
+ * @return {TransformStream<md.Node, string>} the render stream
+ * @since 1.8.0
+ */
+export function create_render_stream(options = {}) {
+	const renderer = new StreamingRenderer(options.doc instanceof md.MDDocument ? options.doc : null, options);
+
+	function enqueue_patch(fixups, controller) {
+		if (fixups.length !== 0 && renderer.options.reference.patch) {
+			controller.enqueue(renderer.options.reference.patch(fixups));
+		}
+	}
+
+	return new TransformStream({
+		transform(block, controller) {
+			const doc = renderer.fill_document ? get_stream_document(block) : null;
+			if (doc) {
+				renderer.markdown = doc;
+				renderer.fill_document = false;
+			}
+
+			controller.enqueue(renderer.write(block));
+			enqueue_patch(renderer.take_fixups(), controller);
+		},
+		flush(controller) {
+			enqueue_patch(renderer.end(), controller);
+
+			const footnotes = renderer.render_footnotes();
+			if (footnotes)
+				controller.enqueue(footnotes);
+		}
+	});
+}
+
+const PATCH_STATES = new WeakMap();
+const DOM_NODES = new WeakMap();
+
+function is_same_block(a, b) {
+	return a === b || (a.constructor === b.constructor && a.toString() === b.toString());
+}
+
+function create_dom_nodes(html_doc, node) {
+	let dom_nodes;
+
+	if (node instanceof html.Element) {
+		const element = html_doc.createElement(node.tag.name);
+		node.attributes.forEach(attribute => element.setAttribute(attribute.name, attribute.value()));
+		node.children.forEach(child => create_dom_nodes(html_doc, child).forEach(dom_node => element.appendChild(dom_node)));
+		dom_nodes = [element];
+	} else if (node instanceof html.Comment) {
+		dom_nodes = [html_doc.createComment(node.content)];
+	} else if (/[&<]/.test(node.content)) {
+		// The content is HTML source (escaped or raw), let the DOM parse it.
+		const template = html_doc.createElement("template");
+		template.innerHTML = node.content;
+		dom_nodes = [...template.content.childNodes];
+	} else {
+		dom_nodes = [html_doc.createTextNode(node.content)];
+	}
+
+	DOM_NODES.set(node, dom_nodes);
+	return dom_nodes;
+}
+
+function patch_attributes(element, old_node, new_node) {
+	old_node.attributes.forEach(attribute => {
+		if (!new_node.attributes.find(other => other.name === attribute.name)) {
+			element.removeAttribute(attribute.name);
+		}
+	});
+
+	new_node.attributes.forEach(attribute => {
+		const old_attribute = old_node.attributes.find(other => other.name === attribute.name);
+
+		if (!old_attribute || old_attribute.value() !== attribute.value()) {
+			element.setAttribute(attribute.name, attribute.value());
+		}
+	});
+}
+
+/*
+ * Returns whether the DOM children of the given parent are still the ones created from the given nodes.
+ */
+function is_untouched(parent, nodes) {
+	let count = 0;
+
+	for (const node of nodes) {
+		for (const dom_node of DOM_NODES.get(node)) {
+			if (dom_node.parentNode !== parent) {
+				return false;
+			}
+			count++;
+		}
+	}
+
+	return parent.childNodes.length === count;
+}
+
+function patch_node(html_doc, parent, old_node, new_node, reference) {
+	const dom_nodes = DOM_NODES.get(old_node);
+
+	if (old_node instanceof html.Element && new_node instanceof html.Element) {
+		if (old_node.tag === new_node.tag) {
+			const element = dom_nodes[0];
+			patch_attributes(element, old_node, new_node);
+
+			if (is_untouched(element, old_node.children)) {
+				patch_children(html_doc, element, old_node.children, new_node.children, null);
+			} else {
+				// The children were modified outside of the patch rendering, for example by a syntax highlighter.
+				while (element.firstChild) {
+					element.removeChild(element.firstChild);
+				}
+				patch_children(html_doc, element, [], new_node.children, null);
+			}
+
+			DOM_NODES.set(new_node, dom_nodes);
+			return dom_nodes;
+		}
+	} else if (old_node.constructor === new_node.constructor && !(new_node instanceof html.Element)) {
+		if (old_node.content === new_node.content) {
+			DOM_NODES.set(new_node, dom_nodes);
+			return dom_nodes;
+		} else if (!(new_node instanceof html.Comment) && dom_nodes.length === 1 && dom_nodes[0].nodeType === 3
+			&& !/[&<]/.test(new_node.content)) {
+			// Text node, only its data has to change.
+			dom_nodes[0].data = new_node.content;
+			DOM_NODES.set(new_node, dom_nodes);
+			return dom_nodes;
+		}
+	}
+
+	dom_nodes.forEach(dom_node => parent.removeChild(dom_node));
+
+	const created = create_dom_nodes(html_doc, new_node);
+	created.forEach(dom_node => parent.insertBefore(dom_node, reference));
+	return created;
+}
+
+/*
+ * Patches the DOM children of the given parent which were created from the old nodes so they match the new nodes.
+ * The reference is the DOM node following the old nodes.
+ * Returns the new reference, which is the first DOM node of the new nodes if there is any.
+ */
+function patch_children(html_doc, parent, old_nodes, new_nodes, reference) {
+	// Going backwards, so the DOM node following the current one is always known.
+	for (let i = Math.max(old_nodes.length, new_nodes.length) - 1; i >= 0; i--) {
+		const old_node = old_nodes[i];
+		const new_node = new_nodes[i];
+
+		if (new_node === undefined) {
+			DOM_NODES.get(old_node).forEach(dom_node => parent.removeChild(dom_node));
+			continue;
+		}
+
+		let dom_nodes;
+		if (old_node === undefined) {
+			dom_nodes = create_dom_nodes(html_doc, new_node);
+			dom_nodes.forEach(dom_node => parent.insertBefore(dom_node, reference));
+		} else {
+			dom_nodes = patch_node(html_doc, parent, old_node, new_node, reference);
+		}
+
+		if (dom_nodes.length !== 0) {
+			reference = dom_nodes[0];
+		}
+	}
+
+	return reference;
+}
+
+function get_patch_state(container) {
+	const state = PATCH_STATES.get(container);
+
+	// The container must not have been touched outside of the patch rendering.
+	if (state && is_untouched(container, state.entries.flatMap(entry => entry.nodes))) {
+		return state;
+	}
+
+	while (container.firstChild) {
+		container.removeChild(container.firstChild);
+	}
+
+	return {entries: []};
+}
+
+function render_patch(markdown, html_doc, container, options) {
+	options = prepare_options({...options, parent: null});
+
+	const old_entries = get_patch_state(container).entries;
+	const new_entries = markdown.blocks.map(block => {
+		const parent = html.create_element("div");
+		render_blocks(markdown, [block], parent, options);
+		parent.purge_empty_children();
+		return {block: block, nodes: parent.children};
+	});
+
+	const footnotes = render_footnotes(markdown, options);
+	if (footnotes) {
+		footnotes.purge_empty_children();
+		// The footnotes section is compared as a whole.
+		const source = footnotes.html();
+		new_entries.push({block: {toString: () => source}, nodes: [footnotes]});
+	}
+
+	// Pairs the entries of the common prefix and suffix, then the remaining ones by position.
+	let prefix = 0;
+	while (prefix < old_entries.length && prefix < new_entries.length
+		&& is_same_block(old_entries[prefix].block, new_entries[prefix].block)) {
+		prefix++;
+	}
+
+	let suffix = 0;
+	while (suffix < old_entries.length - prefix && suffix < new_entries.length - prefix
+		&& is_same_block(old_entries[old_entries.length - 1 - suffix].block, new_entries[new_entries.length - 1 - suffix].block)) {
+		suffix++;
+	}
+
+	const pairs = [];
+	const old_middle = old_entries.slice(prefix, old_entries.length - suffix);
+	const new_middle = new_entries.slice(prefix, new_entries.length - suffix);
+	for (let i = 0; i < prefix; i++) {
+		pairs.push([old_entries[i], new_entries[i]]);
+	}
+	for (let i = 0; i < Math.max(old_middle.length, new_middle.length); i++) {
+		pairs.push([old_middle[i], new_middle[i]]);
+	}
+	for (let i = suffix; i > 0; i--) {
+		pairs.push([old_entries[old_entries.length - i], new_entries[new_entries.length - i]]);
+	}
+
+	let reference = null;
+	for (let i = pairs.length - 1; i >= 0; i--) {
+		const [old_entry, new_entry] = pairs[i];
+		reference = patch_children(html_doc, container,
+			old_entry ? old_entry.nodes : [], new_entry ? new_entry.nodes : [], reference);
+	}
+
+	PATCH_STATES.set(container, {entries: new_entries});
+}
 
 /**
  * Renders the markdown document into an HTML DOM node.
  *
+ * With the `patch` option, the previous rendering into the same parent node is updated in place:
+ * the new HTML tree is compared block by block against the previous one and only the differences are applied to the DOM,
+ * which preserves the focus, the selection, the checkbox states, the revealed spoilers or the embedded media.
+ *
  * @param {md.MDDocument} markdown the markdown document
  * @param {Document} html_doc the DOM document
  * @param options
@@ -480,8 +1282,105 @@ export function render(markdown, html_doc, options = {}) {
 		doc_div = html_doc.createElement("div");
 	}
 
+	if (options.patch) {
+		render_patch(markdown, html_doc, doc_div, options);
+		return doc_div;
+	}
+
+	PATCH_STATES.delete(doc_div);
+
 	const element = render_to_html(markdown, options);
 	doc_div.innerHTML = element.inner_html();
 
 	return doc_div;
 }
+
+/**
+ * Represents a reusable Markdown renderer.
+ *
+ * The options are validated and frozen once at construction, each rendering then works on its own state,
+ * so a single renderer can render many documents, including concurrently or from within its own hooks.
+ *
+ * @version 1.8.0
+ * @since 1.8.0
+ */
+export class Renderer {
+	/* Class attributes:
+	options: object;
+	*/
+
+	/**
+	 * @param options the render options
+	 * @throws {Error} if an option is unknown or of the wrong type
+	 */
+	constructor(options = {}) {
+		this.options = compile_options(DEFAULT_OPTIONS, normalize_options(options), "Renderer");
+	}
+
+	/**
+	 * Creates the options of a single rendering, which shares the frozen options.
+	 *
+	 * @param extra the state specific to the rendering
+	 * @return the options of the rendering
+	 */
+	create_context(extra = {}) {
+		return { ...this.options, [COMPLETE_OPTIONS]: true, ...extra };
+	}
+
+	/**
+	 * Renders the markdown document as HTML.
+	 *
+	 * @param {md.MDDocument} markdown the markdown document
+	 * @return {html.Element} the rendered document as a HTML element
+	 */
+	render_to_html(markdown) {
+		return render_to_html(markdown, this.create_context());
+	}
+
+	/**
+	 * Renders the changes between two versions of a markdown document as HTML.
+	 *
+	 * @param {md.MDDocument} old_doc the old markdown document
+	 * @param {md.MDDocument} new_doc the new markdown document
+	 * @return {html.Element} the rendered changes as a HTML element
+	 * @see render_diff_to_html
+	 */
+	render_diff_to_html(old_doc, new_doc) {
+		return render_diff_to_html(old_doc, new_doc, this.create_context());
+	}
+
+	/**
+	 * Renders the markdown document into an HTML DOM node.
+	 *
+	 * @param {md.MDDocument} markdown the markdown document
+	 * @param {Document} html_doc the DOM document
+	 * @return {Element} the DOM node the document is rendered into
+	 * @see render
+	 */
+	render(markdown, html_doc) {
+		return render(markdown, html_doc, this.create_context());
+	}
+
+	/**
+	 * Creates a streaming renderer using the options of this renderer.
+	 *
+	 * @param {md.MDDocument|null} markdown the document against which references and the table of contents are resolved,
+	 * if `null` a document made of the written blocks is used
+	 * @return {StreamingRenderer} the streaming renderer
+	 */
+	create_streaming_renderer(markdown = null) {
+		return new StreamingRenderer(markdown, this.create_context());
+	}
+
+	/**
+	 * Creates a stream which renders the Markdown block elements it receives as HTML.
+	 *
+	 * @param {md.MDDocument|null} doc the document against which references and the table of contents are resolved,
+	 * if `null` the document received before the blocks or the blocks received so far are used
+	 * @return {TransformStream<md.MDDocument|md.Node, string>} the render stream
+	 * @see create_render_stream
+	 */
+	create_render_stream(doc = null) {
+		return create_render_stream(this.create_context({ doc: doc }));
+	}
+}
@@ -0,0 +1,219 @@
+/*
+ * Copyright © 2022 LambdAurora <email@lambdaurora.dev>
+ *
+ * This file is part of lib.md.
+ *
+ * Licensed under the MIT license. For more information,
+ * see the LICENSE file.
+ */
+
+import { get_node_type, walk, Image, InlineHTML, Link, List, MDDocument, Table, TableRow } from "./markdown.mjs";
+
+const SELECTOR_TOKEN_REGEX = /(\s+)|(,)|(>)|(\*|[a-z_][a-z0-9_]*)|\[\s*([a-z_][a-z0-9_]*)\s*(?:(!?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]*))\s*)?\]/iy;
+
+/**
+ * Parses the given selector.
+ *
+ * A selector is a list of complex selectors separated by commas, which are compound selectors separated by combinators,
+ * from the outermost ancestor to the matched node.
+ *
+ * @param {string} selector the selector
+ * @return {{type: string|null, attributes: {name: string, operator: string|null, value: string|null}[], combinator: string|null}[][]}
+ * the complex selectors, each compound selector holds the combinator which links it to the previous one
+ * @throws {Error} if the selector is invalid
+ */
+function parse_selector(selector) {
+	const invalid = index => new Error(`lib.md ;; select(): invalid selector "${selector}" at index ${index}.`);
+
+	const complexes = [];
+	let complex = [];
+	let compound = null;
+	let combinator = null;
+
+	const regex = new RegExp(SELECTOR_TOKEN_REGEX);
+	let index = 0;
+	while (index < selector.length) {
+		regex.lastIndex = index;
+		const token = regex.exec(selector);
+		if (!token)
+			throw invalid(index);
+
+		if (token[1]) {
+			// Whitespaces are a descendant combinator, unless another combinator follows.
+			if (compound)
+				combinator = " ";
+			compound = null;
+		} else if (token[2] || token[3]) {
+			if (complex.length === 0 || combinator === ">")
+				throw invalid(index);
+
+			compound = null;
+			if (token[2]) {
+				complexes.push(complex);
+				complex = [];
+				combinator = null;
+			} else {
+				combinator = ">";
+			}
+		} else {
+			if (!compound) {
+				compound = { type: null, attributes: [], combinator: combinator };
+				complex.push(compound);
+				combinator = null;
+			} else if (token[4]) {
+				// The type comes first.
+				throw invalid(index);
+			}
+
+			if (token[4]) {
+				compound.type = token[4] === "*" ? null : token[4].toLowerCase();
+			} else {
+				const value = token[7] !== undefined ? token[7] : (token[8] !== undefined ? token[8] : token[9]);
+				compound.attributes.push({ name: token[5], operator: token[6] || null, value: token[6] ? value : null });
+			}
+		}
+
+		index = regex.lastIndex;
+	}
+
+	if (complex.length === 0 || combinator === ">")
+		throw invalid(selector.length);
+	complexes.push(complex);
+	return complexes;
+}
+
+// The properties of the JSON representation of the nodes which aren't properties of the nodes themselves,
+// the documents and the plain texts have no type there.
+const JSON_PROPERTIES = {
+	type: node => node instanceof MDDocument || get_node_type(node) === "text" ? undefined : get_node_type(node),
+	url: node => node instanceof Link ? node.ref.url : undefined,
+	tooltip: node => node instanceof Link ? node.ref.tooltip : undefined,
+	title: node => node instanceof Link && !(node instanceof Image) ? node.nodes : undefined,
+	alt: node => node instanceof Image ? node.nodes : undefined,
+	entries: node => node instanceof List ? node.nodes : undefined,
+	rows: node => node instanceof Table ? node.nodes : undefined,
+	columns: node => node instanceof TableRow ? node.nodes : undefined,
+	content: node => node instanceof InlineHTML ? node.nodes : undefined
+};
+
+/**
+ * Returns the value of the given attribute of the node, looked up in the node itself then in its JSON representation.
+ *
+ * @param node the node
+ * @param {string} name the name of the attribute
+ * @return the value of the attribute, or `undefined` if the node doesn't have it
+ */
+function get_attribute(node, name) {
+	if (typeof node !== "object" || node === null)
+		return undefined;
+
+	if (node[name] !== undefined && typeof node[name] !== "function")
+		return node[name];
+
+	if (Object.prototype.hasOwnProperty.call(JSON_PROPERTIES, name))
+		return JSON_PROPERTIES[name](node);
+	return undefined;
+}
+
+function matches_compound(compound, node) {
+	if (compound.type !== null && get_node_type(node) !== compound.type)
+		return false;
+
+	return compound.attributes.every(attribute => {
+		const value = get_attribute(node, attribute.name);
+		if (attribute.operator === null)
+			return value !== undefined && value !== null;
+
+		const equals = value !== undefined && String(value) === attribute.value;
+		return attribute.operator === "=" ? equals : !equals;
+	});
+}
+
+/**
+ * Returns whether the given complex selector matches the node at the given depth of the chain.
+ *
+ * @param {object[]} complex the complex selector
+ * @param {number} index the index of the compound selector to match against the node
+ * @param {object[]} chain the chain of nodes from the root
+ * @param {number} depth the depth of the node in the chain
+ * @return {boolean} `true` if the selector matches, otherwise `false`
+ */
+function matches_complex(complex, index, chain, depth) {
+	const compound = complex[index];
+	if (!matches_compound(compound, chain[depth]))
+		return false;
+	else if (index === 0)
+		return true;
+
+	if (compound.combinator === ">")
+		return depth !== 0 && matches_complex(complex, index - 1, chain, depth - 1);
+
+	for (let parent = depth - 1; parent >= 0; parent--) {
+		if (matches_complex(complex, index - 1, chain, parent))
+			return true;
+	}
+	return false;
+}
+
+function query(root, selector, first_only) {
+	const complexes = parse_selector(selector);
+	const results = [];
+	const chain = [];
+
+	walk(root, {
+		enter(node, context) {
+			if (first_only && results.length !== 0) {
+				context.skip();
+				return;
+			}
+
+			chain.push(node);
+			if (complexes.some(complex => matches_complex(complex, complex.length - 1, chain, chain.length - 1)))
+				results.push({ node: node, parents: chain.slice(0, -1) });
+		},
+		leave() {
+			chain.pop();
+		}
+	});
+
+	return results;
+}
+
+/**
+ * Returns the first node matching the given selector in the document, in document order.
+ *
+ * Selectors are CSS-like, over the node types (as returned by {@link get_node_type}) and their properties:
+ * - `*` matches any node, and a node type like `heading` matches the nodes of that type;
+ * - `[name]` matches the nodes which have the property, `[name=value]` and `[name!=value]` compare its string value,
+ * the value may be quoted, and the properties are looked up in the node then in its JSON representation;
+ * - `a b` matches `b` nodes inside `a` nodes, and `a > b` matches `b` nodes directly inside `a` nodes;
+ * - `a, b` matches either `a` or `b`.
+ *
+ * For example: `heading[level=h2] link`, `block_code[language=sql]` or `list_entry[checked=false]`.
+ *
+ * @param {MDDocument|Node} root the document or node to search in
+ * @param {string} selector the selector
+ * @return {{node: Node, parents: (MDDocument|Node)[]}|null} the matching node with its parent chain from the root,
+ * or `null` if no node matches
+ * @throws {Error} if the selector is invalid
+ * @since 1.8.0
+ */
+export function select(root, selector) {
+	const results = query(root, selector, true);
+	return results.length !== 0 ? results[0] : null;
+}
+
+/**
+ * Returns all the nodes matching the given selector in the document, in document order.
+ *
+ * See {@link select} for the selector syntax.
+ *
+ * @param {MDDocument|Node} root the document or node to search in
+ * @param {string} selector the selector
+ * @return {{node: Node, parents: (MDDocument|Node)[]}[]} the matching nodes with their parent chain from the root
+ * @throws {Error} if the selector is invalid
+ * @since 1.8.0
+ */
+export function select_all(root, selector) {
+	return query(root, selector, false);
+}
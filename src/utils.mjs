@@ -35,12 +35,79 @@ export function merge_objects(source, target) {
 		if (target[key] === undefined) {
 			target[key] = source[key];
 		} else if (typeof target[key] === "object")  {
-			target[key] = merge_objects(source[key], target[key]);
+			const merged = merge_objects(source[key], target[key]);
+			// Only assign when needed, so frozen objects can be merged when complete.
+			if (merged !== target[key])
+				target[key] = merged;
 		}
 	});
 	return target;
 }
 
+function is_plain_object(value) {
+	return value !== null && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function describe_type(value) {
+	return Array.isArray(value) ? "array" : typeof value;
+}
+
+function compile_options_level(defaults, options, owner, path) {
+	if (options !== null && options !== undefined) {
+		for (const key of Object.keys(options)) {
+			if (!Object.prototype.hasOwnProperty.call(defaults, key))
+				throw new Error(`lib.md ;; ${owner}(): unknown option "${path}${key}".`);
+		}
+	}
+
+	const compiled = {};
+	for (const key of Object.keys(defaults)) {
+		const default_value = defaults[key];
+		const value = options === null || options === undefined ? undefined : options[key];
+
+		if (value === undefined) {
+			compiled[key] = is_plain_object(default_value) ? compile_options_level(default_value, null, owner, `${path}${key}.`)
+				: (Array.isArray(default_value) ? Object.freeze(default_value.slice()) : default_value);
+		} else if (default_value === null || (value === null && typeof default_value === "function")) {
+			// Any value is accepted, and foreign objects like modules or DOM nodes are kept as is.
+			// Hooks can also be disabled.
+			compiled[key] = value;
+		} else if (describe_type(value) !== describe_type(default_value)) {
+			throw new Error(`lib.md ;; ${owner}(): option "${path}${key}" should be of type ${describe_type(default_value)}, got ${describe_type(value)}.`);
+		} else if (is_plain_object(default_value) && Object.keys(default_value).length === 0) {
+			// A dictionary, its keys are free.
+			compiled[key] = Object.freeze({...value});
+		} else if (is_plain_object(default_value)) {
+			compiled[key] = compile_options_level(default_value, value, owner, `${path}${key}.`);
+		} else if (Array.isArray(value)) {
+			compiled[key] = Object.freeze(value.slice());
+		} else {
+			compiled[key] = value;
+		}
+	}
+
+	return Object.freeze(compiled);
+}
+
+/**
+ * Compiles options against their default values.
+ *
+ * The options are validated, completed with the default values and frozen, the given options object is left untouched.
+ * An option whose default value is `null` accepts any value, a hook accepts `null`,
+ * an option whose default value is an empty object is a dictionary which accepts any key,
+ * and any other option must be of the same type as its default value.
+ *
+ * @param {Object} defaults the default options
+ * @param {Object} options the options to compile
+ * @param {string} owner the name of the owner of the options, used in error messages
+ * @return {Object} the compiled and frozen options
+ * @throws {Error} if an option is unknown or of the wrong type
+ * @since 1.8.0
+ */
+export function compile_options(defaults, options, owner) {
+	return compile_options_level(defaults, options, owner, "");
+}
+
 /**
  * Clones a regular expression object.
  *
@@ -0,0 +1,76 @@
+import { assertEquals } from "@std/testing/asserts.ts";
+import { md, html } from "../../mod.mjs";
+
+const SOURCE = /*md*/`> [!WARNING]
+> Foxes *bite*.
+> 
+> - Keep your distance
+> - Don't feed them
+
+> [!NOTE] Not an alert.
+`;
+
+function to_json(value: unknown) {
+	return JSON.parse(JSON.stringify(value));
+}
+
+Deno.test("md.parser.parse - alerts", () => {
+	const doc = md.parser.parse(SOURCE);
+
+	const alert = doc.blocks[0] as md.Alert;
+	assertEquals(alert.kind, "warning");
+	assertEquals(alert.nodes.map((block: md.Node) => md.get_node_type(block)), ["paragraph", "list"]);
+	assertEquals(alert.nodes[0].position!.start, { offset: SOURCE.indexOf("Foxes"), line: 2, column: 3 });
+	// The kind has to stand alone on its line.
+	assertEquals(md.get_node_type(doc.blocks[1]), "quote");
+
+	assertEquals(md.get_node_type(md.parser.parse("> [!FOX]\n> Text.").blocks[0]), "quote");
+	assertEquals(md.get_node_type(md.parser.parse(SOURCE, { alert: { enabled: false } }).blocks[0]), "quote");
+});
+
+Deno.test("md.Alert#toString - round-trip", () => {
+	const doc = md.parser.parse(SOURCE);
+	const alert = doc.blocks[0];
+
+	assertEquals(alert.toString(), "> [!WARNING]\n> Foxes *bite*.\n> \n> - Keep your distance\n> - Don't feed them");
+	assertEquals(to_json(md.parser.parse(alert.toString()).blocks), to_json([alert]));
+	assertEquals(to_json(md.MDDocument.from_json(to_json(doc)).blocks), to_json(doc.blocks));
+	assertEquals(to_json(md.from_mdast(md.to_mdast(doc)).blocks), to_json(doc.blocks));
+	assertEquals(md.format(new md.MDDocument().push(alert)), alert.toString() + "\n");
+});
+
+Deno.test("md.parser.parse - custom alert kinds", () => {
+	assertEquals(md.get_alert_kind("WARNING"), { name: "warning", title: "Warning" });
+	assertEquals(md.get_alert_kind("DANGER"), null);
+	assertEquals(md.get_alert_kind("DANGER", ["danger"]), { name: "danger", title: "Danger" });
+
+	const alert = md.parser.parse("> [!DANGER]\n> Wolves.", { alert: { kinds: ["danger"] } }).blocks[0] as md.Alert;
+	assertEquals(md.get_node_type(alert), "alert");
+	assertEquals(alert.kind, "danger");
+	assertEquals(md.render_to_html(new md.MDDocument().push(alert)).html({ prettified: false }).includes(
+		`<div class="alert alert_danger"><p class="alert_title">Danger</p>`
+	), true);
+
+	// The custom kinds are only known by the parsers they're given to.
+	assertEquals(md.get_node_type(md.parser.parse("> [!DANGER]\n> Wolves.").blocks[0]), "quote");
+});
+
+Deno.test("md.render_to_html - alerts", () => {
+	const doc = md.parser.parse(SOURCE);
+
+	assertEquals(md.render_to_html(doc).html({ prettified: false }).includes(
+		`<div class="alert alert_warning"><p class="alert_title">Warning</p><p>Foxes <em>bite</em>.</p><ul>`
+	), true);
+
+	const rendered = md.render_to_html(doc, {
+		alert: {
+			class_name: "callout",
+			titles: { warning: "Careful" },
+			icon: (kind: string) => html.create_element("span").with_attr("class", "icon_" + kind)
+		}
+	}).html({ prettified: false });
+	assertEquals(rendered.includes(`<div class="callout callout_warning"><p class="alert_title"><span class="icon_warning"></span>Careful</p>`), true);
+
+	const renderer = new md.Renderer({ alert: { titles: { warning: "Careful" } } });
+	assertEquals(renderer.render_to_html(doc).html({ prettified: false }).includes(`<p class="alert_title">Careful</p>`), true);
+});
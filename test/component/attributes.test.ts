@@ -0,0 +1,94 @@
+import { assertEquals } from "@std/testing/asserts.ts";
+import { md } from "../../mod.mjs";
+
+const SOURCE = /*md*/`# Setup {#install .big}
+
+See [docs](https://example.org){.external href=evil onclick=alert(1)} and ![cat](cat.png){#pic width=50}.
+
+A paragraph.
+{.note title="A note"}
+
+\`\`\`js {.numbered}
+code
+\`\`\`
+
+\`\`\`{.plain}
+text
+\`\`\`
+
+## Setup
+`;
+
+function to_json(value: unknown) {
+	return JSON.parse(JSON.stringify(value));
+}
+
+Deno.test("md.parser.parse - attributes", () => {
+	const doc = md.parser.parse(SOURCE);
+
+	assertEquals(to_json(doc.blocks[0]), { type: "heading", level: "h1", nodes: ["Setup"], attributes: { id: "install", classes: ["big"], values: {} } });
+	assertEquals(to_json(doc.blocks[1]).nodes[1].attributes, { id: null, classes: ["external"], values: { href: "evil", onclick: "alert(1)" } });
+	assertEquals(to_json(doc.blocks[1]).nodes[3].attributes, { id: "pic", classes: [], values: { width: "50" } });
+	assertEquals(to_json(doc.blocks[2]), { type: "paragraph", nodes: ["A paragraph."], attributes: { id: null, classes: ["note"], values: { title: "A note" } } });
+	assertEquals(to_json(doc.blocks[3]), { type: "block_code", code: "code", language: "js", attributes: { id: null, classes: ["numbered"], values: {} } });
+	assertEquals(to_json(doc.blocks[4]), { type: "block_code", code: "text", language: "", attributes: { id: null, classes: ["plain"], values: {} } });
+	assertEquals(to_json(doc.blocks[5]), { type: "heading", level: "h2", nodes: ["Setup"] });
+
+	// Braces which aren't attributes are kept as text.
+	assertEquals(to_json(md.parser.parse("## Set {up}").blocks[0]).nodes, ["Set {up}"]);
+	// The attributes of a paragraph stand alone on its last line.
+	assertEquals(to_json(md.parser.parse("Write a JS object like {a=1}").blocks[0]), { type: "paragraph", nodes: ["Write a JS object like {a=1}"] });
+	assertEquals(md.render_to_html(md.parser.parse("Write a JS object like {a=1}")).html({ prettified: false }), `<div><p>Write a JS object like {a=1}</p></div>`);
+	assertEquals(to_json(md.parser.parse("{.note}").blocks[0]), { type: "paragraph", nodes: ["{.note}"] });
+
+	const disabled = md.parser.parse(SOURCE, { attributes: false });
+	assertEquals(to_json(disabled.blocks[0]).nodes, ["Setup {#install .big}"]);
+	assertEquals(disabled.blocks.some((block: md.Node) => (block as md.Paragraph).attributes), false);
+});
+
+Deno.test("md.Attributes - round-trip", () => {
+	const doc = md.parser.parse(SOURCE);
+
+	assertEquals(doc.toString(), /*md*/`# Setup {#install .big}
+
+See [docs](https://example.org){.external href=evil onclick=alert(1)} and ![cat](cat.png){#pic width=50}.
+
+A paragraph.
+{.note title="A note"}
+
+\`\`\`js {.numbered}
+code
+\`\`\`
+
+\`\`\`{.plain}
+text
+\`\`\`
+
+## Setup
+`);
+	assertEquals(to_json(md.parser.parse(doc.toString()).blocks), to_json(doc.blocks));
+	assertEquals(to_json(md.parser.parse(md.format(doc)).blocks), to_json(doc.blocks));
+	assertEquals(to_json(md.MDDocument.from_json(to_json(doc)).blocks), to_json(doc.blocks));
+	assertEquals(to_json(md.from_mdast(md.to_mdast(doc)).blocks), to_json(doc.blocks));
+	assertEquals((md.to_mdast(doc) as { children: { data?: object }[] }).children[0].data, { hProperties: { id: "install", className: ["big"] } });
+});
+
+Deno.test("md.Heading#get_id - explicit ids", () => {
+	const doc = md.parser.parse("# Intro\n\n## Usage {#intro}\n");
+	const headings = doc.blocks as md.Heading[];
+
+	assertEquals(headings[1].get_id(), "intro");
+	assertEquals([...doc.get_heading_ids().values()], ["intro-1", "intro"]);
+});
+
+Deno.test("md.render_to_html - attributes", () => {
+	const rendered = md.render_to_html(md.parser.parse(SOURCE)).html({ prettified: false });
+
+	assertEquals(rendered.includes(`<h1 id="install" class="big">Setup</h1>`), true);
+	// URL attributes can't be replaced and event handlers are dropped.
+	assertEquals(rendered.includes(`<a href="https://example.org" class="external">docs</a>`), true);
+	assertEquals(rendered.includes(`id="pic" width="50"`), true);
+	assertEquals(rendered.includes(`<p class="note" title="A note">A paragraph.</p>`), true);
+	assertEquals(rendered.includes(`<pre class="language-js numbered">`), true);
+	assertEquals(rendered.includes(`<h2 id="setup">Setup</h2>`), true);
+});
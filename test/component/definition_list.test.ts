@@ -0,0 +1,51 @@
+import { assertEquals } from "@std/testing/asserts.ts";
+import { md } from "../../mod.mjs";
+
+const SOURCE = /*md*/`Fox
+Red fox
+: A small canid.
+: A cunning person.
+
+Wolf
+: A large canid.
+
+    - Lives in packs
+    - Howls
+`;
+
+function to_json(value: unknown) {
+	return JSON.parse(JSON.stringify(value));
+}
+
+Deno.test("md.parser.parse - definition lists", () => {
+	const doc = md.parser.parse(SOURCE);
+
+	assertEquals(doc.blocks.length, 1);
+	const list = doc.blocks[0] as md.DefinitionList;
+	assertEquals(list.nodes.map((node: md.Node) => md.get_node_type(node)), [
+		"definition_term", "definition_term", "definition_description", "definition_description", "definition_term", "definition_description"
+	]);
+	assertEquals(to_json(list.nodes[0]), { type: "definition_term", nodes: ["Fox"] });
+	assertEquals(to_json(list.nodes[2]), { type: "definition_description", nodes: [{ type: "paragraph", nodes: ["A small canid."] }] });
+	assertEquals((list.nodes[5] as md.DefinitionDescription).nodes.map((block: md.Node) => md.get_node_type(block)), ["paragraph", "list"]);
+	assertEquals(list.nodes[1].position!.start, { offset: SOURCE.indexOf("Red"), line: 2, column: 1 });
+
+	const disabled = md.parser.parse(SOURCE, { definition_list: false });
+	assertEquals(disabled.blocks.some((block: md.Node) => block instanceof md.DefinitionList), false);
+});
+
+Deno.test("md.DefinitionList#toString - round-trip", () => {
+	const doc = md.parser.parse(SOURCE);
+
+	assertEquals(doc.toString(), SOURCE);
+	assertEquals(to_json(md.MDDocument.from_json(to_json(doc)).blocks), to_json(doc.blocks));
+	assertEquals(to_json(md.from_mdast(md.to_mdast(doc)).blocks), to_json(doc.blocks));
+	assertEquals(to_json(md.parser.parse(md.format(doc)).blocks), to_json(doc.blocks));
+});
+
+Deno.test("md.render_to_html - definition lists", () => {
+	const rendered = md.render_to_html(md.parser.parse(SOURCE)).html({ prettified: false });
+
+	assertEquals(rendered.includes("<dl><dt>Fox</dt><dt>Red fox</dt><dd>A small canid.</dd><dd>A cunning person.</dd><dt>Wolf</dt>"), true);
+	assertEquals(rendered.includes("<dd><p>A large canid.</p><ul>"), true);
+});
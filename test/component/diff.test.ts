@@ -0,0 +1,119 @@
+import { assertEquals } from "@std/testing/asserts.ts";
+import { md } from "../../mod.mjs";
+
+const OLD = /*md*/`# Title
+
+Intro [link](https://a.com/) and [reference][fox].
+
+- [ ] First
+- [x] Second
+  - [ ] Nested
+
+| Name | Value |
+|------|-------|
+| fox  | cute  |
+
+Moved paragraph.
+
+Some old text.
+
+[fox]: https://foxrudor.de/
+`;
+
+const NEW = /*md*/`# New title
+
+Moved paragraph.
+
+Intro [link](https://b.com/) and [reference][fox].
+
+- [x] First
+- [x] Second
+  - [x] Nested
+
+| Name | Value |
+|------|-------|
+| fox  | very cute |
+
+A whole new paragraph.
+
+[fox]: https://lambdaurora.dev/
+`;
+
+function summarize(changes: any[]) {
+	return changes.map(change => [change.type, change.old_index, change.new_index]);
+}
+
+Deno.test("md.diff - block changes", () => {
+	const changes = md.diff(md.parser.parse(OLD), md.parser.parse(NEW));
+
+	assertEquals(summarize(changes), [
+		["block_modified", 0, 0],
+		["block_removed", 5, undefined],
+		["block_modified", 1, 2],
+		["block_modified", 2, 3],
+		["block_modified", 3, 4],
+		["block_inserted", undefined, 5]
+	]);
+	assertEquals(md.diff(md.parser.parse(OLD), md.parser.parse(OLD)), []);
+
+	const moved = md.diff(md.parser.parse("A\n\nB\n\nC"), md.parser.parse("C\n\nA\n\nB"));
+	assertEquals(summarize(moved), [["block_moved", 2, 0]]);
+});
+
+Deno.test("md.diff - detailed changes", () => {
+	const changes = md.diff(md.parser.parse(OLD), md.parser.parse(NEW)) as { changes?: object[] }[];
+
+	assertEquals(changes[0].changes, [{ type: "heading_text", old_text: "Title", new_text: "New title" }]);
+	assertEquals(changes[2].changes, [
+		{ type: "link_url", text: "link", old_url: "https://a.com/", new_url: "https://b.com/" },
+		{ type: "link_url", text: "reference", old_url: "https://foxrudor.de/", new_url: "https://lambdaurora.dev/" }
+	]);
+	assertEquals(changes[3].changes, [
+		{ type: "list_entry_checked", path: [0], old_checked: false, new_checked: true },
+		{ type: "list_entry_checked", path: [1, 0, 0], old_checked: false, new_checked: true }
+	]);
+	assertEquals(changes[4].changes, [{ type: "table_cell", row: 1, column: 1, old_text: "cute", new_text: "very cute" }]);
+
+	// The changes can be serialized.
+	const json = JSON.parse(JSON.stringify(changes));
+	assertEquals(json[1].block, { type: "paragraph", nodes: ["Some old text."] });
+	assertEquals(json[0].new_block, { type: "heading", level: "h1", nodes: ["New title"] });
+});
+
+Deno.test("md.render_diff_to_html", () => {
+	const html = md.render_diff_to_html(md.parser.parse("A\n\nB\n\nC\n\nE\n\n# Title"), md.parser.parse("E\n\nA\n\nC\n\nD\n\n# New title"));
+
+	assertEquals(html.html(), `<div>
+	<ins class="moved">
+		<p>
+			E
+		</p>
+	</ins>
+	<p>
+		A
+	</p>
+	<del>
+		<p>
+			B
+		</p>
+	</del>
+	<p>
+		C
+	</p>
+	<del class="moved">
+		<p>
+			E
+		</p>
+	</del>
+	<ins>
+		<p>
+			D
+		</p>
+	</ins>
+	<del><h1 id="title">Title</h1></del>
+	<ins><h1 id="new-title">New title</h1></ins>
+</div>`);
+
+	const renderer = new md.Renderer({ diff: { moved_class_name: "diff_moved" } });
+	assertEquals(renderer.render_diff_to_html(md.parser.parse("A\n\nB"), md.parser.parse("B\n\nA")).html().includes(`<del class="diff_moved">`), true);
+});
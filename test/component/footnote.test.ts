@@ -0,0 +1,114 @@
+import { assertEquals, assertStrictEquals } from "@std/testing/asserts.ts";
+import { md } from "../../mod.mjs";
+
+const SOURCE = /*md*/`Foxes[^fox] and wolves[^Wolf] are canids[^fox], cats aren't[^cat].
+
+[^wolf]: Wolves live in packs.
+[^fox]: Foxes are small.
+
+    - Red foxes
+    - Fennec foxes
+
+    They're cute.
+`;
+
+function to_json(value: unknown) {
+	return JSON.parse(JSON.stringify(value));
+}
+
+Deno.test("md.parser.parse - footnotes", () => {
+	const doc = md.parser.parse(SOURCE, { footnote: true });
+
+	assertEquals(to_json(doc.blocks[0]).nodes, [
+		"Foxes", { type: "footnote_reference", name: "fox" }, " and wolves", { type: "footnote_reference", name: "Wolf" },
+		" are canids", { type: "footnote_reference", name: "fox" }, ", cats aren't", { type: "footnote_reference", name: "cat" }, "."
+	]);
+	assertEquals(to_json(doc.blocks[1]), { type: "footnote_definition", name: "wolf", nodes: [{ type: "paragraph", nodes: ["Wolves live in packs."] }] });
+
+	const fox = doc.blocks[2] as md.FootnoteDefinition;
+	assertEquals(fox.nodes.map((block: md.Node) => md.get_node_type(block)), ["paragraph", "list", "paragraph"]);
+	assertEquals(fox.nodes[2].position!.start, { offset: SOURCE.indexOf("They're"), line: 9, column: 5 });
+
+	// Footnotes are disabled by default.
+	const disabled = md.parser.parse(SOURCE);
+	assertEquals(disabled.blocks.some((block: md.Node) => block instanceof md.FootnoteDefinition), false);
+
+	// The names can't contain brackets.
+	const nested = md.parser.parse("Foxes[^a[^fox].", { footnote: true });
+	assertEquals(to_json(nested.blocks[0]).nodes, ["Foxes[^a", { type: "footnote_reference", name: "fox" }, "."]);
+});
+
+Deno.test("md.FootnoteDefinition#toString - round-trip", () => {
+	const doc = md.parser.parse(SOURCE, { footnote: true });
+
+	assertEquals(doc.toString(), /*md*/`Foxes[^fox] and wolves[^Wolf] are canids[^fox], cats aren't[^cat].
+
+[^wolf]: Wolves live in packs.
+
+[^fox]: Foxes are small.
+
+    - Red foxes
+    - Fennec foxes
+
+    They're cute.
+`);
+	assertEquals(to_json(md.parser.parse(doc.toString(), { footnote: true }).blocks), to_json(doc.blocks));
+	assertEquals(to_json(md.MDDocument.from_json(to_json(doc)).blocks), to_json(doc.blocks));
+	assertEquals(to_json(md.from_mdast(md.to_mdast(doc)).blocks), to_json(doc.blocks));
+});
+
+Deno.test("md.MDDocument#get_footnotes", () => {
+	const doc = md.parser.parse(SOURCE, { footnote: true });
+	const footnotes = doc.get_footnotes();
+
+	assertEquals(footnotes.map((footnote: { name: string }) => footnote.name), ["fox", "wolf"]);
+	assertStrictEquals(footnotes[0].definition, doc.blocks[2]);
+	assertEquals(footnotes[0].references.length, 2);
+});
+
+Deno.test("md.render_to_html - footnotes", () => {
+	const rendered = md.render_to_html(md.parser.parse(SOURCE, { footnote: true })).html({ prettified: false });
+
+	assertEquals(rendered.includes(`Foxes<sup><a href="#fn-fox" id="fnref-fox">1</a></sup>`), true);
+	assertEquals(rendered.includes(`wolves<sup><a href="#fn-wolf" id="fnref-wolf">2</a></sup>`), true);
+	assertEquals(rendered.includes(`canids<sup><a href="#fn-fox" id="fnref-fox-2">1</a></sup>`), true);
+	// Undefined footnotes are kept as text.
+	assertEquals(rendered.includes("[^cat]"), true);
+
+	const section = rendered.substring(rendered.indexOf(`<section class="footnotes">`));
+	assertEquals(section.indexOf(`<li id="fn-fox">`) < section.indexOf(`<li id="fn-wolf">`), true);
+	assertEquals(section.includes(`<a href="#fnref-fox-2" class="footnote_back_reference">↩<sup>2</sup></a>`), true);
+	assertEquals(section.includes(`<a href="#fnref-wolf" class="footnote_back_reference">↩</a>`), true);
+});
+
+Deno.test("md.StreamingRenderer - footnotes", () => {
+	const parser = new md.parser.StreamingParser({ footnote: true });
+	const renderer = new md.StreamingRenderer();
+
+	const html = parser.write("[^wolf]: Wolves live in packs.\n\nFoxes[^fox] and wolves[^wolf].\n\n")
+		.map((block: md.Node) => renderer.write(block)).join("");
+	// The footnote which isn't defined yet is a placeholder, the other one is numbered once written.
+	assertEquals(html.includes(`<sup><a id="fnref-fox" data-footnote="fox">[^fox]</a></sup>`), true);
+	assertEquals(html.includes(`<sup><a href="#fn-wolf" id="fnref-wolf">1</a></sup>`), true);
+	assertEquals(renderer.take_fixups(), []);
+
+	parser.write("[^fox]: Foxes are small.\n\nCanids[^fox].\n").forEach((block: md.Node) => renderer.write(block));
+	assertEquals(renderer.take_fixups(), [{ name: "fox", url: "#fn-fox", tooltip: null, footnote: 2 }]);
+
+	const last = parser.end().map((block: md.Node) => renderer.write(block)).join("");
+	assertEquals(last.includes(`<sup><a href="#fn-fox" id="fnref-fox-2">2</a></sup>`), true);
+	assertEquals(renderer.end(), []);
+
+	const section = renderer.render_footnotes();
+	assertEquals(section.indexOf(`<li id="fn-wolf">`) < section.indexOf(`<li id="fn-fox">`), true);
+	assertEquals(section.includes(`<a href="#fnref-fox-2" class="footnote_back_reference">`), true);
+});
+
+Deno.test("md.create_render_stream - footnotes", async () => {
+	const doc = md.parser.parse("Foxes[^fox].\n\n[^fox]: Foxes are small.\n", { footnote: true });
+	const parts = await Array.fromAsync(ReadableStream.from([...doc.blocks]).pipeThrough(md.create_render_stream()));
+
+	// The footnotes section is enqueued once the stream ends.
+	assertEquals(parts.length, 3);
+	assertEquals(parts[2].startsWith(`<section class="footnotes">`), true);
+});
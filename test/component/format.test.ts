@@ -0,0 +1,101 @@
+import { assertEquals, assertThrows } from "@std/testing/asserts.ts";
+import { md } from "../../mod.mjs";
+
+const SOURCE = /*md*/`# Title
+
+Some *italic*, _more_ and __under__ **bold** text.
+
+* one
+* two
+  + nested
+
+3. a
+4. b
+
+| Name | Value |
+|:-----|------:|
+| a | 1 |
+| long name | 22 |
+`;
+
+Deno.test("md.format with default options", () => {
+	assertEquals(md.format(md.parser.parse(SOURCE)), /*md*/`# Title
+
+Some *italic*, *more* and __under__ **bold** text.
+
+- one
+- two
+  - nested
+
+3. a
+4. b
+
+| Name      | Value |
+|:----------|------:|
+| a         |     1 |
+| long name |    22 |
+`);
+});
+
+Deno.test("md.format with custom options", () => {
+	const options = { bullet: "*", emphasis: "_", ordered_numbering: "constant", align_tables: false, blank_lines: 2 };
+
+	assertEquals(md.format(md.parser.parse(SOURCE), options), /*md*/`# Title
+
+
+Some _italic_, _more_ and __under__ **bold** text.
+
+
+* one
+* two
+  * nested
+
+
+3. a
+3. b
+
+
+| Name | Value |
+|:----|----:|
+| a | 1 |
+| long name | 22 |
+`);
+});
+
+Deno.test("md.format wraps paragraphs", () => {
+	const doc = md.parser.parse("The quick brown fox jumps over the lazy dog.\n\n- The quick brown fox jumps over the lazy dog.");
+
+	assertEquals(md.format(doc, { line_width: 16 }), "The quick brown\nfox jumps over\nthe lazy dog.\n\n- The quick\n  brown fox\n  jumps over the\n  lazy dog.\n");
+	assertEquals(md.format(md.parser.parse("A line  \nbreak."), { line_width: 80 }), "A line  \nbreak.\n");
+});
+
+Deno.test("md.format escapes text", () => {
+	const doc = new md.MDDocument().push(new md.Paragraph(["1. not a list, *not italic* and # not heading"]));
+
+	assertEquals(md.format(doc), "1\\. not a list, \\*not italic\\* and # not heading\n");
+	assertEquals(md.parser.parse(md.format(doc)).blocks, doc.blocks);
+});
+
+Deno.test("md.format is stable", async () => {
+	const source = await Deno.readTextFile("./test/list.md");
+
+	for (const options of [{}, { line_width: 40, bullet: "*", emphasis: "_" }, { align_tables: false, blank_lines: 2 }]) {
+		const once = md.format(md.parser.parse(source), options);
+		assertEquals(md.format(md.parser.parse(once), options), once);
+	}
+
+	// The whitespaces before a trailing linebreak, like after unterminated inline code, don't pile up.
+	for (const options of [{}, { line_width: 40 }]) {
+		const once = md.format(md.parser.parse("Some `unterminated code  "), options);
+		assertEquals(once, "Some `unterminated code  \n");
+		assertEquals(md.format(md.parser.parse(once), options), once);
+	}
+});
+
+Deno.test("md.format rejects invalid options", () => {
+	const doc = md.parser.parse(SOURCE);
+
+	assertThrows(() => md.format(doc, { bullet: "#" }), Error, "option \"bullet\"");
+	assertThrows(() => md.format(doc, { line_width: -1 }), Error, "option \"line_width\"");
+	assertThrows(() => md.format(doc, { blank_lines: 0 }), Error, "option \"blank_lines\"");
+});
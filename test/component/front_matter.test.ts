@@ -0,0 +1,90 @@
+import { assertEquals, assertThrows } from "@std/testing/asserts.ts";
+import { md } from "../../mod.mjs";
+
+const SOURCE = /*md*/`---
+title: Foxes
+tags: [canids, "red, arctic"]
+author:
+  name: Fox
+  links:
+    - https://example.com
+---
+
+# Foxes
+`;
+
+function to_json(value: unknown) {
+	return JSON.parse(JSON.stringify(value));
+}
+
+Deno.test("md.parser.parse - YAML front matter", () => {
+	const doc = md.parser.parse(SOURCE);
+
+	assertEquals(md.get_node_type(doc.blocks[0]), "front_matter");
+	assertEquals(doc.blocks[0].position!.end, { offset: SOURCE.indexOf("\n\n"), line: 8, column: 4 });
+	assertEquals(doc.front_matter, "title: Foxes\ntags: [canids, \"red, arctic\"]\nauthor:\n  name: Fox\n  links:\n    - https://example.com");
+	assertEquals(doc.metadata, { title: "Foxes", tags: ["canids", "red, arctic"], author: { name: "Fox", links: ["https://example.com"] } });
+	assertEquals(md.get_node_type(doc.blocks[1]), "heading");
+
+	assertEquals(doc.toString(), SOURCE);
+	assertEquals(to_json(md.MDDocument.from_json(to_json(doc)).blocks), to_json(doc.blocks));
+	assertEquals(to_json(md.from_mdast(md.to_mdast(doc)).blocks), to_json(doc.blocks));
+	assertEquals(md.render_to_html(doc).html({ prettified: false }), `<div><h1 id="foxes">Foxes</h1></div>`);
+});
+
+Deno.test("md.parser.parse - TOML front matter", () => {
+	const doc = md.parser.parse("+++\ntitle = \"Foxes\"\ncount = 1_000\n\n[author]\nname = 'Fox'\n+++\nText.");
+
+	assertEquals(doc.metadata, { title: "Foxes", count: 1000, author: { name: "Fox" } });
+	assertEquals((doc.blocks[0] as md.FrontMatter).format, "toml");
+});
+
+Deno.test("md.parser.parse - front matter detection", () => {
+	// Only at the very start of the document, and once closed.
+	assertEquals(md.parser.parse("Text.\n\n---\ntitle: Foxes\n---\n").front_matter, null);
+	assertEquals(md.parser.parse("> ---\n> title: Foxes\n> ---\n").front_matter, null);
+	assertEquals(md.parser.parse("---\ntitle: Foxes\n").blocks.map((block: md.Node) => md.get_node_type(block)), ["horizontal_rule", "paragraph"]);
+	assertEquals(md.parser.parse(SOURCE, { front_matter: { enabled: false } }).front_matter, null);
+
+	// Invalid metadata is parsed like the rest of the document.
+	const invalid = md.parser.parse("---\nHello world\n---\n\nText");
+	assertEquals(invalid.front_matter, null);
+	assertEquals(invalid.diagnostics[0].type, "front_matter");
+	assertEquals(md.render_to_html(invalid).html({ prettified: false }), `<div><hr /><p>Hello world</p><hr /><p>Text</p></div>`);
+});
+
+Deno.test("md.parser.parse - custom front matter format", () => {
+	const formats = { json: { fence: ";;;", parse: JSON.parse } };
+	const doc = md.parser.parse(";;;\n{ \"title\": \"Foxes\" }\n;;;\n", { front_matter: { formats: formats } });
+
+	assertEquals(doc.metadata, { title: "Foxes" });
+	assertEquals(new md.Parser({ front_matter: { formats: formats } }).parse(";;;\n{}\n;;;").metadata, {});
+	assertEquals(doc.toString(), ";;;\n{ \"title\": \"Foxes\" }\n;;;\n");
+});
+
+Deno.test("md.parse_yaml", () => {
+	assertEquals(md.parse_yaml("# Comment\ndraft: false\nratio: 1.5\nempty:\nlist:\n- 'it''s'\n- name: a\n  value: 1\ntext: |\n  a\n  b\nfolded: >-\n  a\n  b\n"), {
+		draft: false, ratio: 1.5, empty: null, list: ["it's", { name: "a", value: 1 }], text: "a\nb\n", folded: "a b"
+	});
+	assertThrows(() => md.parse_yaml("{ a: 1 }"), Error, "unsupported YAML");
+
+	assertEquals(md.parse_yaml("a: 'x' # c\nb: \"y\" # d\nc: [1, [2, 3], 'a, b'] # e"), { a: "x", b: "y", c: [1, [2, 3], "a, b"] });
+	assertThrows(() => md.parse_yaml("a: {b: 1}"), Error, "unsupported YAML");
+	assertThrows(() => md.parse_yaml("a: &x 1"), Error, "unsupported YAML");
+	assertThrows(() => md.parse_yaml("a: [1, 2"), Error, "unsupported YAML");
+});
+
+Deno.test("md.parse_yaml - prototype keys", () => {
+	const metadata = md.parse_yaml("__proto__:\n  a: 1\nb: 2");
+
+	assertEquals(Object.getPrototypeOf(metadata), Object.prototype);
+	assertEquals(JSON.stringify(metadata), `{"__proto__":{"a":1},"b":2}`);
+	assertEquals(JSON.stringify(md.parse_toml("[__proto__]\na = 1")), `{"__proto__":{"a":1}}`);
+});
+
+Deno.test("md.parse_toml", () => {
+	assertEquals(md.parse_toml("a.b = [1, 2.5, true]\nc = { d = \"\\u0041\" }\n\n[[e]]\nf = 1\n[[e]]\nf = 2 # comment\n"), {
+		a: { b: [1, 2.5, true] }, c: { d: "A" }, e: [{ f: 1 }, { f: 2 }]
+	});
+	assertThrows(() => md.parse_toml("a = 1\na = 2"), Error, "defined twice");
+});
@@ -0,0 +1,69 @@
+import { assertEquals, assertStrictEquals, assertThrows } from "@std/testing/asserts.ts";
+import { md } from "../../mod.mjs";
+
+const SOURCE = /*md*/`# Title with :fox::skin-tone-2:
+
+Some *text* with \`code\`, a [link](https://foxrudor.de/ "Foxes")  
+and a [reference][fox] <!-- a comment -->.
+
+---
+
+1. [x] Done
+2. [ ] Todo
+   - Nested ==entry==
+
+| Left | Center | Right |
+|:-----|:------:|------:|
+| *a*  | **b**  | ~~c~~ |
+
+> Quote ||spoiler||
+
+\`\`\`js
+const fox = true;
+\`\`\`
+
+[fox]: https://foxrudor.de/ "Foxes"
+`;
+
+const OPTIONS = { emoji: { dictionary: ["fox"] } };
+
+Deno.test("md.MDDocument.from_json - round trip", () => {
+	const doc = md.parser.parse(SOURCE, OPTIONS);
+
+	assertEquals(md.MDDocument.from_json(doc.toJSON()), doc);
+	assertEquals(md.MDDocument.from_json(JSON.parse(JSON.stringify(doc))), doc);
+	assertEquals(md.MDDocument.from_json(doc.toJSON()).toString(), doc.toString());
+
+	const table = md.MDDocument.from_json(doc.toJSON()).blocks[4] as md.Table;
+	assertStrictEquals(table.alignments[2], md.TableAlignments.RIGHT);
+	assertStrictEquals(table.nodes[1].table, table);
+	assertStrictEquals(table.nodes[1].nodes[0].row, table.nodes[1]);
+});
+
+Deno.test("md.MDDocument.from_json - positions", () => {
+	const doc = md.parser.parse(SOURCE, OPTIONS);
+	const json = doc.toJSON({ positions: true });
+	const restored = md.MDDocument.from_json(json);
+
+	assertEquals(restored.toJSON({ positions: true }), json);
+	assertEquals(restored.blocks[1].position, doc.blocks[1].position);
+	assertEquals(restored.blocks[2].position, doc.blocks[2].position);
+	// Positions are only restored when present.
+	assertEquals(md.MDDocument.from_json(JSON.parse(JSON.stringify(doc))).blocks[0].position, null);
+});
+
+Deno.test("md.MDDocument.from_json - legacy comments", () => {
+	// As serialized by lib.md 1.7.
+	const json = {
+		blocks: [{ type: "paragraph", nodes: ["Some ", { type: "italic", nodes: ["text"] }, " ", { nodes: ["a comment"] }, " here."] }],
+		references: []
+	};
+	const doc = md.MDDocument.from_json(json);
+
+	assertEquals((doc.blocks[0] as md.Paragraph).nodes[3] instanceof md.Comment, true);
+	assertEquals(doc, md.parser.parse("Some *text* <!-- a comment --> here.\n"));
+});
+
+Deno.test("md.MDDocument.from_json - unknown nodes", () => {
+	assertThrows(() => md.MDDocument.from_json({ blocks: [{ type: "unknown" }], references: [] }), Error, "unknown node");
+});
@@ -0,0 +1,96 @@
+import { assertEquals, assertThrows } from "@std/testing/asserts.ts";
+import { md } from "../../mod.mjs";
+
+const SOURCE = /*md*/`# Title with :fox:
+
+Some *text* with \`code\`, a [link](https://foxrudor.de/ "Foxes")  
+and a [reference][fox] <!-- a comment -->.
+
+---
+
+1. [x] Done
+2. [ ] Todo
+   - Nested ==entry==
+
+| Left | Center | None |
+|:-----|:------:|------|
+| *a*  | **b**  | ~~c~~ |
+
+> Quote ||spoiler||
+
+\`\`\`js
+const fox = true;
+\`\`\`
+
+[fox]: https://foxrudor.de/ "Foxes"
+`;
+
+const OPTIONS = { emoji: { dictionary: ["fox"] } };
+
+type MdastNode = { type: string, children: MdastNode[], [key: string]: unknown };
+
+Deno.test("md.to_mdast - tree", () => {
+	// Rebuilt from plain JSON to leave the positions out.
+	const tree = md.to_mdast(md.MDDocument.from_json(JSON.parse(JSON.stringify(md.parser.parse(SOURCE, OPTIONS))))) as MdastNode;
+
+	assertEquals(tree.type, "root");
+	assertEquals(tree.children.map(node => node.type),
+		["heading", "paragraph", "thematicBreak", "list", "table", "blockquote", "code", "definition"]);
+	assertEquals(tree.children[0].depth, 1);
+	assertEquals(tree.children[0].children[1], { type: "emoji", name: "fox", skinTone: null });
+
+	const paragraph = tree.children[1];
+	assertEquals(paragraph.children[1], { type: "emphasis", children: [{ type: "text", value: "text" }] });
+	assertEquals(paragraph.children[6].type, "break");
+	assertEquals(paragraph.children[8], {
+		type: "linkReference", identifier: "fox", label: "fox", referenceType: "full",
+		children: [{ type: "text", value: "reference" }]
+	});
+	assertEquals(paragraph.children[10], { type: "html", value: "<!--a comment-->" });
+
+	const list = tree.children[3];
+	assertEquals([list.ordered, list.start], [true, 1]);
+	assertEquals(list.children.map(item => item.checked), [true, false]);
+	assertEquals(list.children[1].children[1].children[0].children[0].children[1].type, "highlight");
+
+	assertEquals(tree.children[4].align, ["left", "center", null]);
+	assertEquals(tree.children[5].children[0].children[1].type, "spoiler");
+	assertEquals(tree.children[6], { type: "code", lang: "js", meta: null, value: "const fox = true;" });
+	assertEquals(tree.children[7], { type: "definition", identifier: "fox", label: "fox", url: "https://foxrudor.de/", title: "Foxes" });
+});
+
+Deno.test("md.from_mdast - round trip", () => {
+	const doc = md.parser.parse(SOURCE, OPTIONS);
+
+	assertEquals(md.from_mdast(md.to_mdast(doc)), doc);
+	assertEquals(md.from_mdast(JSON.parse(JSON.stringify(md.to_mdast(doc)))).toString(), doc.toString());
+});
+
+Deno.test("md.from_mdast - empty image alternative text", () => {
+	const doc = md.from_mdast({ type: "root", children: [{ type: "paragraph", children: [{ type: "image", url: "cat.png", alt: "" }] }] });
+	const image = (doc.blocks[0] as md.Paragraph).nodes[0] as md.Image;
+
+	assertEquals(image.nodes, []);
+	assertEquals(image.toString(), "![](cat.png)");
+	assertEquals((md.to_mdast(doc) as MdastNode).children[0].children[0], { type: "image", url: "cat.png", title: null, alt: "" });
+});
+
+Deno.test("md.to_mdast - positions", () => {
+	const doc = md.parser.parse("Some *text*.\n\n---\n");
+	const tree = md.to_mdast(doc) as MdastNode;
+
+	assertEquals(tree.children[0].position, {
+		start: { offset: 0, line: 1, column: 1 },
+		end: { offset: 12, line: 1, column: 13 }
+	});
+	assertEquals(tree.children[0].children[1].position, doc.blocks[0].nodes[1].position);
+	assertEquals(md.from_mdast(tree).blocks[0].position, doc.blocks[0].position);
+	// The horizontal rules are shared, so they have no position.
+	assertEquals(tree.children[1].position, undefined);
+});
+
+Deno.test("md.from_mdast - unsupported nodes", () => {
+	assertThrows(() => md.from_mdast({ type: "paragraph", children: [] }), Error, "expected a root node");
+	assertThrows(() => md.from_mdast({ type: "root", children: [{ type: "mdxjsEsm", value: "import a from \"b\"" }] }),
+		Error, "unsupported mdast node type \"mdxjsEsm\"");
+});
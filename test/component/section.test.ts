@@ -0,0 +1,73 @@
+import { assertEquals, assertStrictEquals, assertThrows } from "@std/testing/asserts.ts";
+import { md } from "../../mod.mjs";
+
+const SOURCE = /*md*/`Preamble.
+
+# lib.md
+
+Introduction.
+
+## Installation
+
+Run it.
+
+### Deno
+
+Import it.
+
+## Usage
+
+Use it.
+
+# Other
+`;
+
+function headings(doc: md.MDDocument) {
+	return doc.blocks.filter((block: md.Node) => block instanceof md.Heading).map((block: md.Node) => (block as md.Heading).as_plain_text());
+}
+
+Deno.test("md.MDDocument#sections", () => {
+	const doc = md.parser.parse(SOURCE);
+	const root = doc.sections();
+
+	assertEquals(root.heading, null);
+	assertEquals(root.blocks.map((block: md.Node) => block.toString()), ["Preamble."]);
+	assertEquals(root.children.map((section: md.Section) => section.heading!.as_plain_text()), ["lib.md", "Other"]);
+
+	const lib = root.children[0];
+	assertEquals(lib.blocks.map((block: md.Node) => block.toString()), ["Introduction."]);
+	assertEquals(lib.children.map((section: md.Section) => section.heading!.as_plain_text()), ["Installation", "Usage"]);
+	assertEquals(lib.children[0].children[0].get_level(), 3);
+	assertEquals([lib.start, lib.end], [1, 9]);
+	assertEquals(lib.children[0].get_all_blocks(), doc.blocks.slice(3, 7));
+});
+
+Deno.test("md.MDDocument#get_section", () => {
+	const doc = md.parser.parse(SOURCE);
+
+	assertStrictEquals(doc.get_section("installation")!.heading, doc.blocks[3]);
+	assertStrictEquals(doc.get_section("lib.md")!.heading, doc.blocks[1]);
+	assertStrictEquals(doc.get_section("libmd")!.heading, doc.blocks[1]);
+	assertEquals(doc.get_section("Unknown"), null);
+});
+
+Deno.test("md.MDDocument - editing sections", () => {
+	let doc = md.parser.parse(SOURCE);
+	const extracted = doc.extract_section("Installation");
+	assertEquals(headings(extracted), ["Installation", "Deno"]);
+	assertEquals(headings(doc), ["lib.md", "Usage", "Other"]);
+
+	doc = md.parser.parse(SOURCE);
+	doc.replace_section("usage", md.parser.parse("## Examples\n\nSee the examples."));
+	assertEquals(headings(doc), ["lib.md", "Installation", "Deno", "Examples", "Other"]);
+
+	doc = md.parser.parse(SOURCE);
+	doc.move_section("usage", "installation");
+	assertEquals(headings(doc), ["lib.md", "Usage", "Installation", "Deno", "Other"]);
+	doc.move_section("lib.md", "other", true);
+	assertEquals(headings(doc), ["Other", "lib.md", "Usage", "Installation", "Deno"]);
+	assertEquals(doc.blocks[0].toString(), "Preamble.");
+
+	assertThrows(() => doc.move_section("lib.md", "deno"), Error, "cannot move a section next to itself");
+	assertThrows(() => doc.extract_section("unknown"), Error, "unknown section \"unknown\"");
+});
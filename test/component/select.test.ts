@@ -0,0 +1,60 @@
+import { assertEquals, assertStrictEquals, assertThrows } from "@std/testing/asserts.ts";
+import { md } from "../../mod.mjs";
+
+const doc = md.parser.parse(/*md*/`# Title [home](https://foxrudor.de/)
+
+## Section with [a link](https://a.b/) and [another](https://c.d/)
+
+\`\`\`sql
+SELECT * FROM foxes;
+\`\`\`
+
+- [ ] todo
+- [x] done
+  - [ ] nested todo
+`);
+
+Deno.test("md.select_all - types, properties and combinators", () => {
+	const types = (selector: string) => md.select_all(doc, selector).map(result => md.get_node_type(result.node));
+	const strings = (selector: string) => md.select_all(doc, selector).map(result => result.node.toString());
+
+	assertEquals(strings("heading[level=h2] link"), ["[a link](https://a.b/)", "[another](https://c.d/)"]);
+	assertEquals(strings("link[url=\"https://c.d/\"]"), ["[another](https://c.d/)"]);
+	assertEquals(types("block_code[language=sql]"), ["block_code"]);
+	assertEquals(types("block_code[language=js]"), []);
+	assertEquals(strings("list_entry[checked=false] > paragraph"), ["todo", "nested todo"]);
+	assertEquals(strings("list_entry[checked!=false] > paragraph"), ["done"]);
+	assertEquals(types("document > list > list_entry"), ["list_entry", "list_entry"]);
+	assertEquals(types("heading, block_code"), ["heading", "heading", "block_code"]);
+	assertEquals(md.select_all(doc, "*[url]").length, 3);
+	assertEquals(types("*[type=list_entry][checked=true]"), ["list_entry"]);
+});
+
+Deno.test("md.select_all - properties don't serialize the nodes", () => {
+	const serialized = md.parser.parse("Some [link](https://a.b/) and a table.\n\n| a |\n|:-:|\n| b |\n");
+	md.walk(serialized, {
+		enter: (node: md.Node) => {
+			(node as md.Node & { toJSON: () => never }).toJSON = () => {
+				throw new Error("serialized");
+			};
+		}
+	});
+
+	assertEquals(md.select_all(serialized, "link[url=\"https://a.b/\"]").length, 1);
+	assertEquals(md.select_all(serialized, "table[rows] > table_row[columns]").length, 2);
+});
+
+Deno.test("md.select - first match with its parent chain", () => {
+	const result = md.select(doc, "list list paragraph")!;
+
+	assertEquals(result.node.toString(), "nested todo");
+	assertStrictEquals(result.parents[0], doc);
+	assertEquals(result.parents.map(parent => md.get_node_type(parent)), ["document", "list", "list_entry", "list", "list_entry"]);
+	assertEquals(md.select(doc, "table"), null);
+});
+
+Deno.test("md.select - invalid selectors", () => {
+	for (const selector of ["", "> heading", "heading >", "heading,,link", "heading[level", "[level=h1]heading"]) {
+		assertThrows(() => md.select(doc, selector), Error, "invalid selector");
+	}
+});
@@ -0,0 +1,69 @@
+import { assertEquals } from "@std/testing/asserts.ts";
+import { md } from "../../mod.mjs";
+
+Deno.test("md.Slugger - GitHub-compatible identifiers", () => {
+	assertEquals(md.Slugger.slugify("Hello, World!"), "hello-world");
+	assertEquals(md.Slugger.slugify("lib.md"), "libmd");
+	assertEquals(md.Slugger.slugify("C++ & Rust"), "c--rust");
+	assertEquals(md.Slugger.slugify("snake_case and kebab-case"), "snake_case-and-kebab-case");
+	assertEquals(md.Slugger.slugify("Ça va? Très bien 🦊"), "ça-va-très-bien-");
+
+	const slugger = new md.Slugger();
+	assertEquals(["Fox", "Fox", "Fox 1", "Fox"].map(text => slugger.slug(text)), ["fox", "fox-1", "fox-1-1", "fox-2"]);
+	assertEquals(slugger.reset().slug("Fox"), "fox");
+});
+
+const SOURCE = /*md*/`# Foxes
+
+[[ToC]]
+
+## Usage
+
+### Notes
+
+## Usage
+
+### Notes
+`;
+
+Deno.test("md.TableOfContents - links match the heading identifiers", () => {
+	const doc = md.parser.parse(SOURCE);
+
+	assertEquals([...doc.get_heading_ids().values()], ["foxes", "usage", "notes", "usage-1", "notes-1"]);
+
+	const toc = (doc.blocks[1] as md.TableOfContents).as_list(doc);
+	assertEquals(toc.toString(), "1. [Usage](#usage)\n    1. [Notes](#notes)\n2. [Usage](#usage-1)\n    1. [Notes](#notes-1)");
+
+	const rendered = md.render_to_html(doc).html();
+	for (const id of ["usage", "notes", "usage-1", "notes-1"]) {
+		assertEquals(rendered.includes(`id="${id}"`), true);
+		assertEquals(rendered.includes(`href="#${id}"`), true);
+	}
+});
+
+Deno.test("md.Renderer - custom slugger", () => {
+	class PrefixSlugger extends md.Slugger {
+		override slug(text: string) {
+			return "section-" + super.slug(text);
+		}
+	}
+
+	const renderer = new md.Renderer({ heading: { slugger: () => new PrefixSlugger() } });
+	const rendered = renderer.render_to_html(md.parser.parse(SOURCE)).html();
+	assertEquals(rendered.includes(`<h2 id="section-usage-1">Usage</h2>`), true);
+	assertEquals(rendered.includes(`href="#section-usage-1"`), true);
+});
+
+Deno.test("md.StreamingRenderer - heading identifiers", () => {
+	const parser = new md.parser.StreamingParser();
+	const renderer = new md.StreamingRenderer(parser.doc);
+
+	let rendered = "";
+	for (const chunk of ["# Foxes\n\n## Usage\n\n", "## Usage\n\n> ## Usage\n\n", "## Notes {#usage-3}\n\n## Usage\n"]) {
+		parser.write(chunk).forEach(block => rendered += renderer.write(block));
+	}
+	parser.end().forEach(block => rendered += renderer.write(block));
+
+	// The identifiers of the headings already written don't change.
+	assertEquals([...rendered.matchAll(/id="([^"]*)"/g)].map(match => match[1]), ["foxes", "usage", "usage-1", "usage-2", "usage-3", "usage-4"]);
+});
@@ -1,4 +1,4 @@
-import {assertEquals, assertInstanceOf} from "@std/testing/asserts.ts";
+import {assertEquals, assertInstanceOf, assertStrictEquals, assertThrows} from "@std/testing/asserts.ts";
 import {md} from "../../mod.mjs";
 
 const table = new md.Table();
@@ -34,3 +34,106 @@ Deno.test("md.Table parse", () => {
 	assertInstanceOf(doc.blocks[0], md.Table);
 	assertEquals(doc.blocks[0].toJSON(), table.toJSON());
 });
+
+function create_table() {
+	const table = new md.Table();
+	table.push_column("Name", ["fox", "wolf", "cat"]);
+	table.push_column("Legs", ["4", "4", "4"], md.TableAlignments.RIGHT);
+	table.push_column("Size", ["12", "100", "9"], md.TableAlignments.CENTER);
+	return table;
+}
+
+function cells(table: md.Table) {
+	return table.nodes.map((row: md.TableRow) => row.nodes.map((entry: md.TableEntry) => entry.toString()));
+}
+
+function assert_back_references(table: md.Table) {
+	table.nodes.forEach((row: md.TableRow) => {
+		assertStrictEquals(row.table, table);
+		row.nodes.forEach((entry: md.TableEntry) => assertStrictEquals(entry.row, row));
+	});
+}
+
+Deno.test("md.Table - cells", () => {
+	const table = create_table();
+
+	assertEquals(table.get_row_count(), 4);
+	assertEquals(table.get_column_count(), 3);
+	assertEquals(table.get_cell(0, 1)!.toString(), "Legs");
+	assertEquals(table.get_cell(2, 0)!.toString(), "wolf");
+	assertEquals(table.get_cell(4, 0), null);
+
+	const entry = table.set_cell(1, 4, new md.Bold("red"));
+	assertStrictEquals(table.get_cell(1, 4), entry);
+	assertEquals(cells(table)[1], ["fox", "4", "12", "", "**red**"]);
+	assertEquals(table.get_column_count(), 5);
+	assert_back_references(table);
+
+	// An entry of another cell is moved.
+	const moved = table.set_cell(2, 1, table.get_cell(1, 4)!);
+	assertStrictEquals(moved, entry);
+	assertEquals(cells(table).slice(1, 3), [["fox", "4", "12", "", ""], ["wolf", "**red**", "100"]]);
+	assert_back_references(table);
+
+	assertThrows(() => table.set_cell(4, 0, "nope"), Error, "out of bounds");
+});
+
+Deno.test("md.Table - rows", () => {
+	const table = create_table();
+
+	const row = table.insert_row(2, ["dog", "4", "50"]);
+	assertStrictEquals(table.nodes[2], row);
+	table.move_row(4, 1);
+	assertEquals(cells(table).map((row: string[]) => row[0]), ["Name", "cat", "fox", "dog", "wolf"]);
+
+	const removed = table.remove_row(3);
+	assertEquals(removed.table, null);
+	assertEquals(cells(table).map((row: string[]) => row[0]), ["Name", "cat", "fox", "wolf"]);
+	assert_back_references(table);
+
+	assertThrows(() => table.move_row(0, 4), Error, "out of bounds");
+});
+
+Deno.test("md.Table - columns", () => {
+	const table = create_table();
+
+	table.insert_column(1, "Color", ["red", "grey"], md.TableAlignments.LEFT);
+	assertEquals(cells(table), [["Name", "Color", "Legs", "Size"], ["fox", "red", "4", "12"], ["wolf", "grey", "4", "100"], ["cat", "", "4", "9"]]);
+	assertEquals(table.alignments,
+		[md.TableAlignments.NONE, md.TableAlignments.LEFT, md.TableAlignments.RIGHT, md.TableAlignments.CENTER]);
+
+	table.move_column(3, 0);
+	assertEquals(cells(table)[0], ["Size", "Name", "Color", "Legs"]);
+	assertEquals(table.alignments,
+		[md.TableAlignments.CENTER, md.TableAlignments.NONE, md.TableAlignments.LEFT, md.TableAlignments.RIGHT]);
+
+	const removed = table.remove_column(2);
+	assertEquals(removed.map(entry => entry!.toString()), ["Color", "red", "grey", ""]);
+	removed.forEach(entry => assertEquals(entry!.row, null));
+	assertEquals(cells(table)[0], ["Size", "Name", "Legs"]);
+	assertEquals(table.alignments, [md.TableAlignments.CENTER, md.TableAlignments.NONE, md.TableAlignments.RIGHT]);
+	assert_back_references(table);
+
+	assertEquals(md.parser.parse(table.toString()).blocks[0].toJSON(), table.toJSON());
+});
+
+Deno.test("md.Table#sort_rows", () => {
+	const table = create_table();
+
+	table.sort_rows(2);
+	assertEquals(cells(table).map((row: string[]) => row[0]), ["Name", "cat", "fox", "wolf"]);
+
+	table.sort_rows(0, (a, b) => b!.toString().localeCompare(a!.toString()));
+	assertEquals(cells(table).map((row: string[]) => row[0]), ["Name", "wolf", "fox", "cat"]);
+	assert_back_references(table);
+});
+
+Deno.test("md.Table#transpose", () => {
+	const table = create_table();
+	table.set_cell(3, 3, "small");
+	table.transpose();
+
+	assertEquals(cells(table), [["Name", "fox", "wolf", "cat"], ["Legs", "4", "4", "4"], ["Size", "12", "100", "9"], ["", "", "", "small"]]);
+	assertEquals(table.alignments, new Array(4).fill(md.TableAlignments.NONE));
+	assert_back_references(table);
+});
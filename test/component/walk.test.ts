@@ -0,0 +1,93 @@
+import { assertEquals, assertStrictEquals } from "@std/testing/asserts.ts";
+import { md } from "../../mod.mjs";
+
+const SOURCE = /*md*/`# Title
+
+Some *text* with a [link][fox].
+
+---
+
+- First entry
+  - Nested **entry**
+
+| Name | Value |
+|------|-------|
+| fox  | *cute* |
+
+[fox]: https://foxrudor.de/
+`;
+
+Deno.test("md.walk - visits every node in order", () => {
+	const doc = md.parser.parse(SOURCE);
+	const entered: string[] = [];
+	const left: string[] = [];
+
+	md.walk(doc, {
+		enter: (node: md.Node) => entered.push(md.get_node_type(node)),
+		leave: (node: md.Node) => left.push(md.get_node_type(node))
+	});
+
+	assertEquals(entered, [
+		"document",
+		"heading", "text",
+		"paragraph", "text", "italic", "text", "text", "link", "text", "text",
+		"horizontal_rule",
+		"list", "list_entry", "paragraph", "text", "list", "list_entry", "paragraph", "text", "bold", "text",
+		"table", "table_row", "table_entry", "text", "table_entry", "text",
+		"table_row", "table_entry", "text", "table_entry", "italic", "text"
+	]);
+	assertEquals(left.length, entered.length);
+	assertEquals(left[left.length - 1], "document");
+});
+
+Deno.test("md.walk - typed callbacks and context", () => {
+	const doc = md.parser.parse(SOURCE);
+	const contexts: string[] = [];
+
+	md.walk(doc, {
+		list_entry: (entry: md.ListEntry, context: { parent: md.Node, key: string, index: number }) => {
+			contexts.push(`${md.get_node_type(context.parent)}.${context.key}[${context.index}]`);
+		},
+		table_entry: {
+			leave: (entry: md.TableEntry, context: { parent: md.Node, index: number }) => {
+				assertStrictEquals(entry.row, context.parent);
+				contexts.push(`table_row.nodes[${context.index}]`);
+			}
+		}
+	});
+
+	assertEquals(contexts, ["list.nodes[0]", "list.nodes[0]", "table_row.nodes[0]", "table_row.nodes[1]", "table_row.nodes[0]", "table_row.nodes[1]"]);
+});
+
+Deno.test("md.walk - skip, replace and remove", () => {
+	const doc = md.parser.parse(SOURCE);
+	const visited: string[] = [];
+
+	md.walk(doc, {
+		horizontal_rule: (_: md.Node, context: { remove: () => void }) => context.remove(),
+		italic: (node: md.Italic, context: { replace: (node: md.Node) => void }) => context.replace(new md.Bold(node.nodes)),
+		list: (_: md.List, context: { skip: () => void }) => context.skip(),
+		table_row: {
+			leave: (row: md.TableRow, context: { replace: (node: md.Node) => void }) =>
+				context.replace(new md.TableRow(row.table, row.nodes.slice(0, 1)))
+		},
+		text: (node: md.Text) => visited.push(node.content)
+	});
+
+	assertEquals(doc.blocks.map((block: md.Node) => md.get_node_type(block)), ["heading", "paragraph", "list", "table"]);
+	assertEquals(doc.blocks[1].toString(), "Some **text** with a [link][fox].");
+	assertEquals((doc.blocks[3] as md.Table).nodes.map((row: md.TableRow) => row.nodes.length), [1, 1]);
+	assertStrictEquals((doc.blocks[3] as md.Table).nodes[1].table, doc.blocks[3]);
+	// The replacement's children are visited, but not the skipped ones.
+	assertEquals(visited, ["Title", "Some ", "text", " with a ", "link", ".", "Name", "Value", "fox", "cute"]);
+
+	assertEquals(md.walk(doc, { document: (_: md.MDDocument, context: { remove: () => void }) => context.remove() }), null);
+});
+
+Deno.test("md.MDDocument#toString - references of sublists", () => {
+	const link = new md.Link("https://foxrudor.de/", [new md.Text("fox")], undefined, "fox");
+	const sublist = new md.List([new md.ListEntry([link])], false);
+	const doc = new md.MDDocument([new md.List([new md.ListEntry([new md.Text("Entry")], [sublist])], false)]);
+
+	assertEquals(doc.toString(), "- Entry\n    - [fox]\n\n[fox]: https://foxrudor.de/\n");
+});
@@ -0,0 +1,169 @@
+import { assertEquals, assertStrictEquals } from "@std/testing/asserts.ts";
+import { md } from "../../mod.mjs";
+
+/*
+ * Just enough of the DOM for the patch rendering, counting the mutations.
+ */
+
+let mutations = 0;
+
+class FakeNode {
+	nodeType: number;
+	parentNode: FakeNode | null = null;
+	childNodes: FakeNode[] = [];
+
+	constructor(node_type: number) {
+		this.nodeType = node_type;
+	}
+
+	get firstChild() {
+		return this.childNodes[0] ?? null;
+	}
+
+	insertBefore(node: FakeNode, reference: FakeNode | null) {
+		mutations++;
+		if (node.parentNode) node.parentNode.childNodes.splice(node.parentNode.childNodes.indexOf(node), 1);
+		node.parentNode = this;
+		this.childNodes.splice(reference ? this.childNodes.indexOf(reference) : this.childNodes.length, 0, node);
+		return node;
+	}
+
+	appendChild(node: FakeNode) {
+		return this.insertBefore(node, null);
+	}
+
+	removeChild(node: FakeNode) {
+		mutations++;
+		this.childNodes.splice(this.childNodes.indexOf(node), 1);
+		node.parentNode = null;
+		return node;
+	}
+
+	serialize(): string {
+		return this.childNodes.map(node => node.serialize()).join("");
+	}
+}
+
+class FakeText extends FakeNode {
+	#data: string;
+
+	constructor(data: string) {
+		super(3);
+		this.#data = data;
+	}
+
+	get data() {
+		return this.#data;
+	}
+
+	set data(data: string) {
+		mutations++;
+		this.#data = data;
+	}
+
+	override serialize() {
+		return this.#data;
+	}
+}
+
+class FakeElement extends FakeNode {
+	tagName: string;
+	attributes = new Map<string, string>();
+	content = new FakeNode(11);
+
+	constructor(tag_name: string) {
+		super(1);
+		this.tagName = tag_name;
+	}
+
+	setAttribute(name: string, value: string) {
+		mutations++;
+		this.attributes.set(name, value);
+	}
+
+	removeAttribute(name: string) {
+		mutations++;
+		this.attributes.delete(name);
+	}
+
+	set innerHTML(source: string) {
+		// Only escaped text is supported.
+		this.content.appendChild(new FakeText(source.replaceAll("&lt;", "<").replaceAll("&gt;", ">").replaceAll("&amp;", "&")));
+	}
+
+	override serialize() {
+		const attributes = [...this.attributes].map(([name, value]) => ` ${name}="${value}"`).join("");
+		return `<${this.tagName}${attributes}>${super.serialize()}</${this.tagName}>`;
+	}
+}
+
+const fake_document = {
+	createElement: (tag_name: string) => new FakeElement(tag_name),
+	createTextNode: (data: string) => new FakeText(data),
+	createComment: (_: string) => new FakeNode(8)
+};
+
+const SOURCE = /*md*/`# Title
+
+Some *text* & more.
+
+- [ ] Task
+- [x] Done
+
+Last paragraph.
+`;
+
+function render(source: string, container: FakeElement) {
+	mutations = 0;
+	// deno-lint-ignore no-explicit-any
+	md.render(md.parser.parse(source), fake_document as any, { parent: container, patch: true });
+	return mutations;
+}
+
+Deno.test("md.render - patch mode keeps the unchanged DOM nodes", () => {
+	const container = new FakeElement("div");
+	render(SOURCE, container);
+
+	const [heading, paragraph, list, last] = container.childNodes;
+	const checkbox = (list.childNodes[0] as FakeElement).childNodes[0];
+
+	const edited = SOURCE.replace("Last paragraph.", "Last words.");
+	// Only the text node changes.
+	assertEquals(render(edited, container), 1);
+	assertEquals(container.childNodes, [heading, paragraph, list, last]);
+	assertStrictEquals((list.childNodes[0] as FakeElement).childNodes[0], checkbox);
+
+	const expected = new FakeElement("div");
+	render(edited, expected);
+	assertEquals(container.serialize(), expected.serialize());
+
+	// Children modified outside of the patch rendering, like a syntax highlighter would do, are rebuilt.
+	heading.removeChild(heading.firstChild);
+	heading.appendChild(new FakeText("Highlighted"));
+	render(edited, container);
+	assertStrictEquals(container.childNodes[0], heading);
+	assertEquals(container.serialize(), expected.serialize());
+});
+
+Deno.test("md.render - patch mode inserts and removes blocks", () => {
+	const container = new FakeElement("div");
+	render(SOURCE, container);
+	const [heading, paragraph, list, last] = container.childNodes;
+
+	const inserted = SOURCE.replace("# Title\n", "# Title\n\nNew block.\n");
+	render(inserted, container);
+	assertEquals(container.childNodes.length, 5);
+	assertEquals([container.childNodes[0], ...container.childNodes.slice(2)], [heading, paragraph, list, last]);
+
+	const expected = new FakeElement("div");
+	render(inserted, expected);
+	assertEquals(container.serialize(), expected.serialize());
+
+	render("# Title\n\nLast paragraph.\n", container);
+	assertEquals(container.childNodes, [heading, last]);
+
+	// Content changed outside of the patch rendering is replaced.
+	container.appendChild(new FakeText("intruder"));
+	render(SOURCE, container);
+	assertEquals(container.serialize(), expected.serialize().replace("<p>New block.</p>", ""));
+});
@@ -0,0 +1,32 @@
+import { md } from "../../mod.mjs";
+
+// Run with `deno bench`, the time per paragraph should grow linearly with its size.
+
+const WORDS = ["lorem", "ipsum", "*dolor*", "**sit**", "amet", "_con_", "[link](https://example.com)", "`code`", "~~strike~~",
+	"*", "_", "[", "`", "||spoiler||", "==mark==", "![image](fox.png)", "a*b", "x_y", "\\*", "<br>", ":smile:"];
+
+function generate(size: number) {
+	let seed = 7;
+	let paragraph = "";
+	while (paragraph.length < size) {
+		seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+		paragraph += WORDS[seed % WORDS.length] + " ";
+	}
+	return paragraph;
+}
+
+for (const size of [128, 256, 512, 1024]) {
+	const paragraph = generate(size * 1024);
+
+	Deno.bench(`md.parser.parse - ${size} KiB paragraph`, { group: "inline" }, () => {
+		md.parser.parse(paragraph, { emoji: { dictionary: ["smile"] } });
+	});
+}
+
+for (const size of [128, 256, 512, 1024]) {
+	const paragraph = "[^".repeat(size * 512);
+
+	Deno.bench(`md.parser.parse - ${size} KiB of unclosed footnote references`, { group: "footnote" }, () => {
+		md.parser.parse(paragraph, { footnote: true });
+	});
+}
@@ -0,0 +1,41 @@
+import { assertEquals } from "@std/testing/asserts.ts";
+import { md } from "../../mod.mjs";
+
+function parse_inline(source: string) {
+	return JSON.parse(JSON.stringify(md.parser.parse(source).blocks[0])).nodes;
+}
+
+Deno.test("md.parser.parse - escaped unicode", () => {
+	assertEquals(parse_inline("\\u0041\\x42\\U00000043 \\* \\x4"), ["ABC * x4"]);
+	// Only the escape at the backslash is considered.
+	assertEquals(parse_inline("\\a and box12"), ["a and box12"]);
+});
+
+Deno.test("md.parser.parse - unclosed delimiters", () => {
+	assertEquals(parse_inline("*a **b"), [{ type: "italic", nodes: ["a "] }, "*b"]);
+	assertEquals(parse_inline("a ` b `c` d"), ["a ", { type: "inline_code", content: " b " }, "c` d"]);
+	assertEquals(parse_inline("[a **b](https://example.com) ~~c"), [
+		{ type: "link", url: "https://example.com", title: ["a **b"], tooltip: null, ref_name: "" },
+		" ~~c"
+	]);
+});
+
+Deno.test("md.parser.parse - long paragraph with unclosed delimiters", () => {
+	const source = "*a _b [c `d ~~e ==f ||g ".repeat(20000);
+	const start = Date.now();
+	const nodes = parse_inline(source);
+
+	assertEquals(nodes.length > 1, true);
+	// Used to take seconds.
+	assertEquals(Date.now() - start < 5000, true);
+});
+
+Deno.test("md.parser.parse - HTML block closing line", () => {
+	const blocks = JSON.parse(JSON.stringify(md.parser.parse("<div>\nhello\n</div>\n\ntext").blocks));
+
+	// The closing line used to also start another HTML block.
+	assertEquals(blocks, [{ type: "inline_html", content: ["<div> hello </div>"] }, { type: "paragraph", nodes: ["text"] }]);
+	// Which swallowed the following paragraph.
+	assertEquals(JSON.parse(JSON.stringify(md.parser.parse("<div>\nhello\n</div>\ntext").blocks)), blocks);
+	assertEquals(JSON.parse(JSON.stringify(md.parser.parse("<div>hello</div>").blocks)), [{ type: "inline_html", content: ["<div>hello</div>"] }]);
+});
@@ -0,0 +1,82 @@
+import { assertEquals, assertStrictEquals, assertThrows } from "@std/testing/asserts.ts";
+import { md } from "../../mod.mjs";
+
+const SOURCE = /*md*/`# Title
+
+Some *text* with \`code\` and a [link][fox].
+
+- First \`entry\`
+
+  with two paragraphs
+- [x] Second entry
+
+[fox]: https://foxrudor.de/
+`;
+
+Deno.test("md.Parser - options are validated and frozen", () => {
+	const options = { auto_link: true, emoji: { dictionary: ["fox"] } };
+	const parser = new md.Parser(options);
+	const compiled = parser.options as { emoji: { dictionary: string[] } };
+
+	assertEquals(Object.isFrozen(compiled), true);
+	assertEquals(Object.isFrozen(compiled.emoji), true);
+	assertEquals(Object.isFrozen(compiled.emoji.dictionary), true);
+	// The given options are left untouched.
+	assertEquals(options, { auto_link: true, emoji: { dictionary: ["fox"] } });
+
+	assertThrows(() => new md.Parser({ auto_lnk: true }), Error, "unknown option \"auto_lnk\"");
+	assertThrows(() => new md.Parser({ emoji: { dictionary: "fox" } }), Error, "\"emoji.dictionary\" should be of type array");
+	assertThrows(() => new md.Renderer({ checkbox: true }), Error, "\"checkbox\" should be of type object");
+});
+
+Deno.test("md.Parser - parses many documents", async () => {
+	const parser = new md.Parser({ limits: { max_depth: 4 } });
+
+	const doc = parser.parse(SOURCE);
+	assertEquals(doc.toJSON(), md.parser.parse(SOURCE).toJSON());
+	assertEquals(parser.parse("> ".repeat(10) + "deep").diagnostics.map((diagnostic: { limit?: string }) => diagnostic.limit), ["max_depth"]);
+	// The nested block elements don't define references.
+	assertEquals(parser.parse("> [fox]: https://foxrudor.de/\n").references, []);
+	assertEquals(parser.parse(SOURCE).toJSON(), doc.toJSON());
+
+	// Interleaved parsings don't share any state.
+	const first = parser.parse_async(["# First\n\n", "Some *text*.\n\n[fox]: https://foxrudor.de/\n"]);
+	const second = parser.parse_async(["# Second\n", "\nOther text.\n"]);
+	let first_result, second_result;
+	do {
+		first_result = await first.next();
+		second_result = await second.next();
+	} while (!first_result.done || !second_result.done);
+
+	assertEquals(first_result.value.references.length, 1);
+	assertEquals(second_result.value.references.length, 0);
+	assertEquals(second_result.value.toJSON(), md.parser.parse("# Second\n\nOther text.\n").toJSON());
+
+	const edit = { offset: SOURCE.indexOf("Some"), delete_count: 4, insert: "More" };
+	const result = parser.reparse(doc, SOURCE, edit);
+	assertEquals(result.doc.toJSON(), parser.parse(result.text).toJSON());
+});
+
+Deno.test("md.Renderer - nested renderings from hooks", () => {
+	const doc = md.parser.parse(SOURCE);
+	const nested = md.parser.parse("- Nested *entry*\n\n> Quote");
+	const expected = md.render_to_html(doc).html();
+	const nested_expected = md.render_to_html(nested).html();
+
+	const renderer: md.Renderer = new md.Renderer({
+		code: {
+			process: (el: md.InlineCode) => {
+				// Renders another document with the same renderer while it is rendering a list entry.
+				assertEquals(renderer.render_to_html(nested).html(), nested_expected);
+				return el.as_html();
+			}
+		}
+	});
+
+	assertEquals(Object.isFrozen((renderer.options as { code: object }).code), true);
+	assertEquals(renderer.render_to_html(doc).html(), expected);
+	assertStrictEquals(renderer.render_to_html(doc).html(), renderer.render_to_html(doc).html());
+
+	const streaming = renderer.create_streaming_renderer(doc);
+	assertEquals(doc.blocks.map((block: md.Node) => streaming.write(block)).join(""), md.render_to_html(doc).inner_html());
+});
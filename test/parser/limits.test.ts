@@ -0,0 +1,81 @@
+import { assertEquals } from "@std/testing/asserts.ts";
+import { md } from "../../mod.mjs";
+
+Deno.test("md.parser.parse - maximum nesting depth", () => {
+	const doc = md.parser.parse("> ".repeat(5000) + "deep", { limits: { max_depth: 8 } });
+
+	assertEquals(doc.blocks.length, 1);
+	assertEquals(doc.diagnostics.map((diagnostic: { limit?: string }) => diagnostic.limit), ["max_depth"]);
+
+	let block = doc.blocks[0];
+	let depth = 0;
+	while (block instanceof md.BlockQuote) {
+		block = block.nodes[0];
+		depth++;
+	}
+	assertEquals(depth, 8);
+	// The content beyond the limit is kept as is.
+	assertEquals(block.toString(), "> ".repeat(5000 - depth) + "deep");
+
+	const list = md.parser.parse(Array.from({ length: 50 }, (_, i) => " ".repeat(i * 2) + "- item").join("\n"), { limits: { max_depth: 8 } });
+	assertEquals(list.diagnostics.map((diagnostic: { limit?: string }) => diagnostic.limit), ["max_depth"]);
+});
+
+Deno.test("md.parser.parse - default maximum nesting depth", () => {
+	for (const source of ["*".repeat(16000) + "a", "[".repeat(4000) + "a" + "]".repeat(4000), "> ".repeat(20000) + "a"]) {
+		const doc = md.parser.parse(source);
+		assertEquals(doc.diagnostics.map((diagnostic: { limit?: string }) => diagnostic.limit), ["max_depth"]);
+	}
+});
+
+Deno.test("md.parser.parse - time budget", () => {
+	const source = "Some *text* and [a link](https://example.com).\n\n".repeat(50000);
+	const start = Date.now();
+	const doc = md.parser.parse(source, { limits: { time_budget: 20 } });
+	const elapsed = Date.now() - start;
+
+	assertEquals(doc.diagnostics.map((diagnostic: { limit?: string }) => diagnostic.limit), ["time_budget"]);
+	// The budget is only checked from time to time, so it may be slightly overrun.
+	assertEquals(elapsed < 500, true, `the parsing took ${elapsed} ms`);
+	// The remaining source is kept as is.
+	const last = doc.blocks[doc.blocks.length - 1].toString();
+	assertEquals(source.endsWith(last), true);
+	assertEquals(doc.blocks.length < 50000, true);
+});
+
+Deno.test("md.parser.parse - maximum node count", () => {
+	const source = "Some *emphasis* and **bold**. ".repeat(100);
+	const doc = md.parser.parse(source, { limits: { max_nodes: 20 } });
+
+	assertEquals(doc.diagnostics.map((diagnostic: { limit?: string }) => diagnostic.limit), ["max_nodes"]);
+	assertEquals((doc.blocks[0] as md.Paragraph).nodes.length <= 20, true);
+	assertEquals((doc.blocks[0] as md.Paragraph).nodes[(doc.blocks[0] as md.Paragraph).nodes.length - 1] instanceof md.Text, true);
+});
+
+Deno.test("md.parser.parse - maximum length", () => {
+	const source = "# Title\n\nSome *text*.\n";
+	const doc = md.parser.parse(source, { limits: { max_length: 13 } });
+
+	assertEquals(doc.diagnostics.map((diagnostic: { limit?: string }) => diagnostic.limit), ["max_length"]);
+	assertEquals(doc.blocks.map((block: md.Node) => block.toString()), ["# Title", "Some", " *text*.\n"]);
+
+	const parser = new md.parser.StreamingParser({ limits: { max_length: 13 } });
+	for (const char of source) {
+		parser.write(char);
+	}
+	parser.end();
+	assertEquals(parser.doc.toJSON(), doc.toJSON());
+	assertEquals(parser.doc.diagnostics, doc.diagnostics);
+});
+
+Deno.test("md.parser.parse - safe mode", () => {
+	const source = "[".repeat(20000) + "x" + "]".repeat(20000);
+
+	const doc = md.parser.parse(source, { safe: true });
+	assertEquals(doc.diagnostics.map((diagnostic: { limit?: string }) => diagnostic.limit), ["max_depth"]);
+
+	// Explicit limits take precedence.
+	assertEquals(md.parser.parse(source, { safe: true, limits: { max_length: 10 } }).diagnostics.map((diagnostic: { limit?: string }) => diagnostic.limit),
+		["max_length"]);
+	assertEquals(md.parser.parse("# Hello *world*", { safe: true }).diagnostics, []);
+});
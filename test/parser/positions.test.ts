@@ -0,0 +1,111 @@
+import { assertEquals, assertStrictEquals } from "@std/testing/asserts.ts";
+import { md } from "../../mod.mjs";
+
+const SOURCE = /*md*/`# Title *here*
+
+Some **bold** text  
+and a [link](https://foxrudor.de/).
+
+- First entry
+- [x] Second entry
+  - Nested *entry*
+
+| Name | Value |
+|------|:-----:|
+| fox  | *cute* |
+
+\`\`\`js
+code
+\`\`\`
+`;
+
+function source_of(node: md.Node) {
+	return SOURCE.substring(node.position!.start.offset, node.position!.end.offset);
+}
+
+Deno.test("md.parser.parse - block positions", () => {
+	const doc = md.parser.parse(SOURCE);
+	const heading = doc.blocks[0] as md.Heading;
+
+	assertEquals(heading.position, {
+		start: { offset: 0, line: 1, column: 1 },
+		end: { offset: 14, line: 1, column: 15 }
+	});
+	assertEquals(doc.blocks.map((block: md.Node) => source_of(block)), [
+		"# Title *here*",
+		"Some **bold** text  \nand a [link](https://foxrudor.de/).",
+		"- First entry\n- [x] Second entry\n  - Nested *entry*",
+		"| Name | Value |\n|------|:-----:|\n| fox  | *cute* |",
+		"```js\ncode\n```"
+	]);
+
+	const list = doc.blocks[2] as md.List;
+	assertEquals(list.nodes.map((entry: md.Node) => source_of(entry)), ["- First entry", "- [x] Second entry\n  - Nested *entry*"]);
+	assertEquals(source_of(list.nodes[1].nodes[0]), "Second entry");
+	assertEquals(source_of(list.nodes[1].sublists[0].nodes[0]), "- Nested *entry*");
+
+	const table = doc.blocks[3] as md.Table;
+	const entry = table.nodes[1].nodes[1];
+	assertEquals(source_of(entry), "*cute*");
+	assertEquals(entry.position!.start, { offset: 170, line: 12, column: 10 });
+});
+
+Deno.test("md.parser.parse - inline positions", () => {
+	const doc = md.parser.parse(SOURCE);
+
+	const heading = doc.blocks[0] as md.Heading;
+	assertEquals(heading.nodes.map((node: md.Node) => source_of(node)), ["Title ", "*here*"]);
+	assertEquals(source_of((heading.nodes[1] as md.Italic).nodes[0]), "here");
+
+	const paragraph = doc.blocks[1] as md.Paragraph;
+	assertEquals(paragraph.nodes.map((node: md.Node) => node === md.LINEBREAK ? null : source_of(node)),
+		["Some ", "**bold**", " text", null, "and a ", "[link](https://foxrudor.de/)", "."]);
+	assertEquals((paragraph.nodes[5] as md.Link).position!.start, { offset: 43, line: 4, column: 7 });
+});
+
+Deno.test("md.parser.parse - shared nodes have no position", () => {
+	const doc = md.parser.parse("Some text  \nhere.\n\n---\n");
+
+	assertStrictEquals((doc.blocks[0] as md.Paragraph).nodes[1], md.LINEBREAK);
+	assertStrictEquals(doc.blocks[1], md.HORIZONTAL_RULE);
+	assertEquals(md.LINEBREAK.position, null);
+});
+
+Deno.test("md.MDDocument#toJSON - positions", () => {
+	const doc = md.parser.parse("Some *text*.");
+
+	// Positions are only included when asked for.
+	assertEquals(JSON.parse(JSON.stringify(doc)), { blocks: [{ type: "paragraph", nodes: ["Some ", { type: "italic", nodes: ["text"] }, "."] }], references: [] });
+	assertEquals(doc.toJSON({ positions: true }).blocks[0], {
+		type: "paragraph",
+		nodes: [
+			{ type: "text", content: "Some ", position: { start: { offset: 0, line: 1, column: 1 }, end: { offset: 5, line: 1, column: 6 } } },
+			{
+				type: "italic",
+				nodes: [{ type: "text", content: "text", position: { start: { offset: 6, line: 1, column: 7 }, end: { offset: 10, line: 1, column: 11 } } }],
+				position: { start: { offset: 5, line: 1, column: 6 }, end: { offset: 11, line: 1, column: 12 } }
+			},
+			{ type: "text", content: ".", position: { start: { offset: 11, line: 1, column: 12 }, end: { offset: 12, line: 1, column: 13 } } }
+		],
+		position: { start: { offset: 0, line: 1, column: 1 }, end: { offset: 12, line: 1, column: 13 } }
+	});
+});
+
+Deno.test("md.parser - positions of streamed and reparsed documents", () => {
+	const expected = md.parser.parse(SOURCE).toJSON({ positions: true });
+
+	const parser = new md.parser.StreamingParser();
+	for (let i = 0; i < SOURCE.length; i += 7) {
+		parser.write(SOURCE.substring(i, i + 7));
+	}
+	parser.end();
+	assertEquals(parser.doc.toJSON({ positions: true }), expected);
+
+	// Reused blocks are moved after the edit.
+	const previous = md.parser.parse(SOURCE);
+	const result = md.parser.reparse(previous, SOURCE, { offset: 0, delete_count: 0, insert: "Intro\n\n" });
+	assertEquals(result.doc.toJSON({ positions: true }), md.parser.parse(result.text).toJSON({ positions: true }));
+	assertEquals(result.doc.blocks[2].position!.start, { offset: 16 + 7, line: 5, column: 1 });
+	// The previous document is left untouched.
+	assertEquals(previous.toJSON({ positions: true }), expected);
+});
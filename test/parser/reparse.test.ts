@@ -0,0 +1,75 @@
+import { assertEquals, assertStrictEquals, assertThrows } from "@std/testing/asserts.ts";
+import { md } from "../../mod.mjs";
+
+const SOURCE = /*md*/`# Title
+
+First paragraph with a [link][fox].
+
+\`\`\`js
+console.log("uwu");
+\`\`\`
+
+| Tables | Are |
+|--------|:---:|
+| cool | yes |
+
+- First
+- Second
+
+Last paragraph.
+
+[fox]: https://foxrudor.de/
+`;
+
+function apply(text: string, edit: { offset: number, delete_count: number, insert: string }) {
+	return text.substring(0, edit.offset) + edit.insert + text.substring(edit.offset + edit.delete_count);
+}
+
+Deno.test("md.parser.reparse - only the edited block changes", () => {
+	const doc = md.parser.parse(SOURCE);
+	const edit = { offset: SOURCE.indexOf("First paragraph") + 5, delete_count: 0, insert: " *new*" };
+	const result = md.parser.reparse(doc, SOURCE, edit);
+
+	assertEquals(result.text, apply(SOURCE, edit));
+	assertEquals(result.doc.toJSON(), md.parser.parse(result.text).toJSON());
+	assertEquals(result.changed, [1]);
+
+	// The block before the edit is reused, the ones after it moved so they are clones with their new positions.
+	assertStrictEquals(result.doc.blocks[0], doc.blocks[0]);
+	result.doc.blocks.slice(2).forEach((block: md.Node, index: number) => {
+		assertEquals(JSON.stringify(block), JSON.stringify(doc.blocks[index + 2]));
+		assertEquals(block.position!.start.offset, doc.blocks[index + 2].position!.start.offset + edit.insert.length);
+	});
+	assertEquals(result.doc.references.length, 1);
+});
+
+Deno.test("md.parser.reparse - edits changing the block structure", () => {
+	let text = SOURCE;
+	let doc = md.parser.parse(text);
+
+	const edits = [
+		// Opens a code block which swallows everything after it.
+		{ offset: SOURCE.indexOf("Last"), delete_count: 0, insert: "```\n" },
+		// Breaks the table separator.
+		{ offset: SOURCE.indexOf("|--------|"), delete_count: 1, insert: "" },
+		// Removes a whole block.
+		{ offset: 0, delete_count: "# Title\n\n".length, insert: "" },
+		// Splits CRLF.
+		{ offset: 3, delete_count: 0, insert: "\r\n\r\n" },
+		// Appends at the very end.
+		{ offset: SOURCE.length - 20, delete_count: 0, insert: "\n> quote" }
+	];
+
+	for (const edit of edits) {
+		const result = md.parser.reparse(doc, text, edit);
+		assertEquals(result.doc.toJSON(), md.parser.parse(result.text).toJSON());
+
+		text = result.text;
+		doc = result.doc;
+	}
+});
+
+Deno.test("md.parser.reparse - invalid edit", () => {
+	const doc = md.parser.parse(SOURCE);
+	assertThrows(() => md.parser.reparse(doc, SOURCE, { offset: SOURCE.length, delete_count: 1, insert: "" }));
+});
@@ -0,0 +1,297 @@
+import { assertEquals, assertInstanceOf, assertStrictEquals } from "@std/testing/asserts.ts";
+import { md } from "../../mod.mjs";
+
+const SOURCE = /*md*/`# lib.md
+
+A Markdown parser and *hewwo **renderer*** library. [random fox][fox] oh no
+foo bar
+\`\`\`js
+let uwu = "owo";
+
+console.log(uwu);
+\`\`\`
+> Let's quote
+> some things
+
+| Tables | Are |
+|--------|:---:|
+| cool | yes |
+
+- First
+  - Sub-entry
+- Second
+
+[fox]: https://foxrudor.de/ "Visit the website!"
+`;
+
+function to_json(value: unknown) {
+	return JSON.parse(JSON.stringify(value));
+}
+
+function stream(source: string, chunk_size: number) {
+	const parser = new md.parser.StreamingParser();
+	const emitted = [];
+
+	for (let i = 0; i < source.length; i += chunk_size) {
+		emitted.push(...parser.write(source.substring(i, i + chunk_size)));
+	}
+	emitted.push(...parser.end());
+
+	return { doc: parser.doc, emitted: emitted };
+}
+
+Deno.test("md.parser.StreamingParser - same result as md.parser.parse for any chunk size", () => {
+	const expected = md.parser.parse(SOURCE).toJSON();
+
+	for (const chunk_size of [1, 2, 3, 7, 64, SOURCE.length]) {
+		const result = stream(SOURCE, chunk_size);
+		assertEquals(result.doc.toJSON(), expected);
+		assertEquals(result.emitted.length, result.doc.blocks.length);
+	}
+});
+
+Deno.test("md.parser.StreamingParser - CRLF split across chunks", () => {
+	const source = "Hello\r\nWorld\r\n\r\n# Heading\r\n";
+	const doc = md.parser.parse(source);
+
+	for (const chunk_size of [1, 6, 7]) {
+		assertEquals(stream(source, chunk_size).doc.toJSON(), doc.toJSON());
+	}
+	assertEquals((doc.blocks[0] as md.Paragraph).as_plain_text(), "Hello World");
+});
+
+Deno.test("md.parser.StreamingParser - shared options", () => {
+	const options = { speculative: false };
+	const first = new md.parser.StreamingParser(options);
+	const second = new md.parser.StreamingParser(options);
+
+	first.write("# First doc\n\none\n");
+	second.write("# Second doc\n\ntwo\n");
+	first.end();
+	second.end();
+
+	// Each parser has its own document, and the options are left without any parsing state.
+	assertEquals(first.doc.blocks.map((block: md.Node) => block.toString()), ["# First doc", "one"]);
+	assertEquals(second.doc.blocks.map((block: md.Node) => block.toString()), ["# Second doc", "two"]);
+	assertEquals(Object.keys(options), ["speculative"]);
+
+	const earlier = md.parser.parse("# Earlier", options);
+	const parser = new md.parser.StreamingParser(options);
+	parser.end("# Later\n");
+	assertEquals(earlier.blocks.length, 1);
+	assertEquals(parser.doc.blocks.length, 1);
+
+	// The document to fill is given explicitly.
+	const doc = new md.MDDocument();
+	assertStrictEquals(new md.parser.StreamingParser({}, doc).doc, doc);
+});
+
+Deno.test("md.parser.parse - CRLF and CR line endings", () => {
+	const expected = md.parser.parse(SOURCE).toJSON();
+
+	assertEquals(md.parser.parse(SOURCE.replaceAll("\n", "\r\n")).toJSON(), expected);
+	assertEquals(md.parser.parse(SOURCE.replaceAll("\n", "\r")).toJSON(), expected);
+	assertEquals(md.parser.parse("```js\r\ncode\r\n```\r\n").toJSON().blocks, [{ type: "block_code", code: "code", language: "js" }]);
+});
+
+Deno.test("md.parser.StreamingParser - blocks are emitted as soon as they are final", () => {
+	const parser = new md.parser.StreamingParser();
+
+	assertEquals(parser.write("# Tit"), []);
+
+	const heading = parser.write("le\nSome");
+	assertEquals(heading.length, 1);
+	assertInstanceOf(heading[0], md.Heading);
+
+	assertEquals(parser.write(" text\n```\ncode"), []);
+
+	const paragraph = parser.write("\n```\n");
+	assertEquals(paragraph.length, 2);
+	assertInstanceOf(paragraph[0], md.Paragraph);
+	assertInstanceOf(paragraph[1], md.BlockCode);
+
+	assertEquals(parser.end(), []);
+	assertEquals(parser.doc.blocks.length, 3);
+});
+
+function to_stream(source: string, chunk_size: number) {
+	return new ReadableStream<string>({
+		start(controller) {
+			for (let i = 0; i < source.length; i += chunk_size) {
+				controller.enqueue(source.substring(i, i + chunk_size));
+			}
+			controller.close();
+		}
+	});
+}
+
+async function collect<T>(stream: ReadableStream<T>) {
+	const result: T[] = [];
+	for await (const value of stream) {
+		result.push(value);
+	}
+	return result;
+}
+
+Deno.test("md.parser.create_parse_stream", async () => {
+	const stream = md.parser.create_parse_stream();
+	const blocks = await collect(to_stream(SOURCE, 5).pipeThrough(stream));
+
+	// Only block elements are enqueued, the document being filled is a property of the stream.
+	assertEquals(blocks.every((block: unknown) => block instanceof md.Node || block === md.HORIZONTAL_RULE), true);
+	assertEquals(to_json(blocks), to_json(md.parser.parse(SOURCE).blocks));
+	assertInstanceOf(stream.doc, md.MDDocument);
+	assertEquals(to_json(stream.doc), to_json(md.parser.parse(SOURCE)));
+	assertStrictEquals(md.parser.get_stream_document(blocks[0]), stream.doc);
+});
+
+Deno.test("md.create_render_stream", async () => {
+	const source = "[fox]: https://foxrudor.de/\n# Hello\n\nSome *text* with [a reference][fox].\n\n## World\n\n[[toc]]\n";
+	const parts = await collect(to_stream(source, 3)
+		.pipeThrough(md.parser.create_parse_stream())
+		.pipeThrough(md.create_render_stream()));
+
+	assertEquals(parts, [
+		`<h1 id="hello">Hello</h1>\n`,
+		`<p>\n\tSome <em>text</em> with <a href="https://foxrudor.de/">a reference</a>.\n</p>\n`,
+		`<h2 id="world">World</h2>\n`,
+		`<ol>\n\t<li><a href="#world">World</a></li>\n</ol>\n`
+	]);
+
+	// An explicit document is kept.
+	const doc = new md.MDDocument();
+	const shared = await collect(to_stream(source, 3)
+		.pipeThrough(md.parser.create_parse_stream({}, doc))
+		.pipeThrough(md.create_render_stream({ doc: doc })));
+	assertEquals(shared, parts);
+
+	// Streams created with the same options fill their own document.
+	const options = {};
+	const first = await collect(to_stream("## First doc\n\n[[toc]]\n", 3)
+		.pipeThrough(md.parser.create_parse_stream(options))
+		.pipeThrough(md.create_render_stream()));
+	const second = await collect(to_stream("## Second doc\n\n[[toc]]\n", 3)
+		.pipeThrough(md.parser.create_parse_stream(options))
+		.pipeThrough(md.create_render_stream()));
+	assertEquals(first[1], `<ol>\n\t<li><a href="#first-doc">First doc</a></li>\n</ol>\n`);
+	assertEquals(second[1], `<ol>\n\t<li><a href="#second-doc">Second doc</a></li>\n</ol>\n`);
+});
+
+Deno.test("md.parser.parse_async", async () => {
+	const bytes = new TextEncoder().encode(SOURCE + "\nFoxes 🦊 are cute.\n");
+	const source = async function* () {
+		// Split in small byte chunks so multibyte characters are cut.
+		for (let i = 0; i < bytes.length; i += 3) {
+			yield bytes.subarray(i, i + 3);
+		}
+	};
+
+	const generator = md.parser.parse_async(source());
+	const blocks = [];
+	let result;
+	while (!(result = await generator.next()).done) {
+		blocks.push(result.value);
+	}
+
+	const expected = md.parser.parse(SOURCE + "\nFoxes 🦊 are cute.\n");
+	assertInstanceOf(result.value, md.MDDocument);
+	assertEquals(result.value.toJSON(), expected.toJSON());
+	assertEquals(to_json(blocks), to_json(expected.blocks));
+	assertEquals(result.value.references[0].name, "fox");
+});
+
+Deno.test("md.parser.parse_async - shared options", async () => {
+	const options = {};
+	const drain = async (generator: AsyncGenerator<md.Node, md.MDDocument>) => {
+		let result;
+		while (!(result = await generator.next()).done);
+		return result.value;
+	};
+
+	// Interleaved parsings with the same options fill their own document.
+	const [first, second] = await Promise.all([
+		drain(md.parser.parse_async(["# First\n\n", "one\n"], options)),
+		drain(md.parser.parse_async(["# Second\n\n", "two\n"], options))
+	]);
+	assertEquals(first.blocks.map((block: md.Node) => block.toString()), ["# First", "one"]);
+	assertEquals(second.blocks.map((block: md.Node) => block.toString()), ["# Second", "two"]);
+});
+
+Deno.test("md.StreamingRenderer - deferred reference links", () => {
+	const parser = new md.parser.StreamingParser();
+	const renderer = new md.StreamingRenderer(parser.doc);
+
+	const html = parser.write("See [the fox][fox] and ![a fox][fox].\n\n").map(block => renderer.write(block));
+	assertEquals(html, [`<p>\n\tSee <a data-ref="fox">the fox</a> and <img alt="a fox" data-ref="fox" class />.\n</p>\n`]);
+	assertEquals(renderer.take_fixups(), []);
+
+	parser.write("[fox]: https://foxrudor.de/ \"Fox\"\n# After\n").forEach(block => renderer.write(block));
+	assertEquals(renderer.take_fixups(), [{ name: "fox", url: "https://foxrudor.de/", tooltip: "Fox" }]);
+
+	parser.end().forEach(block => renderer.write(block));
+	assertEquals(renderer.end(), []);
+});
+
+Deno.test("md.create_render_stream - reference patch", async () => {
+	const source = "[Hello][later]\n\n[later]: https://example.com/\n";
+	const doc = new md.MDDocument();
+	const parts = await collect(to_stream(source, 4)
+		.pipeThrough(md.parser.create_parse_stream({}, doc))
+		.pipeThrough(md.create_render_stream({ doc: doc, reference: { patch: (fixups: unknown) => JSON.stringify(fixups) } })));
+
+	assertEquals(parts, [
+		`<p>\n\t<a data-ref="later">Hello</a>\n</p>\n`,
+		JSON.stringify([{ name: "later", url: "https://example.com/", tooltip: null }])
+	]);
+
+	// Nothing is patched by default.
+	assertEquals(await collect(to_stream(source, 4).pipeThrough(md.parser.create_parse_stream()).pipeThrough(md.create_render_stream())),
+		[`<p>\n\t<a data-ref="later">Hello</a>\n</p>\n`]);
+
+	const patch = md.render_reference_patch([{ name: "a", url: "</script>", tooltip: null }]);
+	// The URL must not be able to close the script early.
+	assertEquals(patch.match(/<\/script>/g)?.length, 1);
+});
+
+Deno.test("md.parser.StreamingParser - speculative mode", () => {
+	const parser = new md.parser.StreamingParser({ speculative: true });
+
+	const heading = parser.write("# Title\n\nSome **bold");
+	assertEquals(heading.length, 2);
+	assertEquals(heading[0].provisional, false);
+	assertEquals(heading[1].provisional, true);
+	assertInstanceOf((heading[1] as md.Paragraph).nodes[1], md.Bold);
+
+	const code = parser.write(" text**\n```js\nlet\nuwu");
+	assertEquals(code.length, 2);
+	assertInstanceOf(code[0], md.Paragraph);
+	assertEquals(code[0].provisional, false);
+	assertInstanceOf(code[1], md.BlockCode);
+	assertEquals(code[1].provisional, true);
+
+	const table = parser.write("\n```\n| a | b |\n|---|---|\n| 1 ");
+	assertInstanceOf(table[1], md.Table);
+	assertEquals(table[1].provisional, true);
+
+	assertEquals(parser.end().map(block => block.provisional), [false, false]);
+	// Provisional blocks never reach the document.
+	assertEquals(parser.doc.toJSON(), md.parser.parse("# Title\n\nSome **bold text**\n```js\nlet\nuwu\n```\n| a | b |\n|---|---|\n| 1 ").toJSON());
+});
+
+Deno.test("md.parser.StreamingParser - speculative mode keeps an open code fence up to date", () => {
+	const parser = new md.parser.StreamingParser({ speculative: true });
+	const source = "```js {.numbered}\nlet a;\n\nlet b";
+
+	let blocks: md.Node[] = [];
+	for (const char of source) {
+		blocks = parser.write(char);
+	}
+
+	assertEquals(blocks.length, 1);
+	assertInstanceOf(blocks[0], md.BlockCode);
+	assertEquals(to_json(blocks[0]), to_json(new md.BlockCode("let a;\n\nlet b", "js", new md.Attributes(null, ["numbered"]))));
+	assertEquals(blocks[0].provisional, true);
+	assertEquals(blocks[0].position!.end, { offset: source.length, line: 4, column: 6 });
+
+	assertEquals(to_json(parser.end()), to_json([new md.BlockCode("let a;\n\nlet b", "js", new md.Attributes(null, ["numbered"]))]));
+});